@@ -0,0 +1,126 @@
+import fs from "fs/promises";
+
+/* ─────────────────────────────────────────────
+   Boundaries (GeoJSON polygons and bboxes)
+───────────────────────────────────────────── */
+// seed's --boundary / --bbox area: samplers skip grid points outside it and --clip-pois drops POIs outside it.
+// Polygons use GeoJSON ring order: [[outerRing, ...holeRings], ...] with [lon, lat] positions
+export class Boundary {
+  constructor(polygons, name = null) {
+    if (!Array.isArray(polygons) || polygons.length === 0) throw new Error("Boundary has no polygons");
+    this.polygons = polygons;
+    this.name = name;
+  }
+
+  static fromGeoJSON(json, name = null) {
+    const polygons = [];
+    const collect = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (node.type === 'FeatureCollection') (node.features || []).forEach(collect);
+      else if (node.type === 'Feature') { if (!name && node.properties?.name) name = node.properties.name; collect(node.geometry); }
+      else if (node.type === 'GeometryCollection') (node.geometries || []).forEach(collect);
+      else if (node.type === 'Polygon') polygons.push(node.coordinates);
+      else if (node.type === 'MultiPolygon') polygons.push(...node.coordinates);
+    };
+    collect(json);
+    const valid = polygons.filter(rings => Array.isArray(rings) && rings.length > 0 && rings.every(r => Array.isArray(r) && r.length >= 4));
+    if (valid.length === 0) throw new Error("GeoJSON does not contain any Polygon or MultiPolygon geometry");
+    return new Boundary(valid, name);
+  }
+
+  static fromBbox(bounds) {
+    const { northeast: ne, southwest: sw } = bounds;
+    const ring = [[sw.lon, sw.lat], [ne.lon, sw.lat], [ne.lon, ne.lat], [sw.lon, ne.lat], [sw.lon, sw.lat]];
+    return new Boundary([[ring]], 'bbox');
+  }
+
+  getBounds() {
+    let minLat = Infinity, minLon = Infinity, maxLat = -Infinity, maxLon = -Infinity;
+    for (const rings of this.polygons) {
+      for (const [lon, lat] of rings[0]) {
+        if (lat < minLat) minLat = lat;
+        if (lat > maxLat) maxLat = lat;
+        if (lon < minLon) minLon = lon;
+        if (lon > maxLon) maxLon = lon;
+      }
+    }
+    return { northeast: { lat: maxLat, lon: maxLon }, southwest: { lat: minLat, lon: minLon } };
+  }
+
+  // Even-odd ray casting against a single ring
+  ringContains(ring, lat, lon) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  contains(lat, lon) {
+    return this.polygons.some(([outer, ...holes]) =>
+      this.ringContains(outer, lat, lon) && !holes.some(hole => this.ringContains(hole, lat, lon))
+    );
+  }
+
+  // Distance in meters from a point to the nearest ring edge (equirectangular approximation)
+  distanceToEdge(lat, lon) {
+    const mPerLat = 111320;
+    const mPerLon = 111320 * Math.cos((lat * Math.PI) / 180);
+    let best = Infinity;
+    for (const rings of this.polygons) {
+      for (const ring of rings) {
+        for (let i = 0; i < ring.length - 1; i++) {
+          const ax = (ring[i][0] - lon) * mPerLon, ay = (ring[i][1] - lat) * mPerLat;
+          const bx = (ring[i + 1][0] - lon) * mPerLon, by = (ring[i + 1][1] - lat) * mPerLat;
+          const dx = bx - ax, dy = by - ay;
+          const lenSq = dx * dx + dy * dy;
+          const t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lenSq));
+          const d = Math.hypot(ax + t * dx, ay + t * dy);
+          if (d < best) best = d;
+        }
+      }
+    }
+    return best;
+  }
+
+  // True when a search circle of radiusMeters at (lat, lon) overlaps the boundary
+  touchesCircle(lat, lon, radiusMeters = 0) {
+    return this.contains(lat, lon) || (radiusMeters > 0 && this.distanceToEdge(lat, lon) <= radiusMeters);
+  }
+
+  toJSON() {
+    return { name: this.name, polygons: this.polygons };
+  }
+}
+
+export async function loadBoundary(filePath) {
+  let raw;
+  try { raw = await fs.readFile(filePath, 'utf8'); } catch (e) { throw new Error(`Cannot read boundary ${filePath}: ${e.message}`); }
+  let json;
+  try { json = JSON.parse(raw); } catch (e) { throw new Error(`Failed to parse GeoJSON at ${filePath}: ${e.message}`); }
+  return Boundary.fromGeoJSON(json, null);
+}
+
+// --bbox uses GeoJSON bbox order: west,south,east,north
+export function parseBbox(value) {
+  const parts = value.split(',').map(v => parseFloat(v.trim()));
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) throw new Error("--bbox must be west,south,east,north");
+  const [west, south, east, north] = parts;
+  if (south < -90 || north > 90 || south >= north) throw new Error("--bbox latitudes must satisfy -90 <= south < north <= 90");
+  if (west < -180 || east > 180 || west >= east) throw new Error("--bbox longitudes must satisfy -180 <= west < east <= 180");
+  return { northeast: { lat: north, lon: east }, southwest: { lat: south, lon: west } };
+}
+
+export function boundaryArea(boundary, label) {
+  const bounds = boundary.getBounds();
+  return {
+    center: { lat: (bounds.northeast.lat + bounds.southwest.lat) / 2, lon: (bounds.northeast.lon + bounds.southwest.lon) / 2 },
+    bounds,
+    formattedAddress: label,
+    placeId: null,
+    types: [],
+    boundary: boundary.toJSON()
+  };
+}
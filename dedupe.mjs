@@ -0,0 +1,224 @@
+import { distanceMeters } from "./util.mjs";
+
+/* ─────────────────────────────────────────────
+   Duplicate Detection (near-duplicate POIs)
+───────────────────────────────────────────── */
+// Output records carry the provider id as placeId, so files merged later still match by id
+export function getPOIKey(poi) {
+  if (poi._original && poi._original.id) return `pid:${poi._original.id}`;
+  if (poi.placeId) return `pid:${poi.placeId}`;
+  const latRounded = poi.latitude.toFixed(5);
+  const lonRounded = poi.longitude.toFixed(5);
+  return `name:${poi.name}|${latRounded},${lonRounded}`;
+}
+
+// Exact keys (getPOIKey) miss the same place listed twice under different ids, e.g.
+// "Blue Bottle Coffee" and "Blue Bottle Coffee - Hayes Valley" 15m apart.
+// A pair is merged when name similarity, proximity and category agreement score at least the threshold.
+const DUPLICATE_WEIGHTS = { name: 0.6, distance: 0.25, category: 0.15 };
+const NAME_STOPWORDS = new Set(['the', 'and', 'inc', 'llc', 'ltd', 'co', 'corp', 'company']);
+
+// Off unless --dedupe fuzzy; tuned with --dedupe-threshold / --dedupe-distance
+const DEDUPE_MODES = ['exact', 'fuzzy'];
+const duplicateConfig = { enabled: false, threshold: 0.85, maxDistance: 100 };
+
+// --dedupe exact|fuzzy → whether near-duplicates are merged
+export function parseDedupeMode(value) {
+  if (!DEDUPE_MODES.includes(value)) throw new Error(`--dedupe must be one of: ${DEDUPE_MODES.join(', ')}`);
+  return value === 'fuzzy';
+}
+
+export function configureDuplicates({ enabled = false, threshold = 0.85, maxDistance = 100 } = {}) {
+  if (!(threshold > 0 && threshold <= 1)) throw new Error("dedupe-threshold must be between 0 and 1");
+  if (!(maxDistance > 0)) throw new Error("dedupe-distance must be a positive number of meters");
+  Object.assign(duplicateConfig, { enabled, threshold, maxDistance });
+}
+
+// "Walgreens #1234" → "1234": two names with different store numbers are different branches
+function storeNumber(name) {
+  const match = /#\s*(\d+)/.exec(name || '');
+  return match ? match[1] : null;
+}
+
+// Lowercased, accent-free name tokens with branch suffixes stripped:
+// "Blue Bottle Coffee - Hayes Valley", "Shake Shack (Midtown)", "Walgreens #1234" → base name
+function normalizePOIName(name) {
+  const base = (name || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  const stripped = base.replace(/\s+[-–—|@:]\s+.*$/, '').replace(/\(.*?\)/g, ' ').replace(/#\s*\d+/g, ' ');
+  const tokenize = (text) => text.replace(/&/g, ' and ').replace(/['’]/g, '').split(/[^a-z0-9]+/).filter(t => t && !NAME_STOPWORDS.has(t));
+  const tokens = tokenize(stripped);
+  return tokens.length > 0 ? tokens : tokenize(base);
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// 0..1: edit similarity of the normalized names, or token containment when the shorter name has
+// at least two tokens (so "Target" alone never swallows "Target Optical")
+export function nameSimilarity(a, b) {
+  const storeA = storeNumber(a);
+  const storeB = storeNumber(b);
+  if (storeA && storeB && storeA !== storeB) return 0;
+  const ta = normalizePOIName(a);
+  const tb = normalizePOIName(b);
+  if (ta.length === 0 || tb.length === 0) return 0;
+  const sa = ta.join(' ');
+  const sb = tb.join(' ');
+  if (sa === sb) return 1;
+  const edit = 1 - levenshtein(sa, sb) / Math.max(sa.length, sb.length);
+  const setA = new Set(ta);
+  const setB = new Set(tb);
+  const shorter = Math.min(setA.size, setB.size);
+  if (shorter < 2) return edit;
+  const shared = [...setA].filter(t => setB.has(t)).length;
+  return Math.max(edit, 0.9 * shared / shorter);
+}
+
+// ignoreCategory scores categories as agreeing, for callers that resolve category conflicts themselves
+function duplicateScore(a, b, maxDistance = duplicateConfig.maxDistance, { ignoreCategory = false } = {}) {
+  const distance = distanceMeters(a.latitude, a.longitude, b.latitude, b.longitude);
+  if (distance > maxDistance) return { score: 0, distance, name: 0 };
+  const name = nameSimilarity(a.name, b.name);
+  const score = DUPLICATE_WEIGHTS.name * name +
+    DUPLICATE_WEIGHTS.distance * (1 - distance / maxDistance) +
+    DUPLICATE_WEIGHTS.category * (ignoreCategory || a.category === b.category ? 1 : 0);
+  return { score, distance, name };
+}
+
+// Spatial buckets of maxDistance so each lookup only scores nearby POIs
+export class DuplicateDetector {
+  constructor({ threshold = duplicateConfig.threshold, maxDistance = duplicateConfig.maxDistance, enabled = duplicateConfig.enabled, ignoreCategory = false } = {}) {
+    this.threshold = threshold;
+    this.maxDistance = maxDistance;
+    this.enabled = enabled;
+    this.ignoreCategory = ignoreCategory;
+    this.cellDegrees = maxDistance / 111320;
+    this.cells = new Map();
+    this.mergedKeys = new Set();
+  }
+
+  cellOf(lat, lon) {
+    return [Math.floor(lat / this.cellDegrees), Math.floor(lon / this.cellDegrees)];
+  }
+
+  // ref is handed back as match.ref so callers can find the record they kept (non-enumerable, so snapshots skip it)
+  add(poi, ref = null) {
+    if (!this.enabled) return;
+    const entry = { name: poi.name, latitude: poi.latitude, longitude: poi.longitude, category: poi.category };
+    if (ref) Object.defineProperty(entry, 'ref', { value: ref });
+    const key = this.cellOf(entry.latitude, entry.longitude).join(',');
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push(entry);
+  }
+
+  // Undoes add() for a POI that was dropped after all
+  remove(poi) {
+    if (!this.enabled) return;
+    const entries = this.cells.get(this.cellOf(poi.latitude, poi.longitude).join(',')) || [];
+    const index = entries.findIndex(entry => entry.name === poi.name && entry.latitude === poi.latitude && entry.longitude === poi.longitude);
+    if (index !== -1) entries.splice(index, 1);
+  }
+
+  // Best-scoring earlier POI at or above the threshold, or null
+  findDuplicate(poi) {
+    if (!this.enabled) return null;
+    const [row, col] = this.cellOf(poi.latitude, poi.longitude);
+    let best = null;
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        for (const entry of this.cells.get(`${row + dr},${col + dc}`) || []) {
+          const result = duplicateScore(poi, entry, this.maxDistance, { ignoreCategory: this.ignoreCategory });
+          if (result.score >= this.threshold && (!best || result.score > best.score)) best = { match: entry, ...result };
+        }
+      }
+    }
+    return best;
+  }
+
+  // Keys already merged once, so later sightings of the same listing are dropped quietly
+  isMerged(key) { return this.mergedKeys.has(key); }
+
+  markMerged(key) { this.mergedKeys.add(key); }
+
+  snapshot() {
+    return { entries: Array.from(this.cells.values()).flat(), mergedKeys: Array.from(this.mergedKeys) };
+  }
+
+  restore(state = {}) {
+    this.cells = new Map();
+    for (const entry of state.entries || []) this.add(entry);
+    this.mergedKeys = new Set(state.mergedKeys || []);
+  }
+}
+
+/* ─────────────────────────────────────────────
+   Merge Policy (poiseed merge)
+───────────────────────────────────────────── */
+// How a collision picks the record to keep:
+//   newest     - record from the most recently modified file
+//   ai         - AI classification over rules, then highest confidence, then newest
+//   confidence - highest confidence, then newest
+export const MERGE_POLICIES = ['newest', 'ai', 'confidence'];
+
+function isAIClassified(record) {
+  return /\bAI\b/.test(record.classificationMethod || '');
+}
+
+function compareForMerge(policy, a, b) {
+  const newer = a._fileOrder - b._fileOrder || a._index - b._index;
+  const confidence = (a.confidence ?? 0) - (b.confidence ?? 0);
+  if (policy === 'newest') return newer;
+  if (policy === 'ai') return (isAIClassified(a) - isAIClassified(b)) || confidence || newer;
+  return confidence || newer;
+}
+
+function describeMergeWinner(policy, winner, loser) {
+  if (policy === 'ai' && isAIClassified(winner) !== isAIClassified(loser)) return `${winner.classificationMethod} over ${loser.classificationMethod || 'unknown'}`;
+  if (policy !== 'newest' && (winner.confidence ?? 0) !== (loser.confidence ?? 0)) return `confidence ${winner.confidence ?? 0} > ${loser.confidence ?? 0}`;
+  return `newer (${winner._file})`;
+}
+
+// records are in file order (oldest file first) and carry _fileOrder / _index for the newest policy;
+// returns the kept records and one collision per record that matched an earlier one by key or as a near-duplicate
+export function mergeRecords(records, policy = 'confidence') {
+  const kept = new Map();
+  const detector = new DuplicateDetector({ ignoreCategory: true });
+  const collisions = [];
+  for (const record of records) {
+    const key = getPOIKey(record);
+    let existingKey = kept.has(key) ? key : null;
+    let match = existingKey ? { kind: 'key' } : null;
+    if (!match) {
+      const duplicate = detector.findDuplicate(record);
+      if (duplicate) {
+        existingKey = duplicate.match.ref;
+        match = { kind: 'near', score: duplicate.score, distance: duplicate.distance };
+      }
+    }
+    if (!match) {
+      kept.set(key, record);
+      detector.add(record, key);
+      continue;
+    }
+    const existing = kept.get(existingKey);
+    const incomingWins = compareForMerge(policy, record, existing) > 0;
+    const [winner, loser] = incomingWins ? [record, existing] : [existing, record];
+    if (incomingWins) {
+      // Later records are scored against the one that is actually kept
+      kept.set(existingKey, record);
+      detector.remove(existing);
+      detector.add(record, existingKey);
+    }
+    collisions.push({ ...match, winner, loser, reason: describeMergeWinner(policy, winner, loser) });
+  }
+  return { kept: Array.from(kept.values()), collisions };
+}
@@ -0,0 +1,66 @@
+import { poiCategories } from "./rules.mjs";
+
+/* ─────────────────────────────────────────────
+   Classification Scores (poiseed eval)
+───────────────────────────────────────────── */
+// Expected label for a place the pipeline should drop (pre-filter or validation)
+export const EXCLUDED_LABEL = 'excluded';
+
+export function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+// rows: [{ expected, predicted, expectedSub, predictedSub }]; classes follow the rules' category order, then "excluded"
+export function scoreEvaluation(rows, categories = poiCategories()) {
+  const order = [...categories, EXCLUDED_LABEL];
+  const classes = order.filter(c => rows.some(r => r.expected === c || r.predicted === c));
+  const confusion = Object.fromEntries(classes.map(expected => [expected, Object.fromEntries(classes.map(predicted => [predicted, 0]))]));
+  for (const row of rows) confusion[row.expected][row.predicted]++;
+  const perClass = classes.map(c => {
+    const tp = confusion[c][c];
+    const support = classes.reduce((n, p) => n + confusion[c][p], 0);
+    const predictedCount = classes.reduce((n, e) => n + confusion[e][c], 0);
+    const precision = ratio(tp, predictedCount);
+    const recall = ratio(tp, support);
+    const f1 = precision !== null && recall !== null && precision + recall > 0 ? 2 * precision * recall / (precision + recall) : (support > 0 || predictedCount > 0 ? 0 : null);
+    return { category: c, precision, recall, f1, support };
+  });
+  const correct = rows.filter(r => r.expected === r.predicted).length;
+  const labeled = perClass.filter(c => c.support > 0);
+  const subRows = rows.filter(r => r.expectedSub && r.expected === r.predicted);
+  return {
+    total: rows.length,
+    correct,
+    accuracy: ratio(correct, rows.length),
+    macroF1: ratio(labeled.reduce((sum, c) => sum + (c.f1 ?? 0), 0), labeled.length),
+    subcategory: { total: subRows.length, correct: subRows.filter(r => r.predictedSub === r.expectedSub).length },
+    perClass,
+    classes,
+    confusion
+  };
+}
+
+// Most frequent expected → predicted mix-ups first, with the places behind them
+export function worstOffenders(rows, limit = 10) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (row.expected === row.predicted) continue;
+    const key = `${row.expected} → ${row.predicted}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return Array.from(groups, ([pair, list]) => ({ pair, count: list.length, places: list }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+export function evaluationBaseline(score, labelsFile) {
+  return {
+    createdAt: new Date().toISOString(),
+    labels: labelsFile,
+    total: score.total,
+    accuracy: score.accuracy,
+    macroF1: score.macroF1,
+    f1: Object.fromEntries(score.perClass.filter(c => c.support > 0).map(c => [c.category, c.f1]))
+  };
+}
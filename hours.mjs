@@ -0,0 +1,100 @@
+/* ─────────────────────────────────────────────
+   Opening Hours (--open-at / --open-now)
+───────────────────────────────────────────── */
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MINUTES = 24 * 60;
+const WEEK_MINUTES = 7 * DAY_MINUTES;
+
+// "HHMM" → minutes after midnight
+function hoursTimeToMinutes(time) {
+  return Number(time.slice(0, 2)) * 60 + Number(time.slice(2, 4));
+}
+
+// Minutes (past the day or week start) → "HH:MM"
+function formatClock(minutes) {
+  const m = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+// start/end count minutes from the start of the open day; end passes DAY_MINUTES for overnight spans
+function hoursInterval(period, dayStart) {
+  const start = dayStart + hoursTimeToMinutes(period.open.time);
+  const days = (period.close.day - period.open.day + 7) % 7;
+  let end = dayStart + days * DAY_MINUTES + hoursTimeToMinutes(period.close.time);
+  if (end <= start) end += WEEK_MINUTES;
+  return { open: formatClock(start), close: formatClock(end), overnight: end - dayStart > DAY_MINUTES, start, end };
+}
+
+/*
+  The queryable form of a place's hours, in the place's local time:
+    { timeZone, utcOffsetMinutes, alwaysOpen,
+      weekly: [{ day, open: "HH:MM", close: "HH:MM", overnight, start, end }],
+      special: [{ date: "YYYY-MM-DD", closed, intervals: [{ open, close, overnight, start, end }] }] }
+  Weekly start/end are minutes from Sunday 00:00, so Friday 17:00-02:00 is 8220-8760 and Saturday's
+  span into Sunday ends past WEEK_MINUTES; special intervals count from that date's midnight.
+*/
+export function buildHoursModel({ openingHours = null, currentOpeningHours = null, timeZone = null, utcOffsetMinutes = null } = {}) {
+  const regular = openingHours?.periods?.length ? openingHours : currentOpeningHours;
+  if (!regular?.periods?.length) return null;
+  // Google marks 24/7 places with a single Sunday 00:00 open and no close
+  const alwaysOpen = regular.periods.length === 1 && !regular.periods[0].close;
+  const weekly = alwaysOpen ? [] : regular.periods
+    .filter(period => period.open && period.close)
+    .map(period => ({ day: period.open.day, ...hoursInterval(period, period.open.day * DAY_MINUTES) }))
+    .sort((a, b) => a.start - b.start);
+  const special = (currentOpeningHours?.specialDays || []).map(({ date }) => {
+    const intervals = (currentOpeningHours.periods || [])
+      .filter(period => period.open?.date === date)
+      .map(period => (period.close ? hoursInterval(period, 0) : { open: '00:00', close: '24:00', overnight: false, start: 0, end: DAY_MINUTES }));
+    return { date, closed: intervals.length === 0, intervals };
+  });
+  return { timeZone, utcOffsetMinutes, alwaysOpen, weekly, special };
+}
+
+// { day, minute, date } at the place: its IANA zone when known, else its UTC offset, else this machine's zone
+export function placeClock(hours, at = new Date()) {
+  if (hours.timeZone) {
+    try {
+      const format = new Intl.DateTimeFormat('en-US', { timeZone: hours.timeZone, hourCycle: 'h23', weekday: 'short', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+      const parts = Object.fromEntries(format.formatToParts(at).map(part => [part.type, part.value]));
+      return { day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()), minute: Number(parts.hour) * 60 + Number(parts.minute), date: `${parts.year}-${parts.month}-${parts.day}` };
+    } catch (_) {
+      // Unknown zone name: fall back to the offset
+    }
+  }
+  const offset = hours.utcOffsetMinutes ?? -at.getTimezoneOffset();
+  const local = new Date(at.getTime() + offset * 60000);
+  return { day: local.getUTCDay(), minute: local.getUTCHours() * 60 + local.getUTCMinutes(), date: local.toISOString().slice(0, 10) };
+}
+
+function previousDate(date) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) - DAY_MINUTES * 60000).toISOString().slice(0, 10);
+}
+
+// Special hours replace the regular ones for their date; a span that started the day before still counts
+export function isOpenAt(hours, { day, minute, date = null }) {
+  if (hours.alwaysOpen) return true;
+  const weekMinute = day * DAY_MINUTES + minute;
+  const inWeekly = interval => [weekMinute, weekMinute + WEEK_MINUTES].some(m => m >= interval.start && m < interval.end);
+  const startsToday = interval => interval.day === day;
+  const today = date ? hours.special.find(s => s.date === date) : null;
+  const yesterday = date ? hours.special.find(s => s.date === previousDate(date)) : null;
+  const carriedOver = yesterday
+    ? yesterday.intervals.some(i => minute + DAY_MINUTES >= i.start && minute + DAY_MINUTES < i.end)
+    : hours.weekly.some(i => !startsToday(i) && inWeekly(i));
+  if (carriedOver) return true;
+  if (today) return today.intervals.some(i => minute >= i.start && minute < i.end);
+  return hours.weekly.some(i => startsToday(i) && inWeekly(i));
+}
+
+// "sat 22:00" / "Saturday 9:30" → { day, minute, label }; only the 3-letter abbreviation or the full name is a day
+export function parseOpenAt(value) {
+  const match = /^([a-z]+)\s+(\d{1,2}):(\d{2})$/i.exec(String(value).trim());
+  const name = match ? match[1].toLowerCase() : null;
+  const day = match ? WEEKDAYS.findIndex((abbr, i) => name === abbr || name === WEEKDAY_NAMES[i]) : -1;
+  const hour = match ? Number(match[2]) : NaN;
+  const minute = match ? Number(match[3]) : NaN;
+  if (day === -1 || !(hour <= 23) || !(minute <= 59)) throw new Error(`--open-at must look like "sat 22:00" (day and 24-hour time), got "${value}"`);
+  return { day, minute: hour * 60 + minute, label: `${WEEKDAYS[day]} ${formatClock(hour * 60 + minute)}` };
+}
@@ -2,63 +2,32 @@ import axios from "axios";
 import fs from "fs/promises";
 import dotenv from "dotenv";
 import OpenAI from "openai";
+import {
+  configureRules, poiCategories, AI_SYSTEM_PROMPT, buildClassificationPrompt,
+  getBestCategory, getBestSubcategory, isKnownSubcategory, formatCategory, matchesCategoryFilter, checkCategoryFilter,
+  isGloballyIneligible, explainGlobalIneligible, validatePlace, explainValidationFailure
+} from "./rules.mjs";
 dotenv.config();
 
 /* ─────────────────────────────────────────────
    Config – tweak these or pass via CLI/ENV
 ───────────────────────────────────────────── */
 const RADIUS = 500;             // metres
-// Approved POI categories - enforce consistency across the app
-const POI_CATEGORIES = [
-  'park',        // Outdoor recreational spaces
-  'restaurant',  // Food, drinks, dining
-  'attraction',  // Tourist sites, museums, landmarks, public squares
-  'cafe',        // Coffee shops, casual dining
-  'bar',         // Bars, pubs, nightlife
-  'shopping',    // Retail stores
-  'library',     // Educational/community spaces
-  'beach',       // Waterfront recreation
-  'gym',         // Fitness centers, sports facilities
-  'venue',       // Venues, events, concerts, etc.
-  'entertainment', // Entertainment, shows, movies, etc.
-  'health',      // Medical facilities, doctors, hospitals, clinics
-  'misc'         // Everything that doesn't fit elsewhere
-];
-// Types that are too generic to be useful for POI validation
-const GENERIC_PLACE_TYPES = [
-  'establishment',
-  'point_of_interest',
-  'locality',
-  'political',
-  'sublocality',
-  'neighborhood',
-  'administrative_area_level_1',
-  'administrative_area_level_2',
-  'country',
-  'route',
-  'street_address',
-  'premise',
-  'colloquial_area'
-];
-// Administrative/area-like types that we always exclude from POIs
-const EXCLUDED_GLOBAL_TYPES = [
-  'locality',
-  'political',
-  'country',
-  'administrative_area_level_1',
-  'administrative_area_level_2',
-  'administrative_area_level_3',
-  'sublocality',
-  'neighborhood',
-  'colloquial_area'
-];
-// Extremely generic or meaningless names to exclude when unsupported by specific types
-const GENERIC_BAD_NAMES = ['website', 'home', 'my location', 'new york'];
 const API_KEY = process.env.GOOGLE_PLACES_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 
-// Initialize OpenAI client (if API key is available)
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
+// AI backend defaults – override with --ai-model, --ai-base-url, --ai-api-key-env,
+// --ai-temperature and --ai-max-tokens (any OpenAI-compatible server works)
+const AI_DEFAULTS = {
+  model: "gpt-4o-mini",        // Faster and cheaper than GPT-4
+  baseUrl: null,               // null = OpenAI (or OPENAI_BASE_URL if set)
+  apiKeyEnv: "OPENAI_API_KEY", // Name of the env var holding the API key
+  temperature: 0.1,            // Low temperature for consistent classification
+  maxTokens: 200
+};
+let aiSettings = { ...AI_DEFAULTS };
+
+// OpenAI client, created in main() once the AI flags are parsed (null = no API key)
+let openai = null;
 // Global JSON output mode (suppress normal logs when true)
 let JSON_MODE = false;
 
@@ -94,77 +63,22 @@ async function classifyPlaceWithAI(place) {
   log(`🔄 AI-START: Classifying "${place.name}"...`);
 
   try {
-    const prompt = `
-Analyze this place and classify it into the most appropriate category.
-
-Place Details:
-- Name: "${place.name}"
-- Description/Address: "${place.vicinity || 'N/A'}"
-- Google Types: ${(place.types || []).join(', ')}
-- Rating: ${place.rating || 'N/A'}
-
-Available Categories: ${POI_CATEGORIES.join(', ')}
-
-Category Definitions:
-- park: Outdoor recreational spaces (parks, gardens, playgrounds)
-- restaurant: Food, drinks, dining (restaurants, diners, food trucks)
-- attraction: Tourist sites, museums, landmarks, public squares, religious sites
-- cafe: Coffee shops, casual dining, bakeries
-- bar: Bars, pubs, nightlife, breweries
-- shopping: Retail stores, malls, supermarkets, pharmacies
-- library: Educational/community spaces (libraries, schools, universities)
-- beach: Waterfront recreation (beaches, piers, marinas)
-- gym: Fitness centers, sports facilities, spas
-- venue: Venues, events, concerts, stadiums, halls, convention centers
-- entertainment: Entertainment, shows, movies, theaters, amusement parks
-- misc: Everything that doesn't fit elsewhere
-
-Consider:
-1. What is the PRIMARY purpose/function of this place?
-2. What would a person most likely visit this place for?
-3. If a place has multiple functions, choose based on its MAIN purpose:
-   - Movie theaters that serve food → entertainment (not restaurant)
-   - Museums with cafes → attraction (not cafe)  
-   - Hotels with restaurants → misc (not restaurant)
-   - Gyms with juice bars → gym (not cafe)
-   - Music venues that serve drinks → venue (not bar)
-   - Stadiums with concessions → venue (not restaurant)
-   - Music stores that sell instruments → shopping (not venue)
-   - Bookstores with events → shopping (not venue)
-4. The business name often indicates the primary function.
-
-CRITICAL: Respond with ONLY a valid JSON object. Do NOT use markdown, code blocks, or any other formatting.
-
-Required JSON format:
-{
-  "category": "most_appropriate_category",
-  "confidence": 0.95,
-  "reasoning": "Brief explanation of why this category was chosen",
-  "isValid": true,
-  "alternativeCategory": "second_best_option_or_null"
-}
-
-Rules:
-- The category MUST be one from the available categories list
-- Set isValid to false if this doesn't seem like a legitimate business/place
-- Do NOT wrap the JSON in markdown code blocks
-- Return ONLY the JSON object, nothing else
-`;
+    const prompt = buildClassificationPrompt(place);
 
     const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini", // Faster and cheaper than GPT-4
+      model: aiSettings.model,
       messages: [
         {
           role: "system", 
-          content: "You are a place classification assistant. Always respond with valid JSON only, never use markdown formatting or code blocks."
+          content: AI_SYSTEM_PROMPT
         },
         { 
           role: "user", 
           content: prompt 
         }
       ],
-      temperature: 0.1, // Low temperature for consistent classification
-      max_tokens: 200
+      temperature: aiSettings.temperature,
+      max_tokens: aiSettings.maxTokens
     });
 
     let responseContent = response.choices[0].message.content.trim();
@@ -195,14 +109,19 @@ Rules:
       return null;
     }
     
-    if (!POI_CATEGORIES.includes(result.category)) {
+    if (!poiCategories().includes(result.category)) {
       const elapsed = Date.now() - startTime;
       logWarn(`⚠️ AI returned invalid category: ${result.category} for ${place.name} (${elapsed}ms)`);
       return null;
     }
 
+    // An unknown subcategory only loses the subcategory, not the classification
+    if (!isKnownSubcategory(result.category, result.subcategory)) {
+      result.subcategory = null;
+    }
+
     const elapsed = Date.now() - startTime;
-    log(`✅ AI-DONE: "${place.name}" → ${result.category} (${elapsed}ms)`);
+    log(`✅ AI-DONE: "${place.name}" → ${formatCategory(result)} (${elapsed}ms)`);
     return result;
   } catch (error) {
     const elapsed = Date.now() - startTime;
@@ -252,236 +171,6 @@ async function batchClassifyWithAI(places) {
   return results;
 }
 
-/* ─────────────────────────────────────────────
-   Clean POI Category Classification Rules
-───────────────────────────────────────────── */
-const CLASSIFICATION_RULES = {
-  park: {
-    priority: 10,
-    types: ['park', 'campground', 'rv_park'],
-    keywords: ['park', 'garden', 'green', 'playground', 'recreation', 'square', 'plaza', 'promenade', 'waterfront', 'pier', 'trail', 'commons', 'field'],
-    excludeKeywords: ['restaurant', 'bar', 'cafe', 'hotel', 'store', 'shop', 'market', 'pharmacy', 'bank']
-  },
-  shopping: {
-    priority: 9,
-    types: ['shopping_mall', 'department_store', 'clothing_store', 'shoe_store', 'jewelry_store', 'electronics_store', 'furniture_store', 'home_goods_store', 'book_store', 'bicycle_store', 'store', 'supermarket', 'grocery_or_supermarket', 'convenience_store', 'drugstore', 'pharmacy', 'florist', 'hardware_store', 'laundry', 'pet_store'],
-    keywords: ['store', 'shop', 'market', 'boutique', 'outlet', 'retail'],
-    excludeKeywords: []
-  },
-  entertainment: {
-    priority: 8,
-    types: ['movie_theater', 'amusement_park'],
-    keywords: ['cinema', 'theater', 'theatre', 'movie', 'amusement', 'arcade', 'entertainment'],
-    excludeTypes: ['store'],
-    excludeKeywords: ['store', 'shop']
-  },
-  venue: {
-    priority: 7,
-    types: ['stadium', 'bowling_alley', 'casino'],
-    keywords: ['stadium', 'arena', 'venue', 'hall', 'center', 'auditorium', 'amphitheater', 'bowling', 'casino', 'convention'],
-    excludeTypes: ['store', 'clothing_store', 'electronics_store', 'book_store', 'shoe_store'],
-    excludeKeywords: ['store', 'shop', 'market', 'boutique', 'retail']
-  },
-  attraction: {
-    priority: 6,
-    types: ['tourist_attraction', 'museum', 'zoo', 'aquarium', 'art_gallery', 'church', 'hindu_temple', 'mosque', 'synagogue', 'city_hall', 'courthouse', 'embassy'],
-    keywords: ['museum', 'gallery', 'monument', 'memorial', 'historic', 'cathedral', 'church', 'temple', 'bridge', 'tower', 'statue'],
-    excludeKeywords: []
-  },
-  cafe: {
-    priority: 5,
-    types: ['cafe', 'bakery'],
-    keywords: ['cafe', 'coffee', 'bakery', 'patisserie', 'espresso'],
-    excludeKeywords: []
-  },
-  bar: {
-    priority: 4,
-    types: ['bar', 'night_club'],
-    keywords: ['bar', 'pub', 'tavern', 'lounge', 'brewery', 'taproom', 'cocktail', 'nightclub'],
-    excludeTypes: ['drugstore', 'convenience_store', 'pharmacy', 'health'],
-    excludeKeywords: ['cvs', 'duane reade', 'walgreens', 'rite aid']
-  },
-  restaurant: {
-    priority: 3,
-    types: ['restaurant', 'meal_takeaway', 'meal_delivery', 'food'],
-    keywords: ['restaurant', 'bistro', 'eatery', 'kitchen', 'grill', 'diner', 'pizzeria', 'steakhouse'],
-    excludeTypes: ['drugstore', 'convenience_store', 'pharmacy', 'health'],
-    excludeKeywords: ['cvs', 'duane reade', 'walgreens', 'rite aid']
-  },
-  beach: { priority: 2, types: ['natural_feature'], keywords: ['beach', 'shore', 'waterfront', 'marina', 'harbor', 'pier', 'wharf', 'dock'], excludeKeywords: [] },
-  library: { priority: 2, types: ['library', 'school', 'university'], keywords: ['library', 'school', 'university', 'college', 'academy', 'institute'], excludeKeywords: [] },
-  gym: { priority: 2, types: ['gym', 'spa'], keywords: ['gym', 'fitness', 'yoga', 'pilates', 'crossfit', 'spa', 'wellness'], excludeKeywords: [] },
-  health: { 
-    priority: 2, 
-    types: ['doctor', 'hospital', 'dentist', 'pharmacy', 'physiotherapist', 'health', 'dentistry', 'medical_lab', 'veterinary_care'], 
-    keywords: ['doctor', 'dr.', ' md', 'hospital', 'medical', 'clinic', 'health', 'dentist', 'dental', 'physician', 'surgery', 'care center'], 
-    excludeKeywords: [] 
-  },
-  misc: { priority: 1, types: [], keywords: [], excludeKeywords: [] }
-};
-
-/* ─────────────────────────────────────────────
-   Clean category classification function
-───────────────────────────────────────────── */
-function getBestCategory(place) {
-  const placeName = place.name.toLowerCase();
-  const placeTypes = place.types || [];
-  
-  let bestMatch = { category: 'misc', priority: 0, confidence: 0 };
-  
-  for (const [category, rules] of Object.entries(CLASSIFICATION_RULES)) {
-    // Skip if excluded by type or keyword
-    if (rules.excludeTypes?.some(type => placeTypes.includes(type))) continue;
-    if (rules.excludeKeywords?.some(keyword => placeName.includes(keyword))) continue;
-    
-    let confidence = 0;
-    
-    // Check Google types match
-    const typeMatches = rules.types?.filter(type => placeTypes.includes(type)).length || 0;
-    confidence += typeMatches * 2; // Types are more reliable
-    
-    // Check keyword matches  
-    const keywordMatches = rules.keywords?.filter(keyword => placeName.includes(keyword)).length || 0;
-    confidence += keywordMatches;
-    
-    // Special handling for bars with liquor stores
-    if (category === 'bar' && placeTypes.includes('liquor_store') && 
-        !placeTypes.some(type => ['drugstore', 'convenience_store', 'store'].includes(type))) {
-      confidence += 1;
-    }
-    
-    // Update best match if this is better
-    if (confidence > 0 && (rules.priority > bestMatch.priority || 
-        (rules.priority === bestMatch.priority && confidence > bestMatch.confidence))) {
-      bestMatch = { category, priority: rules.priority, confidence };
-    }
-  }
-  
-  return bestMatch.category;
-}
-
-/* ─────────────────────────────────────────────
-   Simplified validation using the same rules
-───────────────────────────────────────────── */
-// Helper guards to exclude administrative/over-generic entries
-function hasOnlyGenericTypes(types) {
-  const placeTypes = types || [];
-  if (placeTypes.length === 0) return true;
-  const nonGenericTypes = placeTypes.filter(t => !GENERIC_PLACE_TYPES.includes(t));
-  return nonGenericTypes.length === 0;
-}
-
-function containsExcludedGlobalType(types) {
-  const placeTypes = types || [];
-  return placeTypes.some(t => EXCLUDED_GLOBAL_TYPES.includes(t));
-}
-
-function isGenericName(name) {
-  const n = (name || '').trim().toLowerCase();
-  return n.length > 0 && GENERIC_BAD_NAMES.includes(n);
-}
-
-function isAddressLike(name) {
-  const n = (name || '').toLowerCase();
-  // Looks like an address if it has a street number and a street designator
-  const hasNumber = /\b\d{1,6}\b/.test(n);
-  const hasStreetWord = /(street|st\.?|ave\.?|avenue|blvd\.?|boulevard|rd\.?|road|dr\.?|drive|ln\.?|lane|ct\.?|court|pl\.?|place|pkwy\.?|parkway|suite|ste\.?|apt\.?)/.test(n);
-  return hasNumber && hasStreetWord;
-}
-
-function isGloballyIneligible(place) {
-  const placeTypes = place.types || [];
-  const placeName = place.name || '';
-  if (containsExcludedGlobalType(placeTypes)) return true;
-  if (hasOnlyGenericTypes(placeTypes) && (isGenericName(placeName) || isAddressLike(placeName))) return true;
-  return false;
-}
-
-// Explain why a place is globally ineligible
-function explainGlobalIneligible(place) {
-  const placeTypes = place.types || [];
-  if (containsExcludedGlobalType(placeTypes)) {
-    const offending = placeTypes.filter(t => EXCLUDED_GLOBAL_TYPES.includes(t));
-    return `contains excluded global types: ${offending.join(', ')}`;
-  }
-  const placeName = place.name || '';
-  const genericTypes = hasOnlyGenericTypes(placeTypes);
-  const genericName = isGenericName(placeName);
-  const addressLike = isAddressLike(placeName);
-  if (genericTypes && (genericName || addressLike)) {
-    const reasons = [];
-    reasons.push('only generic Google types');
-    if (genericName) reasons.push('generic name');
-    if (addressLike) reasons.push('address-like name');
-    return reasons.join(', ');
-  }
-  return 'globally ineligible';
-}
-
-function validatePlace(place, category) {
-  const rules = CLASSIFICATION_RULES[category];
-  if (!rules) return false;
-  
-  const placeName = place.name.toLowerCase();
-  const placeTypes = place.types || [];
-  
-  // Global exclusions: administrative areas, over-generic entries
-  if (isGloballyIneligible(place)) return false;
-
-  // Check exclusions first
-  if (rules.excludeTypes?.some(type => placeTypes.includes(type))) return false;
-  if (rules.excludeKeywords?.some(keyword => placeName.includes(keyword))) return false;
-  
-  // Must have either matching type or keyword
-  const hasMatchingType = rules.types?.some(type => placeTypes.includes(type)) || false;
-  const hasMatchingKeyword = rules.keywords?.some(keyword => placeName.includes(keyword)) || false;
-  
-  // Special case for bars with liquor stores
-  if (category === 'bar' && placeTypes.includes('liquor_store') && 
-      !placeTypes.some(type => ['drugstore', 'convenience_store', 'store'].includes(type))) {
-    return true;
-  }
-  
-  // Disallow misc if the entry is too generic or address-like with no specific signals
-  if (category === 'misc') {
-    if (hasOnlyGenericTypes(placeTypes) || isGenericName(place.name) || isAddressLike(place.name)) {
-      return false;
-    }
-  }
-
-  return hasMatchingType || hasMatchingKeyword || category === 'misc';
-}
-
-// Explain why validation failed for a specific category
-function explainValidationFailure(place, category) {
-  const rules = CLASSIFICATION_RULES[category];
-  if (!rules) return `unknown category: ${category}`;
-  if (isGloballyIneligible(place)) {
-    return explainGlobalIneligible(place);
-  }
-  const placeName = (place.name || '').toLowerCase();
-  const placeTypes = place.types || [];
-  if (rules.excludeTypes?.some(type => placeTypes.includes(type))) {
-    const offending = rules.excludeTypes.filter(t => placeTypes.includes(t));
-    return `has excluded types for ${category}: ${offending.join(', ')}`;
-  }
-  if (rules.excludeKeywords?.some(keyword => placeName.includes(keyword))) {
-    const offending = rules.excludeKeywords.filter(k => placeName.includes(k));
-    return `has excluded keywords for ${category}: ${offending.join(', ')}`;
-  }
-  const hasMatchingType = rules.types?.some(type => placeTypes.includes(type)) || false;
-  const hasMatchingKeyword = rules.keywords?.some(keyword => placeName.includes(keyword)) || false;
-  if (category === 'misc') {
-    if (hasOnlyGenericTypes(placeTypes) || isGenericName(place.name) || isAddressLike(place.name)) {
-      return 'misc disallowed for generic/address-like entries without specific signals';
-    }
-  }
-  if (!hasMatchingType && !hasMatchingKeyword && category !== 'misc') {
-    return `no matching type/keyword for ${category}`;
-  }
-  return 'failed validation';
-}
-
 /* ─────────────────────────────────────────────
    Filter and enhance places with intelligent categorization (AI-powered)
    Now with optimized flow: pre-filter → classify → validate → AI (optional) → category filter
@@ -505,16 +194,19 @@ async function processPlaces(rawPlaces, filterCategories = [], useAI = false) {
   log(`🔍 STEP 2: Applying rule-based classification...`);
   const classified = preFiltered.map(place => {
     const bestCategory = getBestCategory(place);
-    log(`📊 CLASSIFY: "${place.name}" → ${bestCategory} (rule-based)`);
+    const subcategory = getBestSubcategory(place, bestCategory);
+    log(`📊 CLASSIFY: "${place.name}" → ${formatCategory({ category: bestCategory, subcategory })} (rule-based)`);
     return {
+      placeId: place.place_id ?? null,
       name: place.name,
       description: place.vicinity ?? "",
       latitude: place.geometry.location.lat,
       longitude: place.geometry.location.lng,
       category: bestCategory,
+      subcategory: subcategory,
       types: place.types || [],
       rating: place.rating || null,
-      priceLevel: place.price_level || null,
+      priceLevel: place.price_level ?? null,
       _original: place
     };
   });
@@ -534,12 +226,14 @@ async function processPlaces(rawPlaces, filterCategories = [], useAI = false) {
 
   // STEP 4: Apply category filter if specified (BEFORE AI to save API calls)
   let categoryFiltered = validated;
+  const aiEnabled = useAI && !!openai;
   if (filterCategories.length > 0) {
     log(`🔍 STEP 4: Applying category filter [${filterCategories.join(', ')}]...`);
     categoryFiltered = validated.filter(place => {
-      const keep = filterCategories.includes(place.category);
+      // Without a rule subcategory, the AI still gets a chance to supply one before the final check
+      const keep = matchesCategoryFilter(filterCategories, place.category, place.subcategory ?? (aiEnabled ? undefined : null));
       if (!keep) {
-        log(`🚫 CATEGORY: excluded "${place.name}" – category filter (category=${place.category}, allowed=${filterCategories.join(', ')})`);
+        log(`🚫 CATEGORY: excluded "${place.name}" – category filter (category=${formatCategory(place)}, allowed=${filterCategories.join(', ')})`);
       }
       return keep;
     });
@@ -548,7 +242,7 @@ async function processPlaces(rawPlaces, filterCategories = [], useAI = false) {
 
   // STEP 5: AI classification (optional) - Only for category-filtered entries
   let aiEnhanced = categoryFiltered;
-  if (useAI && openai && categoryFiltered.length > 0) {
+  if (aiEnabled && categoryFiltered.length > 0) {
     log(`🔍 STEP 5: Applying AI classification to ${categoryFiltered.length} category-filtered entries...`);
     const aiClassifications = await batchClassifyWithAI(categoryFiltered.map(p => p._original));
     
@@ -560,15 +254,18 @@ async function processPlaces(rawPlaces, filterCategories = [], useAI = false) {
         // AI provided a better classification
         const aiCategory = aiResult.category;
         const aiValid = validatePlace(place._original, aiCategory);
+        // Rule subcategories win; the AI's only fills the gap
+        const aiSubcategory = getBestSubcategory(place._original, aiCategory) ?? aiResult.subcategory ?? null;
         
         // Also check if AI category matches filter
-        const categoryAllowed = filterCategories.length === 0 || filterCategories.includes(aiCategory);
+        const categoryAllowed = matchesCategoryFilter(filterCategories, aiCategory, aiSubcategory);
         
         if (aiValid && categoryAllowed) {
-          log(`🤖 AI-CLASSIFY: "${place.name}" → ${aiCategory} (confidence: ${(aiResult.confidence * 100).toFixed(0)}%)`);
+          log(`🤖 AI-CLASSIFY: "${place.name}" → ${formatCategory({ category: aiCategory, subcategory: aiSubcategory })} (confidence: ${(aiResult.confidence * 100).toFixed(0)}%)`);
           return {
             ...place,
             category: aiCategory,
+            subcategory: aiSubcategory,
             confidence: aiResult.confidence,
             reasoning: aiResult.reasoning,
             classificationMethod: 'AI',
@@ -581,9 +278,11 @@ async function processPlaces(rawPlaces, filterCategories = [], useAI = false) {
         }
       }
       
-      // Keep rule-based classification
+      // Keep rule-based classification, taking the AI's subcategory if it agreed on the category
+      const aiAgrees = aiResult?.isValid && aiResult.category === place.category;
       return {
         ...place,
+        subcategory: place.subcategory ?? (aiAgrees ? aiResult.subcategory ?? null : null),
         confidence: 0.8,
         reasoning: "Rule-based classification",
         classificationMethod: 'Rules',
@@ -601,7 +300,14 @@ async function processPlaces(rawPlaces, filterCategories = [], useAI = false) {
     }));
   }
 
-  let filtered = aiEnhanced;
+  // Final check for category:subcategory filters the AI could not satisfy
+  let filtered = aiEnhanced.filter(place => {
+    const keep = matchesCategoryFilter(filterCategories, place.category, place.subcategory);
+    if (!keep) {
+      log(`🚫 CATEGORY: excluded "${place.name}" – no matching subcategory after AI (category=${formatCategory(place)}, allowed=${filterCategories.join(', ')})`);
+    }
+    return keep;
+  });
 
   // Add stats for debugging
   filtered._stats = {
@@ -614,7 +320,7 @@ async function processPlaces(rawPlaces, filterCategories = [], useAI = false) {
     final: filtered.length,
     preFilterExcluded: rawPlaces.length - preFiltered.length,
     validationExcluded: classified.length - validated.length,
-    categoryFilterExcluded: validated.length - categoryFiltered.length
+    categoryFilterExcluded: validated.length - categoryFiltered.length + (aiEnhanced.length - filtered.length)
   };
 
   return filtered;
@@ -639,6 +345,12 @@ function parseCommandLineArgs() {
   let step = null; // Step size in meters between queries
   let maxSteps = 200; // Maximum steps to prevent infinite loops
   let outFile = null; // Optional output file for JSON
+  let rulesFile = null; // Classification rules file (defaults to rules.json)
+  let aiModel = AI_DEFAULTS.model; // Chat model used for --ai
+  let aiBaseUrl = AI_DEFAULTS.baseUrl; // OpenAI-compatible endpoint
+  let aiApiKeyEnv = AI_DEFAULTS.apiKeyEnv; // Env var holding the API key
+  let aiTemperature = AI_DEFAULTS.temperature;
+  let aiMaxTokens = AI_DEFAULTS.maxTokens;
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--lat' && i + 1 < args.length) {
@@ -671,6 +383,24 @@ function parseCommandLineArgs() {
     } else if (args[i] === '--out' && i + 1 < args.length) {
       outFile = args[i + 1];
       i++;
+    } else if (args[i] === '--rules' && i + 1 < args.length) {
+      rulesFile = args[i + 1];
+      i++;
+    } else if (args[i] === '--ai-model' && i + 1 < args.length) {
+      aiModel = args[i + 1];
+      i++;
+    } else if (args[i] === '--ai-base-url' && i + 1 < args.length) {
+      aiBaseUrl = args[i + 1];
+      i++;
+    } else if (args[i] === '--ai-api-key-env' && i + 1 < args.length) {
+      aiApiKeyEnv = args[i + 1];
+      i++;
+    } else if (args[i] === '--ai-temperature' && i + 1 < args.length) {
+      aiTemperature = parseFloat(args[i + 1]);
+      i++;
+    } else if (args[i] === '--ai-max-tokens' && i + 1 < args.length) {
+      aiMaxTokens = parseInt(args[i + 1]);
+      i++;
     }
   }
 
@@ -710,6 +440,16 @@ function parseCommandLineArgs() {
     process.exit(1);
   }
 
+  if (!(aiTemperature >= 0 && aiTemperature <= 2)) {
+    logError("❌ Error: --ai-temperature must be between 0 and 2");
+    process.exit(1);
+  }
+
+  if (!(Number.isInteger(aiMaxTokens) && aiMaxTokens >= 1)) {
+    logError("❌ Error: --ai-max-tokens must be a positive integer");
+    process.exit(1);
+  }
+
   // Default step to 80% of radius if not specified
   if (step === null) {
     step = Math.floor(radius * 0.8);
@@ -726,7 +466,15 @@ function parseCommandLineArgs() {
     target: target,
     step: step,
     maxSteps: maxSteps,
-    outFile: outFile
+    outFile: outFile,
+    rulesFile: rulesFile,
+    ai: {
+      model: aiModel,
+      baseUrl: aiBaseUrl,
+      apiKeyEnv: aiApiKeyEnv,
+      temperature: aiTemperature,
+      maxTokens: aiMaxTokens
+    }
   };
 }
 
@@ -851,7 +599,7 @@ async function fetchNearbyPOIs(latitude, longitude, radius, filterCategories = [
   log(`📊 Fetched ${allRawResults.length} raw results from Google Places API`);
   
   if (useAI && !openai) {
-    logWarn("⚠️ AI classification requested but OpenAI API key not found. Using rule-based classification.");
+    logWarn(`⚠️ AI classification requested but ${aiSettings.apiKeyEnv} is not set. Using rule-based classification.`);
   }
   
   // Apply intelligent processing and filtering
@@ -898,7 +646,7 @@ function displayResults(pois, showDetails = false) {
       log(`   📍 ${place.description}`);
       
       if (showDetails) {
-        log(`   📊 Category: ${place.category}`);
+        log(`   📊 Category: ${formatCategory(place)}`);
         log(`   🏷️  All Types: ${place.types.join(', ')}`);
         log(`   ✅ Validated: ${place.isValidated}`);
         if (place.confidence) log(`   🎯 Confidence: ${(place.confidence * 100).toFixed(1)}%`);
@@ -1009,6 +757,7 @@ function getPOIKey(poi) {
   if (poi._original && poi._original.place_id) {
     return `pid:${poi._original.place_id}`;
   }
+  if (poi.placeId) return `pid:${poi.placeId}`;
   // Fallback: name + rounded coordinates
   const latRounded = poi.latitude.toFixed(5);
   const lonRounded = poi.longitude.toFixed(5);
@@ -1073,6 +822,21 @@ async function main() {
   try {
     // Check for command line coordinates first
     const cmdArgs = parseCommandLineArgs();
+    // A broken rules file stops the run before any API calls are made
+    try {
+      await configureRules({ rulesFile: cmdArgs.rulesFile });
+      checkCategoryFilter(cmdArgs.filterCategories);
+    } catch (error) {
+      logError(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+    // Create the AI client for the chosen backend (only if its API key is set, or --ai-base-url points at a server that needs none)
+    aiSettings = cmdArgs.ai;
+    const aiApiKey = process.env[aiSettings.apiKeyEnv] || (aiSettings.baseUrl ? "no-key" : null);
+    if (aiApiKey) {
+      openai = new OpenAI({ apiKey: aiApiKey, ...(aiSettings.baseUrl ? { baseURL: aiSettings.baseUrl } : {}) });
+      if (cmdArgs.useAI) log(`🤖 AI backend: ${aiSettings.model} @ ${openai.baseURL}, ${process.env[aiSettings.apiKeyEnv] ? `key from ${aiSettings.apiKeyEnv}` : `no key (${aiSettings.apiKeyEnv} not set)`}`);
+    }
     if (cmdArgs.showJson) {
       JSON_MODE = true;
       // In JSON mode with --out file: keep logs visible and write JSON to file
@@ -1187,7 +951,7 @@ async function main() {
       log(`💡 Use --json flag for JSON output`);
       log(`💡 Use --out <file> to write JSON to file`);
       log(`💡 Use --target <n> to collect a specific number of POIs`);
-      log(`💡 Use --categories park,restaurant,cafe to filter specific types`);
+      log(`💡 Use --categories park,restaurant:pizza,cafe to filter specific types or subcategories`);
       log(`💡 Use --ai flag for AI-powered classification (requires OpenAI API key)`);
     }
   } catch (error) {
@@ -65,6 +65,7 @@ function mapToPayload(entry) {
   const longitude = coerceNumber(lon);
 
   const category = (entry.category || "misc").toString();
+  const subcategory = entry.subcategory ? entry.subcategory.toString() : null;
 
   return {
     name,
@@ -72,6 +73,7 @@ function mapToPayload(entry) {
     latitude,
     longitude,
     category,
+    subcategory,
     is_active: true
   };
 }
@@ -81,7 +83,8 @@ function isValidPayload(p) {
     typeof p.name === "string" && p.name.length > 0 &&
     typeof p.latitude === "number" && Number.isFinite(p.latitude) && p.latitude >= -90 && p.latitude <= 90 &&
     typeof p.longitude === "number" && Number.isFinite(p.longitude) && p.longitude >= -180 && p.longitude <= 180 &&
-    typeof p.category === "string" && p.category.length > 0
+    typeof p.category === "string" && p.category.length > 0 &&
+    (p.subcategory === null || typeof p.subcategory === "string")
   );
 }
 
@@ -109,11 +112,15 @@ async function readPois(filePath) {
     throw new Error("Input JSON does not contain an array of POIs");
   }
 
-  const mapped = items.map(mapToPayload);
+  // Records rejected in `poiseed review` keep reviewDecision "reject" and are never ingested
+  const kept = items.filter(item => item?.reviewDecision !== "reject");
+  const rejected = items.length - kept.length;
+
+  const mapped = kept.map(mapToPayload);
   const valid = mapped.filter(isValidPayload);
 
   const skipped = mapped.length - valid.length;
-  console.log(`📦 Loaded ${items.length} items → ${valid.length} valid payloads (${skipped} skipped)`);
+  console.log(`📦 Loaded ${items.length} items → ${valid.length} valid payloads (${skipped} skipped${rejected ? `, ${rejected} rejected in review` : ""})`);
   return valid;
 }
 
@@ -0,0 +1,53 @@
+import { buildHoursModel } from "./hours.mjs";
+
+/* ─────────────────────────────────────────────
+   Ingest Payloads
+───────────────────────────────────────────── */
+export function coerceNumber(value) {
+  if (typeof value === "number") return value;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// --ingest-details: send the --enrich details fields along with each POI
+const payloadSettings = { details: false };
+
+export function configurePayload({ details = false } = {}) {
+  payloadSettings.details = details;
+}
+
+export function mapToPayload(entry) {
+  const name = (entry.name || "").toString().trim();
+  const description = (entry.description || entry.vicinity || "").toString();
+  const lat = entry.latitude ?? entry.lat ?? entry.geometry?.location?.lat ?? entry._original?.geometry?.location?.lat ?? null;
+  const lon = entry.longitude ?? entry.lon ?? entry.lng ?? entry.geometry?.location?.lng ?? entry._original?.geometry?.location?.lng ?? null;
+  const latitude = coerceNumber(lat);
+  const longitude = coerceNumber(lon);
+  const category = (entry.category || "misc").toString();
+  const subcategory = entry.subcategory ? entry.subcategory.toString() : null;
+  const payload = { name, description, latitude, longitude, category, subcategory, is_active: true };
+  if (!payloadSettings.details) return payload;
+  return {
+    ...payload,
+    phone: entry.phone ?? null,
+    website: entry.website ?? null,
+    // Payloads saved from failed batches already use the snake_case names
+    google_maps_url: entry.googleMapsUrl ?? entry.google_maps_url ?? null,
+    business_status: entry.businessStatus ?? entry.business_status ?? null,
+    opening_hours: entry.openingHours ?? entry.opening_hours ?? null,
+    utc_offset_minutes: entry.utcOffsetMinutes ?? entry.utc_offset_minutes ?? null,
+    time_zone: entry.timeZone ?? entry.time_zone ?? null,
+    // Files written before the hours model existed still carry the raw hours
+    hours: entry.hours ?? (entry.openingHours ? buildHoursModel(entry) : null)
+  };
+}
+
+export function isValidPayload(p) {
+  return (
+    typeof p.name === "string" && p.name.length > 0 &&
+    typeof p.latitude === "number" && Number.isFinite(p.latitude) && p.latitude >= -90 && p.latitude <= 90 &&
+    typeof p.longitude === "number" && Number.isFinite(p.longitude) && p.longitude >= -180 && p.longitude <= 180 &&
+    typeof p.category === "string" && p.category.length > 0 &&
+    (p.subcategory === null || typeof p.subcategory === "string")
+  );
+}
@@ -1,10 +1,27 @@
 #!/usr/bin/env node
 import axios from "axios";
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
 import fs from "fs/promises";
 import path from "path";
 import process from "process";
 import dotenv from "dotenv";
 import OpenAI from "openai";
+import {
+  isPlainObject, configureRules, poiCategories, describeCategories, describeSubcategories,
+  scoreCategories, getBestCategory, getBestSubcategory, isKnownSubcategory, formatCategory, getCategoryEmoji, matchesCategoryFilter, checkCategoryFilter,
+  isGloballyIneligible, explainGlobalIneligible, validatePlace, explainValidationFailure, AI_SYSTEM_PROMPT, buildClassificationPrompt
+} from "./rules.mjs";
+import { distanceMeters, log, logError, logWarn } from "./util.mjs";
+import {
+  GOOGLE_RETRYABLE_STATUSES, RATE_LIMITED_KINDS, DEFAULT_RPS, requestLimiter, configureRateLimit, RetryableError, configureRetries, withRetry
+} from "./retry.mjs";
+import { Boundary, loadBoundary, parseBbox, boundaryArea } from "./boundary.mjs";
+import { EXCLUDED_LABEL, ratio, scoreEvaluation, worstOffenders, evaluationBaseline } from "./evaluate.mjs";
+import { buildHoursModel, placeClock, isOpenAt, parseOpenAt } from "./hours.mjs";
+import { coerceNumber, configurePayload, mapToPayload, isValidPayload } from "./payload.mjs";
+import { DEFAULT_OVERRIDES_FILE, isRejectedRecord, OverrideStore, loadReviewTarget, applyStoredOverrides, ReviewSession, runReviewScreen } from "./review.mjs";
+import { getPOIKey, parseDedupeMode, configureDuplicates, DuplicateDetector, MERGE_POLICIES, mergeRecords } from "./dedupe.mjs";
 
 dotenv.config();
 
@@ -13,29 +30,235 @@ dotenv.config();
 ───────────────────────────────────────────── */
 const DEFAULT_RADIUS = 500;
 const API_KEY = process.env.GOOGLE_PLACES_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
+// OpenAI-compatible client, created by configureAI from --ai-base-url / --ai-api-key-env
+let openai = null;
 
 function normalizeArgs(args) {
   // Normalize leading em/en-dashes to standard "--" to avoid copy/paste issues
   return args.map(a => a.replace(/^[—–]+/, "--"));
 }
 
-function getTimestamp() {
-  const now = new Date();
-  return now.toISOString().replace('T', ' ').substring(0, 23);
+/* ─────────────────────────────────────────────
+   Usage and Cost Estimates
+───────────────────────────────────────────── */
+// Estimated USD per billable request, keyed by request kind; OpenAI token prices come from AI_MODEL_PRICES.
+// List prices at the time of writing; override any of them with --prices <file.json>.
+const DEFAULT_PRICES = {
+  places: 0.032,          // Nearby Search (legacy), per page
+  'places-new': 0.032,    // searchNearby / searchText (Pro)
+  details: 0.017,         // Place Details (legacy) with contact and hours fields
+  'details-new': 0.020,   // Place Details (New), Enterprise fields
+  geocode: 0.005,
+  foursquare: 0.015,
+  overpass: 0,
+  nominatim: 0,
+  openai: null            // Set from --ai-model (see configureAIPrices) unless --prices has an "openai" entry
+};
+
+// USD per 1M tokens for --ai-model on OpenAI's own endpoint; other models and servers need "openai" in --prices
+const AI_MODEL_PRICES = {
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.60 },
+  'gpt-4o': { inputPerMillion: 2.50, outputPerMillion: 10.00 },
+  'gpt-4.1': { inputPerMillion: 2.00, outputPerMillion: 8.00 },
+  'gpt-4.1-mini': { inputPerMillion: 0.40, outputPerMillion: 1.60 },
+  'gpt-4.1-nano': { inputPerMillion: 0.10, outputPerMillion: 0.40 }
+};
+
+class UsageMeter {
+  constructor(prices = DEFAULT_PRICES) {
+    this.prices = prices;
+    this.requests = {};
+    this.tokens = { input: 0, output: 0 };
+  }
+
+  record(kind, response) {
+    const before = this.costOf(kind);
+    this.requests[kind] = (this.requests[kind] || 0) + 1;
+    if (kind === 'openai' && response?.usage) {
+      this.tokens.input += response.usage.prompt_tokens || 0;
+      this.tokens.output += response.usage.completion_tokens || 0;
+    }
+    // Attribute the spend to the grid point whose fetch made this request (see usageScope)
+    const scope = usageScope.getStore();
+    if (scope) scope.cost += this.costOf(kind) - before;
+  }
+
+  // Cost of a single request of this kind (OpenAI is billed by tokens instead)
+  unitPrice(kind) {
+    const price = this.prices[kind];
+    return typeof price === 'number' ? price : 0;
+  }
+
+  costOf(kind) {
+    if (kind === 'openai') {
+      const { inputPerMillion = 0, outputPerMillion = 0 } = this.prices.openai || {};
+      return (this.tokens.input * inputPerMillion + this.tokens.output * outputPerMillion) / 1e6;
+    }
+    return (this.requests[kind] || 0) * this.unitPrice(kind);
+  }
+
+  get total() {
+    return Object.keys(this.requests).reduce((sum, kind) => sum + this.costOf(kind), 0);
+  }
+
+  breakdown() {
+    return Object.keys(this.requests).sort().map(kind => ({ kind, requests: this.requests[kind], cost: this.costOf(kind) }));
+  }
+
+  snapshot() {
+    return { requests: { ...this.requests }, tokens: { ...this.tokens } };
+  }
+
+  restore(state = {}) {
+    this.requests = { ...(state.requests || {}) };
+    this.tokens = { input: 0, output: 0, ...(state.tokens || {}) };
+  }
+}
+
+// Counts every request that actually reaches the network (cache hits are free)
+const usageMeter = new UsageMeter();
+
+// Results assumed for a provider without a result cap (Overpass) when estimating a point up front
+const EXPECTED_RESULTS_PER_POINT = 60;
+
+// What one grid point can cost before any has been metered: a full result set's pages, plus an AI answer and a
+// details lookup for every result. seed budgets with it until the first point's real cost is known
+function estimatePointCost(provider, { useAI = false, details = false } = {}) {
+  const results = Number.isFinite(provider.resultCap) ? provider.resultCap : EXPECTED_RESULTS_PER_POINT;
+  let cost = provider.pagesPerQuery * usageMeter.unitPrice(provider.usageKind);
+  if (details && provider.detailsUsageKind) cost += results * usageMeter.unitPrice(provider.detailsUsageKind);
+  if (useAI) {
+    // ~4 characters per token for the per-place prompt, and a reply of up to --ai-max-tokens
+    const { inputPerMillion = 0, outputPerMillion = 0 } = usageMeter.prices.openai || {};
+    const inputTokens = Math.ceil((AI_SYSTEM_PROMPT.length + buildClassificationPrompt({ name: '', types: [] }).length) / 4);
+    cost += results * (inputTokens * inputPerMillion + aiSettings.maxTokens * outputPerMillion) / 1e6;
+  }
+  return cost;
+}
+// Per-task spend while several grid points are fetched concurrently: usageScope.run({ cost: 0 }, fn)
+const usageScope = new AsyncLocalStorage();
+
+async function loadPriceTable(filePath) {
+  let overrides;
+  try { overrides = JSON.parse(await fs.readFile(filePath, 'utf8')); } catch (e) { throw new Error(`Failed to load price table ${filePath}: ${e.message}`); }
+  const prices = { ...DEFAULT_PRICES, ...overrides };
+  if (overrides.openai !== undefined && !(isPlainObject(overrides.openai) && 'inputPerMillion' in overrides.openai && 'outputPerMillion' in overrides.openai)) {
+    throw new Error(`Price table ${filePath}: "openai" needs inputPerMillion and outputPerMillion`);
+  }
+  for (const [kind, price] of Object.entries(prices)) {
+    if (kind === 'openai' && price === null) continue;
+    const values = kind === 'openai' ? Object.values(price) : [price];
+    if (values.some(v => typeof v !== 'number' || v < 0)) throw new Error(`Price table ${filePath}: "${kind}" must be a non-negative number`);
+  }
+  return prices;
+}
+
+function formatUsd(amount) {
+  return `$${amount < 1 ? amount.toFixed(4) : amount.toFixed(2)}`;
+}
+
+/* ─────────────────────────────────────────────
+   Request Cache (record / replay / refresh)
+───────────────────────────────────────────── */
+// record: serve hits, fetch and store misses · replay: cache only, a miss is an error · refresh: always fetch and overwrite
+const CACHE_MODES = ['record', 'replay', 'refresh'];
+// Credentials never reach the cache key or the stored request
+const SECRET_PARAMS = new Set(['key', 'apikey', 'api_key', 'authorization', 'x-goog-api-key']);
+const UNKEYED_HEADERS = new Set(['content-type', 'accept', 'user-agent']);
+
+const requestCache = { dir: null, mode: 'record', hits: 0, misses: 0, writes: 0 };
+
+function configureRequestCache({ dir = null, mode = 'record' } = {}) {
+  if (!CACHE_MODES.includes(mode)) throw new Error(`--cache-mode must be one of: ${CACHE_MODES.join(', ')}`);
+  requestCache.dir = dir;
+  requestCache.mode = mode;
+}
+
+function requestCacheSummary() {
+  return `${requestCache.hits} hits, ${requestCache.misses} misses, ${requestCache.writes} recorded (${requestCache.mode}, ${requestCache.dir})`;
+}
+
+function isReplaying() {
+  return Boolean(requestCache.dir) && requestCache.mode === 'replay';
 }
 
-function log(...args) {
-  console.log(`[${getTimestamp()}]`, ...args);
+// Drop secrets and empty values and sort keys, so equivalent requests share one entry
+function normalizeRequestPart(value, skip = SECRET_PARAMS) {
+  if (Array.isArray(value)) return value.map(v => normalizeRequestPart(v));
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const k of Object.keys(value).sort()) {
+    const v = value[k];
+    if (skip.has(k.toLowerCase()) || v === undefined || v === null || v === '') continue;
+    out[k] = normalizeRequestPart(v);
+  }
+  return out;
 }
 
-function logError(...args) {
-  console.error(`[${getTimestamp()}]`, ...args);
+function normalizeRequest({ method = 'GET', url, params, headers, body }) {
+  const keptHeaders = headers ? normalizeRequestPart(headers, new Set([...SECRET_PARAMS, ...UNKEYED_HEADERS])) : undefined;
+  return normalizeRequestPart({ method, url, params, headers: keptHeaders, body });
 }
 
-function logWarn(...args) {
-  console.warn(`[${getTimestamp()}]`, ...args);
+function requestCacheKey(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 32);
+}
+
+// kind groups entries into subdirectories and prices the request (places, geocode, openai, ...); isCacheable keeps API error payloads out,
+// isRetryableResponse flags throttling reported in a successful HTTP response
+async function cachedRequest(kind, request, fetchResponse, { isCacheable = () => true, isRetryableResponse = () => false } = {}) {
+  const send = async () => {
+    const response = await withRetry(kind, async () => {
+      if (RATE_LIMITED_KINDS.has(kind)) await requestLimiter.acquire();
+      const res = await fetchResponse();
+      if (isRetryableResponse(res)) throw new RetryableError(`${kind}: ${res.status}`);
+      return res;
+    });
+    usageMeter.record(kind, response);
+    return response;
+  };
+  if (!requestCache.dir) return send();
+  const normalized = normalizeRequest(request);
+  const file = path.join(requestCache.dir, kind, `${requestCacheKey(normalized)}.json`);
+  if (requestCache.mode !== 'refresh') {
+    try {
+      const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      requestCache.hits++;
+      return entry.response;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`Unreadable cache entry ${file}: ${err.message}`);
+    }
+  }
+  requestCache.misses++;
+  if (requestCache.mode === 'replay') {
+    throw new Error(`Cache miss in replay mode: ${kind} ${normalized.method} ${normalized.url} (record it first with --cache-mode record)`);
+  }
+  const response = await send();
+  if (isCacheable(response)) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ kind, request: normalized, recordedAt: new Date().toISOString(), response }, null, 2));
+    requestCache.writes++;
+  }
+  return response;
+}
+
+async function cachedGet(kind, url, config = {}, options) {
+  const request = { method: 'GET', url, params: config.params, headers: config.headers };
+  return cachedRequest(kind, request, async () => (await axios.get(url, config)).data, options);
+}
+
+async function cachedPost(kind, url, body, config = {}, options) {
+  const request = { method: 'POST', url, headers: config.headers, body };
+  return cachedRequest(kind, request, async () => (await axios.post(url, body, config)).data, options);
+}
+
+// Google legacy endpoints report errors in the body with HTTP 200
+function isGoogleSuccess(data) {
+  return data?.status === "OK" || data?.status === "ZERO_RESULTS";
+}
+
+function isGoogleThrottled(data) {
+  return GOOGLE_RETRYABLE_STATUSES.includes(data?.status);
 }
 
 /* ─────────────────────────────────────────────
@@ -43,9 +266,9 @@ function logWarn(...args) {
 ───────────────────────────────────────────── */
 async function geocodeLocale(localeName) {
   const url = "https://maps.googleapis.com/maps/api/geocode/json";
-  const { data } = await axios.get(url, {
+  const data = await cachedGet('geocode', url, {
     params: { address: localeName, key: API_KEY }
-  });
+  }, { isCacheable: isGoogleSuccess, isRetryableResponse: isGoogleThrottled });
 
   if (data.status !== "OK" || !data.results || data.results.length === 0) {
     throw new Error(`Geocoding failed for "${localeName}": ${data.status} - ${data.error_message || "No results found"}`);
@@ -74,6 +297,605 @@ async function geocodeLocale(localeName) {
   };
 }
 
+/* ─────────────────────────────────────────────
+   Places API (New)
+───────────────────────────────────────────── */
+const PLACES_API_VERSIONS = ['legacy', 'new'];
+const PLACES_NEW_BASE_URL = "https://places.googleapis.com/v1";
+const PLACES_NEW_MAX_RESULTS = 20; // searchNearby has no pagination
+const DEFAULT_NEARBY_FIELD_MASK = [
+  'places.id', 'places.displayName', 'places.types', 'places.primaryType', 'places.location',
+  'places.shortFormattedAddress', 'places.formattedAddress', 'places.rating', 'places.priceLevel', 'places.businessStatus'
+];
+const REQUIRED_NEARBY_FIELDS = ['places.id', 'places.displayName', 'places.location', 'places.types', 'places.primaryType'];
+const TEXT_SEARCH_FIELD_MASK = ['places.id', 'places.displayName', 'places.formattedAddress', 'places.location', 'places.viewport', 'places.types'];
+
+// --field-mask entries may omit the "places." prefix
+function resolveFieldMask(fieldMask) {
+  if (!fieldMask || fieldMask.length === 0) return DEFAULT_NEARBY_FIELD_MASK;
+  // id, name, location and types are always requested: dedupe, validation and classification depend on them
+  const requested = fieldMask.map(f => (f.startsWith('places.') ? f : `places.${f}`));
+  return Array.from(new Set([...REQUIRED_NEARBY_FIELDS, ...requested]));
+}
+
+const PRICE_LEVELS = { PRICE_LEVEL_FREE: 0, PRICE_LEVEL_INEXPENSIVE: 1, PRICE_LEVEL_MODERATE: 2, PRICE_LEVEL_EXPENSIVE: 3, PRICE_LEVEL_VERY_EXPENSIVE: 4 };
+
+// New-API types that have a different legacy name; the legacy name is added alongside so the classification rules still match
+const NEW_TYPE_ALIASES = {
+  coffee_shop: 'cafe', tea_house: 'cafe', ice_cream_shop: 'cafe', donut_shop: 'bakery',
+  pub: 'bar', wine_bar: 'bar', brewery: 'bar',
+  grocery_store: 'grocery_or_supermarket', market: 'store', gift_shop: 'store', sporting_goods_store: 'store',
+  fitness_center: 'gym', sports_complex: 'gym', yoga_studio: 'gym',
+  dog_park: 'park', national_park: 'park', state_park: 'park', hiking_area: 'park', playground: 'park', botanical_garden: 'park',
+  beach: 'natural_feature', marina: 'natural_feature',
+  dental_clinic: 'dentist', medical_clinic: 'doctor',
+  concert_hall: 'stadium', event_venue: 'stadium', arena: 'stadium', performing_arts_theater: 'movie_theater',
+  historical_landmark: 'tourist_attraction', cultural_center: 'tourist_attraction', monument: 'tourist_attraction'
+};
+
+function normalizeNewPlaceTypes(primaryType, types = []) {
+  const normalized = [];
+  const add = (t) => { if (t && !normalized.includes(t)) normalized.push(t); };
+  add(primaryType);
+  types.forEach(add);
+  for (const t of [...normalized]) {
+    if (NEW_TYPE_ALIASES[t]) add(NEW_TYPE_ALIASES[t]);
+    // e.g. ramen_restaurant, pizza_restaurant → restaurant
+    else if (t.endsWith('_restaurant')) add('restaurant');
+    else if (t.endsWith('_store') || t.endsWith('_shop')) add('store');
+  }
+  return normalized;
+}
+
+// Map a v1 Place resource into the normalized raw-place shape (see Place Providers)
+function normalizeNewPlace(place) {
+  return {
+    id: place.id,
+    provider: 'google',
+    name: place.displayName?.text ?? '',
+    address: place.shortFormattedAddress ?? place.formattedAddress ?? '',
+    latitude: place.location?.latitude,
+    longitude: place.location?.longitude,
+    types: normalizeNewPlaceTypes(place.primaryType, place.types || []),
+    rating: place.rating ?? null,
+    priceLevel: place.priceLevel !== undefined ? PRICE_LEVELS[place.priceLevel] ?? null : null,
+    businessStatus: place.businessStatus ?? null,
+    raw: place
+  };
+}
+
+async function postPlacesNew(endpoint, body, fieldMask) {
+  const headers = { "Content-Type": "application/json", "X-Goog-Api-Key": API_KEY, "X-Goog-FieldMask": fieldMask.join(',') };
+  try {
+    const data = await cachedPost('places-new', `${PLACES_NEW_BASE_URL}/${endpoint}`, body, { headers, timeout: 30000 });
+    return data || {};
+  } catch (err) {
+    const apiError = err.response?.data?.error;
+    if (apiError) throw new Error(`Places API (New) error: ${apiError.status || err.response.status} - ${apiError.message || ''}`);
+    throw err;
+  }
+}
+
+async function searchNearbyNew({ latitude, longitude, radius }, fieldMask = DEFAULT_NEARBY_FIELD_MASK) {
+  const data = await postPlacesNew('places:searchNearby', {
+    maxResultCount: PLACES_NEW_MAX_RESULTS,
+    locationRestriction: { circle: { center: { latitude, longitude }, radius } }
+  }, fieldMask);
+  return (data.places || []).map(normalizeNewPlace);
+}
+
+// Contact, hours and status fields for --enrich details
+const DETAILS_NEW_FIELD_MASK = ['internationalPhoneNumber', 'nationalPhoneNumber', 'websiteUri', 'googleMapsUri', 'businessStatus', 'regularOpeningHours', 'currentOpeningHours', 'utcOffsetMinutes', 'timeZone'];
+
+// { year, month, day } → "YYYY-MM-DD", as the legacy API writes dates
+function newHoursDate(date) {
+  return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+}
+
+function newHoursPoint(point) {
+  if (!point) return null;
+  const time = `${String(point.hour ?? 0).padStart(2, '0')}${String(point.minute ?? 0).padStart(2, '0')}`;
+  return { day: point.day, time, ...(point.date ? { date: newHoursDate(point.date) } : {}) };
+}
+
+// Same shape as the legacy hours (see normalizeLegacyHours)
+function normalizeNewHours(hours) {
+  if (!hours) return null;
+  return {
+    periods: (hours.periods || []).map(period => ({ open: newHoursPoint(period.open), close: newHoursPoint(period.close) })),
+    weekdayText: hours.weekdayDescriptions || [],
+    ...(hours.specialDays ? { specialDays: hours.specialDays.map(day => ({ date: newHoursDate(day.date), exceptional: true })) } : {})
+  };
+}
+
+async function fetchPlaceDetailsNew(placeId) {
+  const headers = { "X-Goog-Api-Key": API_KEY, "X-Goog-FieldMask": DETAILS_NEW_FIELD_MASK.join(',') };
+  let place;
+  try {
+    place = await cachedGet('details-new', `${PLACES_NEW_BASE_URL}/places/${encodeURIComponent(placeId)}`, { headers, timeout: 30000 });
+  } catch (err) {
+    const apiError = err.response?.data?.error;
+    if (apiError) throw new Error(`Place Details (New) error: ${apiError.status || err.response.status} - ${apiError.message || ''}`);
+    throw err;
+  }
+  return {
+    phone: place?.internationalPhoneNumber ?? place?.nationalPhoneNumber ?? null,
+    website: place?.websiteUri ?? null,
+    googleMapsUrl: place?.googleMapsUri ?? null,
+    businessStatus: place?.businessStatus ?? null,
+    openingHours: normalizeNewHours(place?.regularOpeningHours),
+    currentOpeningHours: normalizeNewHours(place?.currentOpeningHours),
+    utcOffsetMinutes: place?.utcOffsetMinutes ?? null,
+    timeZone: place?.timeZone?.id ?? null
+  };
+}
+
+async function geocodeLocaleNew(localeName) {
+  const data = await postPlacesNew('places:searchText', { textQuery: localeName, pageSize: 1 }, TEXT_SEARCH_FIELD_MASK);
+  const place = data.places?.[0];
+  if (!place || !place.location) throw new Error(`Text search failed for "${localeName}": No results found`);
+  const viewport = place.viewport;
+  return {
+    center: { lat: place.location.latitude, lon: place.location.longitude },
+    bounds: viewport ? {
+      northeast: { lat: viewport.high.latitude, lon: viewport.high.longitude },
+      southwest: { lat: viewport.low.latitude, lon: viewport.low.longitude }
+    } : null,
+    formattedAddress: place.formattedAddress || place.displayName?.text || localeName,
+    placeId: place.id,
+    types: place.types || []
+  };
+}
+
+/* ─────────────────────────────────────────────
+   OpenStreetMap (Overpass + Nominatim)
+───────────────────────────────────────────── */
+const DEFAULT_OVERPASS_URL = "https://overpass-api.de/api/interpreter";
+const DEFAULT_NOMINATIM_URL = "https://nominatim.openstreetmap.org/search";
+const OSM_TAG_KEYS = ['amenity', 'shop', 'leisure', 'tourism'];
+
+// OSM tag values mapped to the Google types that the classification rules already understand
+const OSM_TAG_TYPES = {
+  amenity: {
+    restaurant: ['restaurant'], fast_food: ['meal_takeaway', 'restaurant'], food_court: ['restaurant'], cafe: ['cafe'], ice_cream: ['cafe'],
+    bar: ['bar'], pub: ['bar'], biergarten: ['bar'], nightclub: ['night_club'],
+    cinema: ['movie_theater'], theatre: ['movie_theater'], arts_centre: ['art_gallery'], casino: ['casino'],
+    library: ['library'], school: ['school'], college: ['university'], university: ['university'],
+    hospital: ['hospital'], clinic: ['doctor'], doctors: ['doctor'], dentist: ['dentist'], pharmacy: ['pharmacy'], veterinary: ['veterinary_care'],
+    townhall: ['city_hall'], courthouse: ['courthouse'], embassy: ['embassy'], marketplace: ['store'], events_venue: ['stadium'], conference_centre: ['stadium']
+  },
+  shop: {
+    supermarket: ['supermarket', 'grocery_or_supermarket'], convenience: ['convenience_store'], greengrocer: ['grocery_or_supermarket'],
+    department_store: ['department_store'], mall: ['shopping_mall'], clothes: ['clothing_store'], shoes: ['shoe_store'], jewelry: ['jewelry_store'],
+    electronics: ['electronics_store'], mobile_phone: ['electronics_store'], furniture: ['furniture_store'], interior_decoration: ['home_goods_store'],
+    books: ['book_store'], bicycle: ['bicycle_store'], chemist: ['drugstore'], florist: ['florist'], hardware: ['hardware_store'], doityourself: ['hardware_store'],
+    laundry: ['laundry'], dry_cleaning: ['laundry'], pet: ['pet_store'], alcohol: ['liquor_store'], bakery: ['bakery'], coffee: ['cafe']
+  },
+  leisure: {
+    park: ['park'], garden: ['park'], playground: ['park'], nature_reserve: ['park'], dog_park: ['park'],
+    fitness_centre: ['gym'], sports_centre: ['gym'], stadium: ['stadium'], bowling_alley: ['bowling_alley'], marina: ['natural_feature'],
+    beach_resort: ['natural_feature'], amusement_arcade: ['amusement_park'], water_park: ['amusement_park']
+  },
+  tourism: {
+    museum: ['museum'], attraction: ['tourist_attraction'], zoo: ['zoo'], aquarium: ['aquarium'], gallery: ['art_gallery'],
+    viewpoint: ['tourist_attraction'], artwork: ['tourist_attraction'], theme_park: ['amusement_park'], camp_site: ['campground'],
+    caravan_site: ['rv_park'], hotel: ['lodging'], hostel: ['lodging'], guest_house: ['lodging']
+  }
+};
+
+const OSM_WORSHIP_TYPES = { christian: 'church', muslim: 'mosque', jewish: 'synagogue', hindu: 'hindu_temple' };
+
+function osmTagsToTypes(tags = {}) {
+  const types = [];
+  const add = (t) => { if (t && !types.includes(t)) types.push(t); };
+  for (const key of OSM_TAG_KEYS) {
+    const value = tags[key];
+    if (!value) continue;
+    (OSM_TAG_TYPES[key][value] || []).forEach(add);
+    // Any other shop=* is still a store
+    if (key === 'shop') add('store');
+  }
+  if (tags.amenity === 'place_of_worship') add(OSM_WORSHIP_TYPES[tags.religion] || 'church');
+  if (tags.natural === 'beach') add('natural_feature');
+  add('point_of_interest');
+  add('establishment');
+  return types;
+}
+
+function osmAddress(tags = {}) {
+  const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+  return [street, tags['addr:city']].filter(Boolean).join(', ');
+}
+
+// Map an Overpass element into the normalized raw-place shape (see Place Providers)
+function normalizeOsmElement(element) {
+  const tags = element.tags || {};
+  return {
+    id: `osm:${element.type}/${element.id}`,
+    provider: 'osm',
+    name: tags.name || '',
+    address: osmAddress(tags),
+    latitude: element.lat ?? element.center?.lat,
+    longitude: element.lon ?? element.center?.lon,
+    types: osmTagsToTypes(tags),
+    rating: null,
+    priceLevel: null,
+    businessStatus: null,
+    raw: element
+  };
+}
+
+function buildOverpassQuery({ latitude, longitude, radius }) {
+  const around = `(around:${Math.round(radius)},${latitude},${longitude})`;
+  const selectors = OSM_TAG_KEYS.flatMap(key => [`node${around}["${key}"]["name"];`, `way${around}["${key}"]["name"];`]);
+  selectors.push(`node${around}["natural"="beach"]["name"];`, `way${around}["natural"="beach"]["name"];`);
+  return `[out:json][timeout:60];\n(\n  ${selectors.join('\n  ')}\n);\nout center tags;`;
+}
+
+function isLocalSource(url) {
+  return url.startsWith('file:') || !/^https?:\/\//.test(url);
+}
+
+function localSourcePath(url) {
+  return url.startsWith('file:') ? new URL(url).pathname : url;
+}
+
+async function fetchOverpass(url, { latitude, longitude, radius }) {
+  let data;
+  if (isLocalSource(url)) {
+    // Recorded fixture: an Overpass JSON response, filtered to the query circle here
+    data = JSON.parse(await fs.readFile(localSourcePath(url), 'utf8'));
+  } else {
+    const query = buildOverpassQuery({ latitude, longitude, radius });
+    data = await cachedPost('overpass', url, `data=${encodeURIComponent(query)}`, {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      timeout: 90000
+    }, { isCacheable: d => Array.isArray(d?.elements) });
+  }
+  if (!data || !Array.isArray(data.elements)) throw new Error(`Overpass error: ${data?.remark || 'response has no elements'}`);
+  return data.elements
+    .filter(el => el.tags?.name)
+    .map(normalizeOsmElement)
+    .filter(p => Number.isFinite(p.latitude) && Number.isFinite(p.longitude))
+    .filter(p => distanceMeters(latitude, longitude, p.latitude, p.longitude) <= radius);
+}
+
+async function geocodeLocaleOsm(url, localeName) {
+  const data = await cachedGet('nominatim', url, {
+    params: { q: localeName, format: 'jsonv2', limit: 1 },
+    headers: { "User-Agent": "poiseed (https://github.com/hareeshnagaraj/poiseed)" }
+  });
+  const result = Array.isArray(data) ? data[0] : null;
+  if (!result) throw new Error(`Geocoding failed for "${localeName}": No results found`);
+  // Nominatim boundingbox is [south, north, west, east] as strings
+  const [south, north, west, east] = (result.boundingbox || []).map(Number);
+  return {
+    center: { lat: Number(result.lat), lon: Number(result.lon) },
+    bounds: result.boundingbox ? { northeast: { lat: north, lon: east }, southwest: { lat: south, lon: west } } : null,
+    formattedAddress: result.display_name,
+    placeId: `osm:${result.osm_type}/${result.osm_id}`,
+    types: [result.category, result.type].filter(Boolean)
+  };
+}
+
+/* ─────────────────────────────────────────────
+   Foursquare-style Places API
+───────────────────────────────────────────── */
+const DEFAULT_FOURSQUARE_URL = "https://api.foursquare.com/v3/places/search";
+const DEFAULT_FOURSQUARE_KEY_ENV = "FOURSQUARE_API_KEY";
+const FOURSQUARE_PAGE_LIMIT = 50;
+// Pages followed through the Link header's cursor before a query counts as saturated
+const FOURSQUARE_MAX_PAGES = 3;
+
+// Keywords in Foursquare category names mapped to the Google types our rules understand;
+// specific keywords come first because only the first whole-word match per category is used
+const FOURSQUARE_CATEGORY_TYPES = [
+  ['coffee', 'cafe'], ['café', 'cafe'], ['cafe', 'cafe'], ['tea room', 'cafe'], ['bakery', 'bakery'], ['dessert', 'cafe'],
+  ['restaurant', 'restaurant'], ['pizza', 'restaurant'], ['diner', 'restaurant'], ['steakhouse', 'restaurant'], ['food truck', 'restaurant'], ['fast food', 'meal_takeaway'],
+  ['nightclub', 'night_club'], ['bar', 'bar'], ['pub', 'bar'], ['brewery', 'bar'], ['lounge', 'bar'], ['beer garden', 'bar'],
+  ['park', 'park'], ['garden', 'park'], ['playground', 'park'], ['trail', 'park'],
+  ['museum', 'museum'], ['art gallery', 'art_gallery'], ['monument', 'tourist_attraction'], ['landmark', 'tourist_attraction'], ['historic', 'tourist_attraction'],
+  ['church', 'church'], ['mosque', 'mosque'], ['synagogue', 'synagogue'], ['temple', 'hindu_temple'], ['zoo', 'zoo'], ['aquarium', 'aquarium'],
+  ['gym', 'gym'], ['fitness', 'gym'], ['yoga', 'gym'], ['spa', 'spa'],
+  ['supermarket', 'supermarket'], ['grocery', 'grocery_or_supermarket'], ['convenience store', 'convenience_store'], ['pharmacy', 'pharmacy'], ['drugstore', 'drugstore'],
+  ['bookstore', 'book_store'], ['clothing', 'clothing_store'], ['shoe', 'shoe_store'], ['jewelry', 'jewelry_store'], ['electronics', 'electronics_store'],
+  ['furniture', 'furniture_store'], ['hardware', 'hardware_store'], ['florist', 'florist'], ['pet', 'pet_store'], ['liquor', 'liquor_store'],
+  ['mall', 'shopping_mall'], ['department store', 'department_store'], ['store', 'store'], ['shop', 'store'], ['boutique', 'store'], ['market', 'store'],
+  ['movie theater', 'movie_theater'], ['cinema', 'movie_theater'], ['theater', 'movie_theater'], ['amusement', 'amusement_park'],
+  ['stadium', 'stadium'], ['arena', 'stadium'], ['concert hall', 'stadium'], ['bowling', 'bowling_alley'], ['casino', 'casino'],
+  ['beach', 'natural_feature'], ['marina', 'natural_feature'], ['library', 'library'], ['university', 'university'], ['college', 'university'], ['school', 'school'],
+  ['hospital', 'hospital'], ['dentist', 'dentist'], ['doctor', 'doctor'], ['medical', 'doctor'], ['veterinarian', 'veterinary_care'],
+  ['neighborhood', 'neighborhood'], ['city', 'locality']
+];
+
+function foursquareCategoriesToTypes(categories = []) {
+  const types = [];
+  const add = (t) => { if (t && !types.includes(t)) types.push(t); };
+  for (const category of categories) {
+    const name = (category.name || '').toLowerCase();
+    // Keep the provider's own category as a slug for traceability, e.g. "Coffee Shop" → coffee_shop
+    add(name.replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, ''));
+    const match = FOURSQUARE_CATEGORY_TYPES.find(([keyword]) => new RegExp(`(^|\\W)${keyword}(\\W|$)`).test(name));
+    if (match) add(match[1]);
+  }
+  add('point_of_interest');
+  add('establishment');
+  return types;
+}
+
+// Map a Foursquare v3 place into the normalized raw-place shape (see Place Providers)
+function normalizeFoursquarePlace(place) {
+  const main = place.geocodes?.main || {};
+  return {
+    id: `fsq:${place.fsq_id}`,
+    provider: 'foursquare',
+    name: place.name || '',
+    address: place.location?.formatted_address ?? place.location?.address ?? '',
+    latitude: main.latitude,
+    longitude: main.longitude,
+    types: foursquareCategoriesToTypes(place.categories || []),
+    // Foursquare rates 0-10 and prices 1-4; rescale to Google's 0-5 rating and 0-4 price level
+    rating: typeof place.rating === 'number' ? Math.round(place.rating * 5) / 10 : null,
+    priceLevel: typeof place.price === 'number' ? place.price : null,
+    businessStatus: place.closed_bucket === 'VeryLikelyClosed' ? 'CLOSED_PERMANENTLY' : null,
+    raw: place
+  };
+}
+
+// The cursor of the rel="next" URL in a Link header, or null on the last page
+function foursquareNextCursor(link) {
+  // URLs may hold unencoded commas (ll=lat,lon), so links are matched whole instead of split on ","
+  const url = (link || '').match(/<([^>]+)>\s*;[^<]*?rel="?next"?/)?.[1];
+  if (!url) return null;
+  try { return new URL(url).searchParams.get('cursor'); } catch { return null; }
+}
+
+async function searchFoursquare(url, apiKey, { latitude, longitude, radius }, keyEnv = DEFAULT_FOURSQUARE_KEY_ENV) {
+  if (!apiKey && !isReplaying()) throw new Error(`${keyEnv} env var is required for --provider foursquare`);
+  const headers = { Authorization: apiKey, Accept: "application/json" };
+  let results = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    const params = { ll: `${latitude},${longitude}`, radius: Math.round(radius), limit: FOURSQUARE_PAGE_LIMIT, cursor };
+    // The cursor lives in a response header, so it is kept next to the body in the cached response
+    const page = await cachedRequest('foursquare', { method: 'GET', url, params, headers }, async () => {
+      const res = await axios.get(url, { params, headers, timeout: 30000 });
+      return { ...res.data, nextCursor: foursquareNextCursor(res.headers?.link) };
+    });
+    results = results.concat(page?.results || []);
+    cursor = page?.nextCursor ?? null;
+    pages++;
+  } while (cursor && pages < FOURSQUARE_MAX_PAGES);
+  return results.map(normalizeFoursquarePlace);
+}
+
+/* ─────────────────────────────────────────────
+   Local Fixture Places
+───────────────────────────────────────────── */
+// Accepts normalized places, raw Google Nearby Search results, or poiseed output files
+function normalizeFixturePlace(entry, index) {
+  if (entry.geometry?.location) return normalizeGooglePlace(entry);
+  return {
+    id: entry.id ?? entry.place_id ?? `fixture:${index}`,
+    provider: entry.provider || 'fixture',
+    name: entry.name || '',
+    address: entry.address ?? entry.description ?? entry.vicinity ?? '',
+    latitude: coerceNumber(entry.latitude ?? entry.lat),
+    longitude: coerceNumber(entry.longitude ?? entry.lon ?? entry.lng),
+    types: entry.types || [],
+    rating: entry.rating ?? null,
+    priceLevel: entry.priceLevel ?? entry.price_level ?? null,
+    businessStatus: entry.businessStatus ?? entry.business_status ?? null,
+    raw: entry
+  };
+}
+
+async function loadFixturePlaces(filePath) {
+  let json;
+  try { json = JSON.parse(await fs.readFile(filePath, 'utf8')); } catch (e) { throw new Error(`Failed to load fixture ${filePath}: ${e.message}`); }
+  const items = Array.isArray(json) ? json : (json.places || json.results || []);
+  if (!Array.isArray(items)) throw new Error(`Fixture ${filePath} does not contain an array of places`);
+  return {
+    places: items.map(normalizeFixturePlace).filter(p => Number.isFinite(p.latitude) && Number.isFinite(p.longitude)),
+    // Optional { "<locale>": { center, bounds, formattedAddress } } so seed --locale works offline
+    locales: json.locales || {}
+  };
+}
+
+/* ─────────────────────────────────────────────
+   Place Providers
+───────────────────────────────────────────── */
+// Every provider returns normalized raw places, which processPlaces and getPOIKey consume:
+//   { id, provider, name, address, latitude, longitude, types, rating, priceLevel, businessStatus, raw }
+// types use Google's vocabulary so the classification rules apply regardless of the source.
+const PLACE_PROVIDERS = ['google', 'osm', 'foursquare', 'fixture'];
+
+// Map a legacy Nearby Search result into the normalized raw-place shape
+function normalizeGooglePlace(place) {
+  return {
+    id: place.place_id,
+    provider: 'google',
+    name: place.name || '',
+    address: place.vicinity ?? '',
+    latitude: place.geometry?.location?.lat,
+    longitude: place.geometry?.location?.lng,
+    types: place.types || [],
+    rating: place.rating ?? null,
+    priceLevel: place.price_level ?? null,
+    businessStatus: place.business_status ?? null,
+    raw: place
+  };
+}
+
+class PlaceProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  get label() { return this.name; }
+
+  // Results per query beyond which places were probably dropped (drives quadtree splitting)
+  get resultCap() { return Infinity; }
+
+  // Request kind billed per searchNearby page (see Usage and Cost Estimates)
+  get usageKind() { return null; }
+
+  // Pages billed for a query that fills resultCap
+  get pagesPerQuery() { return 1; }
+
+  // Request kind billed per placeDetails lookup, or null when lookups are free
+  get detailsUsageKind() { return null; }
+
+  async geocode(localeName) {
+    throw new Error(`Provider "${this.name}" cannot geocode "${localeName}" - use --boundary or --bbox`);
+  }
+
+  async searchNearby(_query) {
+    throw new Error(`Provider "${this.name}" does not implement searchNearby`);
+  }
+
+  // Whether placeDetails works, checked up front by --enrich details
+  get supportsDetails() { return false; }
+
+  // Contact, hours and status for one of this provider's places (see normalizeGoogleDetails), or null when it has none
+  async placeDetails(_place) {
+    throw new Error(`Provider "${this.name}" does not provide place details`);
+  }
+}
+
+class GooglePlacesProvider extends PlaceProvider {
+  constructor(options = {}) {
+    super('google', options);
+    this.api = options.placesApi || 'legacy';
+    this.fieldMask = resolveFieldMask(options.fieldMask);
+  }
+
+  get label() { return this.api === 'new' ? 'Google Places API (New)' : 'Google Places API'; }
+
+  get resultCap() { return this.api === 'new' ? PLACES_NEW_MAX_RESULTS : PLACES_RESULT_CAP; }
+
+  get usageKind() { return this.api === 'new' ? 'places-new' : 'places'; }
+
+  // Legacy Nearby Search returns 20 results per page
+  get pagesPerQuery() { return this.api === 'new' ? 1 : PLACES_RESULT_CAP / 20; }
+
+  get detailsUsageKind() { return this.api === 'new' ? 'details-new' : 'details'; }
+
+  geocode(localeName) {
+    return this.api === 'new' ? geocodeLocaleNew(localeName) : geocodeLocale(localeName);
+  }
+
+  get supportsDetails() { return true; }
+
+  placeDetails(place) {
+    return this.api === 'new' ? fetchPlaceDetailsNew(place.id) : fetchPlaceDetails(place.id);
+  }
+
+  async searchNearby({ latitude, longitude, radius }) {
+    if (this.api === 'new') return searchNearbyNew({ latitude, longitude, radius }, this.fieldMask);
+    let results = [];
+    let nextPageToken = "";
+    do {
+      const page = await fetchPage({ latitude, longitude, radius, pageToken: nextPageToken });
+      results = results.concat(page.results);
+      nextPageToken = page.next_page_token ?? "";
+    } while (nextPageToken);
+    return results.map(normalizeGooglePlace);
+  }
+}
+
+class OsmProvider extends PlaceProvider {
+  constructor(options = {}) {
+    super('osm', options);
+    this.overpassUrl = options.overpassUrl || process.env.OVERPASS_URL || DEFAULT_OVERPASS_URL;
+    this.nominatimUrl = options.nominatimUrl || process.env.NOMINATIM_URL || DEFAULT_NOMINATIM_URL;
+  }
+
+  get label() { return 'OpenStreetMap (Overpass)'; }
+
+  get usageKind() { return 'overpass'; }
+
+  geocode(localeName) { return geocodeLocaleOsm(this.nominatimUrl, localeName); }
+
+  searchNearby(query) { return fetchOverpass(this.overpassUrl, query); }
+}
+
+class FoursquareProvider extends PlaceProvider {
+  constructor(options = {}) {
+    super('foursquare', options);
+    this.url = options.foursquareUrl || process.env.FOURSQUARE_URL || DEFAULT_FOURSQUARE_URL;
+    this.keyEnv = options.foursquareKeyEnv || DEFAULT_FOURSQUARE_KEY_ENV;
+    this.apiKey = process.env[this.keyEnv];
+  }
+
+  get label() { return 'Foursquare Places API'; }
+
+  get resultCap() { return FOURSQUARE_PAGE_LIMIT * FOURSQUARE_MAX_PAGES; }
+
+  get usageKind() { return 'foursquare'; }
+
+  get pagesPerQuery() { return FOURSQUARE_MAX_PAGES; }
+
+  searchNearby(query) { return searchFoursquare(this.url, this.apiKey, query, this.keyEnv); }
+}
+
+class FixtureProvider extends PlaceProvider {
+  constructor(options = {}) {
+    super('fixture', options);
+    if (!options.fixtureFile) throw new Error("--fixture <file> is required for --provider fixture");
+    this.fixtureFile = options.fixtureFile;
+    this.loaded = null;
+  }
+
+  get label() { return `fixture ${this.fixtureFile}`; }
+
+  async load() {
+    if (!this.loaded) this.loaded = await loadFixturePlaces(this.fixtureFile);
+    return this.loaded;
+  }
+
+  async geocode(localeName) {
+    const { locales } = await this.load();
+    if (!locales[localeName]) return super.geocode(localeName);
+    return { placeId: null, types: [], formattedAddress: localeName, ...locales[localeName] };
+  }
+
+  async searchNearby({ latitude, longitude, radius }) {
+    const { places } = await this.load();
+    return places.filter(p => distanceMeters(latitude, longitude, p.latitude, p.longitude) <= radius);
+  }
+
+  get supportsDetails() { return true; }
+
+  // A fixture entry may carry a legacy Place Details "result" under "details"
+  async placeDetails(place) {
+    return place.raw?.details ? normalizeGoogleDetails(place.raw.details) : null;
+  }
+}
+
+function createProvider({ provider = 'google', ...options } = {}) {
+  if (provider === 'google') return new GooglePlacesProvider(options);
+  if (provider === 'osm') return new OsmProvider(options);
+  if (provider === 'foursquare') return new FoursquareProvider(options);
+  if (provider === 'fixture') return new FixtureProvider(options);
+  throw new Error(`--provider must be one of: ${PLACE_PROVIDERS.join(', ')}`);
+}
+
+// The provider used by fetchNearbyPOIs and seed geocoding; set once per run from --provider
+let placeProvider = null;
+
+function configureProvider(options = {}) {
+  placeProvider = createProvider(options);
+  return placeProvider;
+}
+
+function activeProvider() {
+  if (!placeProvider) placeProvider = createProvider();
+  return placeProvider;
+}
+
 /* ─────────────────────────────────────────────
    Grid Sampler
 ───────────────────────────────────────────── */
@@ -83,6 +905,16 @@ class GridSampler {
     this.centerDensity = options.centerDensity || 400; // meters between points in center
     this.edgeDensity = options.edgeDensity || 800; // meters between points at edges
     this.maxPoints = options.maxPoints || 200;
+    this.boundary = options.boundary || null; // optional Boundary to clip points to
+    this.searchRadius = options.searchRadius || 0; // keep points whose search circle still reaches the boundary
+    this.clippedPoints = 0;
+  }
+
+  isInsideArea(lat, lon, radius = this.searchRadius) {
+    if (!this.boundary) return true;
+    if (this.boundary.touchesCircle(lat, lon, radius)) return true;
+    this.clippedPoints++;
+    return false;
   }
 
   metersToLatDelta(meters) {
@@ -95,14 +927,7 @@ class GridSampler {
   }
 
   distanceBetweenPoints(lat1, lon1, lat2, lon2) {
-    const R = 6371000; // Earth's radius in meters
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+    return distanceMeters(lat1, lon1, lat2, lon2);
   }
 
   generatePoints() {
@@ -118,7 +943,7 @@ class GridSampler {
 
     // Generate concentric rings from center outward
     // Ring 0 = center point
-    points.push({ lat: centerLat, lon: centerLon, priority: 1.0 });
+    if (this.isInsideArea(centerLat, centerLon)) points.push({ lat: centerLat, lon: centerLon, priority: 1.0 });
 
     let ringRadius = this.centerDensity;
     let ringIndex = 1;
@@ -143,9 +968,10 @@ class GridSampler {
         const newLat = centerLat + latOffset;
         const newLon = centerLon + lonOffset;
 
-        // Only add if within bounds
+        // Only add if within bounds (and the boundary shape, when one is set)
         if (newLat >= southwest.lat && newLat <= northeast.lat &&
-            newLon >= southwest.lon && newLon <= northeast.lon) {
+            newLon >= southwest.lon && newLon <= northeast.lon &&
+            this.isInsideArea(newLat, newLon)) {
           points.push({ lat: newLat, lon: newLon, priority });
         }
       }
@@ -163,180 +989,208 @@ class GridSampler {
 }
 
 /* ─────────────────────────────────────────────
-   Classification Rules (copied from index.mjs)
+   Hex Sampler
 ───────────────────────────────────────────── */
-const POI_CATEGORIES = [
-  'park','restaurant','attraction','cafe','bar','shopping','library','beach','gym','venue','entertainment','health','misc'
-];
-
-const GENERIC_PLACE_TYPES = [
-  'establishment','point_of_interest','locality','political','sublocality','neighborhood','administrative_area_level_1','administrative_area_level_2','country','route','street_address','premise','colloquial_area'
-];
+// Triangular lattice of search circles: each circle circumscribes a hexagon of the same radius,
+// so the hexagons tile the plane with no gaps and the least possible circle overlap.
+class HexSampler extends GridSampler {
+  constructor(bounds, options = {}) {
+    super(bounds, options);
+    this.radius = options.radius || DEFAULT_RADIUS;
+  }
 
-const EXCLUDED_GLOBAL_TYPES = [
-  'locality','political','country','administrative_area_level_1','administrative_area_level_2','administrative_area_level_3','sublocality','neighborhood','colloquial_area'
-];
+  // True when the hexagon around (lat, lon) can reach the bounds (distance to bbox under its apothem)
+  cellTouchesBounds(lat, lon) {
+    const { northeast, southwest } = this.bounds;
+    const clampedLat = Math.min(Math.max(lat, southwest.lat), northeast.lat);
+    const clampedLon = Math.min(Math.max(lon, southwest.lon), northeast.lon);
+    return this.distanceBetweenPoints(lat, lon, clampedLat, clampedLon) < (this.radius * Math.sqrt(3)) / 2;
+  }
 
-const GENERIC_BAD_NAMES = ['website', 'home', 'my location', 'new york'];
-
-const CLASSIFICATION_RULES = {
-  park: { priority: 10, types: ['park','campground','rv_park'], keywords: ['park','garden','green','playground','recreation','square','plaza','promenade','waterfront','pier','trail','commons','field'], excludeKeywords: ['restaurant','bar','cafe','hotel','store','shop','market','pharmacy','bank'] },
-  shopping: { priority: 9, types: ['shopping_mall','department_store','clothing_store','shoe_store','jewelry_store','electronics_store','furniture_store','home_goods_store','book_store','bicycle_store','store','supermarket','grocery_or_supermarket','convenience_store','drugstore','pharmacy','florist','hardware_store','laundry','pet_store'], keywords: ['store','shop','market','boutique','outlet','retail'], excludeKeywords: [] },
-  entertainment: { priority: 8, types: ['movie_theater','amusement_park'], keywords: ['cinema','theater','theatre','movie','amusement','arcade','entertainment'], excludeTypes: ['store'], excludeKeywords: ['store','shop'] },
-  venue: { priority: 7, types: ['stadium','bowling_alley','casino'], keywords: ['stadium','arena','venue','hall','center','auditorium','amphitheater','bowling','casino','convention'], excludeTypes: ['store','clothing_store','electronics_store','book_store','shoe_store'], excludeKeywords: ['store','shop','market','boutique','retail'] },
-  attraction: { priority: 6, types: ['tourist_attraction','museum','zoo','aquarium','art_gallery','church','hindu_temple','mosque','synagogue','city_hall','courthouse','embassy'], keywords: ['museum','gallery','monument','memorial','historic','cathedral','church','temple','bridge','tower','statue'], excludeKeywords: [] },
-  cafe: { priority: 5, types: ['cafe','bakery'], keywords: ['cafe','coffee','bakery','patisserie','espresso'], excludeKeywords: [] },
-  bar: { priority: 4, types: ['bar','night_club'], keywords: ['bar','pub','tavern','lounge','brewery','taproom','cocktail','nightclub'], excludeTypes: ['drugstore','convenience_store','pharmacy','health'], excludeKeywords: ['cvs','duane reade','walgreens','rite aid'] },
-  restaurant: { priority: 3, types: ['restaurant','meal_takeaway','meal_delivery','food'], keywords: ['restaurant','bistro','eatery','kitchen','grill','diner','pizzeria','steakhouse'], excludeTypes: ['drugstore','convenience_store','pharmacy','health'], excludeKeywords: ['cvs','duane reade','walgreens','rite aid'] },
-  beach: { priority: 2, types: ['natural_feature'], keywords: ['beach','shore','waterfront','marina','harbor','pier','wharf','dock'], excludeKeywords: [] },
-  library: { priority: 2, types: ['library','school','university'], keywords: ['library','school','university','college','academy','institute'], excludeKeywords: [] },
-  gym: { priority: 2, types: ['gym','spa'], keywords: ['gym','fitness','yoga','pilates','crossfit','spa','wellness'], excludeKeywords: [] },
-  health: { priority: 2, types: ['doctor','hospital','dentist','pharmacy','physiotherapist','health','dentistry','medical_lab','veterinary_care'], keywords: ['doctor','dr.',' md','hospital','medical','clinic','health','dentist','dental','physician','surgery','care center'], excludeKeywords: [] },
-  misc: { priority: 1, types: [], keywords: [], excludeKeywords: [] }
-};
+  generatePoints() {
+    const { northeast, southwest } = this.bounds;
+    const centerLat = (northeast.lat + southwest.lat) / 2;
+    const centerLon = (northeast.lon + southwest.lon) / 2;
+    const halfHeight = this.distanceBetweenPoints(southwest.lat, centerLon, northeast.lat, centerLon) / 2;
+    const halfWidth = this.distanceBetweenPoints(centerLat, southwest.lon, centerLat, northeast.lon) / 2;
+    const rowSpacing = this.radius * 1.5;
+    const colSpacing = this.radius * Math.sqrt(3);
+    const rowCount = Math.ceil(halfHeight / rowSpacing) + 1;
+    const colCount = Math.ceil(halfWidth / colSpacing) + 1;
+    const maxDist = Math.max(1, Math.hypot(halfHeight, halfWidth));
 
-function getBestCategory(place) {
-  const placeName = (place.name || '').toLowerCase();
-  const placeTypes = place.types || [];
-  let bestMatch = { category: 'misc', priority: 0, confidence: 0 };
-  for (const [category, rules] of Object.entries(CLASSIFICATION_RULES)) {
-    if (rules.excludeTypes?.some(type => placeTypes.includes(type))) continue;
-    if (rules.excludeKeywords?.some(keyword => placeName.includes(keyword))) continue;
-    let confidence = 0;
-    const typeMatches = rules.types?.filter(type => placeTypes.includes(type)).length || 0;
-    confidence += typeMatches * 2;
-    const keywordMatches = rules.keywords?.filter(keyword => placeName.includes(keyword)).length || 0;
-    confidence += keywordMatches;
-    if (category === 'bar' && placeTypes.includes('liquor_store') && !placeTypes.some(type => ['drugstore','convenience_store','store'].includes(type))) {
-      confidence += 1;
-    }
-    if (confidence > 0 && (rules.priority > bestMatch.priority || (rules.priority === bestMatch.priority && confidence > bestMatch.confidence))) {
-      bestMatch = { category, priority: rules.priority, confidence };
-    }
-  }
-  return bestMatch.category;
-}
-
-function hasOnlyGenericTypes(types) {
-  const placeTypes = types || [];
-  if (placeTypes.length === 0) return true;
-  const nonGenericTypes = placeTypes.filter(t => !GENERIC_PLACE_TYPES.includes(t));
-  return nonGenericTypes.length === 0;
-}
-
-function containsExcludedGlobalType(types) {
-  const placeTypes = types || [];
-  return placeTypes.some(t => EXCLUDED_GLOBAL_TYPES.includes(t));
-}
-
-function isGenericName(name) {
-  const n = (name || '').trim().toLowerCase();
-  return n.length > 0 && GENERIC_BAD_NAMES.includes(n);
-}
-
-function isAddressLike(name) {
-  const n = (name || '').toLowerCase();
-  const hasNumber = /\b\d{1,6}\b/.test(n);
-  const hasStreetWord = /(street|st\.?|ave\.?|avenue|blvd\.?|boulevard|rd\.?|road|dr\.?|drive|ln\.?|lane|ct\.?|court|pl\.?|place|pkwy\.?|parkway|suite|ste\.?|apt\.?)/.test(n);
-  return hasNumber && hasStreetWord;
-}
-
-function isGloballyIneligible(place) {
-  const placeTypes = place.types || [];
-  const placeName = place.name || '';
-  if (containsExcludedGlobalType(placeTypes)) return true;
-  if (hasOnlyGenericTypes(placeTypes) && (isGenericName(placeName) || isAddressLike(placeName))) return true;
-  return false;
-}
-
-function explainGlobalIneligible(place) {
-  const placeTypes = place.types || [];
-  if (containsExcludedGlobalType(placeTypes)) {
-    const offending = placeTypes.filter(t => EXCLUDED_GLOBAL_TYPES.includes(t));
-    return `contains excluded global types: ${offending.join(', ')}`;
-  }
-  const placeName = place.name || '';
-  const genericTypes = hasOnlyGenericTypes(placeTypes);
-  const genericName = isGenericName(placeName);
-  const addressLike = isAddressLike(placeName);
-  if (genericTypes && (genericName || addressLike)) {
-    const reasons = [];
-    reasons.push('only generic Google types');
-    if (genericName) reasons.push('generic name');
-    if (addressLike) reasons.push('address-like name');
-    return reasons.join(', ');
-  }
-  return 'globally ineligible';
-}
-
-function validatePlace(place, category) {
-  const rules = CLASSIFICATION_RULES[category];
-  if (!rules) return false;
-  const placeName = (place.name || '').toLowerCase();
-  const placeTypes = place.types || [];
-  if (isGloballyIneligible(place)) return false;
-  if (rules.excludeTypes?.some(type => placeTypes.includes(type))) return false;
-  if (rules.excludeKeywords?.some(keyword => placeName.includes(keyword))) return false;
-  const hasMatchingType = rules.types?.some(type => placeTypes.includes(type)) || false;
-  const hasMatchingKeyword = rules.keywords?.some(keyword => placeName.includes(keyword)) || false;
-  if (category === 'bar' && placeTypes.includes('liquor_store') && !placeTypes.some(type => ['drugstore','convenience_store','store'].includes(type))) {
-    return true;
-  }
-  if (category === 'misc') {
-    if (hasOnlyGenericTypes(placeTypes) || isGenericName(place.name) || isAddressLike(place.name)) {
-      return false;
+    const points = [];
+    for (let row = -rowCount; row <= rowCount; row++) {
+      const rowOffset = Math.abs(row) % 2 === 1 ? colSpacing / 2 : 0;
+      for (let col = -colCount; col <= colCount; col++) {
+        const northOffset = row * rowSpacing;
+        const eastOffset = col * colSpacing + rowOffset;
+        const lat = centerLat + this.metersToLatDelta(northOffset);
+        const lon = centerLon + this.metersToLonDelta(eastOffset, centerLat);
+        if (!this.cellTouchesBounds(lat, lon) || !this.isInsideArea(lat, lon, this.radius)) continue;
+        const priority = 1.0 - Math.min(Math.hypot(northOffset, eastOffset) / maxDist, 1) * 0.5;
+        points.push({ lat, lon, priority });
+      }
     }
+
+    points.sort((a, b) => b.priority - a.priority);
+    return points.slice(0, this.maxPoints);
   }
-  return hasMatchingType || hasMatchingKeyword || category === 'misc';
 }
 
-function explainValidationFailure(place, category) {
-  const rules = CLASSIFICATION_RULES[category];
-  if (!rules) return `unknown category: ${category}`;
-  if (isGloballyIneligible(place)) {
-    return explainGlobalIneligible(place);
-  }
-  const placeName = (place.name || '').toLowerCase();
-  const placeTypes = place.types || [];
-  if (rules.excludeTypes?.some(type => placeTypes.includes(type))) {
-    const offending = rules.excludeTypes.filter(t => placeTypes.includes(t));
-    return `has excluded types for ${category}: ${offending.join(', ')}`;
+/* ─────────────────────────────────────────────
+   Quadtree Sampler
+───────────────────────────────────────────── */
+// Square cells circumscribed by their search circle: a cell of radius r has side r·√2,
+// so four children of radius r/2 exactly tile it. Saturated cells are split on demand.
+class QuadtreeSampler extends GridSampler {
+  constructor(bounds, options = {}) {
+    super(bounds, options);
+    this.radius = options.radius || DEFAULT_RADIUS;
+    this.minRadius = options.minRadius || 100;
   }
-  if (rules.excludeKeywords?.some(keyword => placeName.includes(keyword))) {
-    const offending = rules.excludeKeywords.filter(k => placeName.includes(k));
-    return `has excluded keywords for ${category}: ${offending.join(', ')}`;
+
+  generatePoints() {
+    const { northeast, southwest } = this.bounds;
+    const centerLat = (northeast.lat + southwest.lat) / 2;
+    const centerLon = (northeast.lon + southwest.lon) / 2;
+    const heightMeters = this.distanceBetweenPoints(southwest.lat, centerLon, northeast.lat, centerLon);
+    const widthMeters = this.distanceBetweenPoints(centerLat, southwest.lon, centerLat, northeast.lon);
+    const side = this.radius * Math.SQRT2;
+    const rows = Math.max(1, Math.ceil(heightMeters / side));
+    const cols = Math.max(1, Math.ceil(widthMeters / side));
+    const maxDist = Math.max(1, Math.hypot(heightMeters, widthMeters) / 2);
+
+    const points = [];
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        // Lattice is centered on the bounds so leftover margin is split evenly on both sides
+        const northOffset = (row - (rows - 1) / 2) * side;
+        const eastOffset = (col - (cols - 1) / 2) * side;
+        const lat = centerLat + this.metersToLatDelta(northOffset);
+        const lon = centerLon + this.metersToLonDelta(eastOffset, centerLat);
+        if (!this.isInsideArea(lat, lon, this.radius)) continue;
+        const priority = 1.0 - Math.min(Math.hypot(northOffset, eastOffset) / maxDist, 1) * 0.5;
+        points.push({ lat, lon, radius: this.radius, depth: 0, priority });
+      }
+    }
+
+    points.sort((a, b) => b.priority - a.priority);
+    return points.slice(0, this.maxPoints);
   }
-  const hasMatchingType = rules.types?.some(type => placeTypes.includes(type)) || false;
-  const hasMatchingKeyword = rules.keywords?.some(keyword => placeName.includes(keyword)) || false;
-  if (category === 'misc') {
-    if (hasOnlyGenericTypes(placeTypes) || isGenericName(place.name) || isAddressLike(place.name)) {
-      return 'misc disallowed for generic/address-like entries without specific signals';
+
+  // Four child queries covering a saturated cell, or [] once children would drop below minRadius
+  subdivide(point) {
+    const childRadius = point.radius / 2;
+    if (childRadius < this.minRadius) return [];
+    const offset = (point.radius * Math.SQRT2) / 4;
+    const children = [];
+    for (const [dNorth, dEast] of [[1, -1], [1, 1], [-1, -1], [-1, 1]]) {
+      const lat = point.lat + this.metersToLatDelta(dNorth * offset);
+      const lon = point.lon + this.metersToLonDelta(dEast * offset, point.lat);
+      if (!this.isInsideArea(lat, lon, childRadius)) continue;
+      children.push({ lat, lon, radius: childRadius, depth: (point.depth || 0) + 1, priority: point.priority });
     }
+    return children;
   }
-  if (!hasMatchingType && !hasMatchingKeyword && category !== 'misc') {
-    return `no matching type/keyword for ${category}`;
+}
+
+const GRID_SAMPLERS = ['rings', 'hex', 'quadtree'];
+
+function createSampler(grid, bounds, { radius, maxPoints, boundary = null, minRadius = 100 }) {
+  const options = { maxPoints, boundary, searchRadius: radius };
+  if (grid === 'hex') return new HexSampler(bounds, { ...options, radius });
+  if (grid === 'quadtree') return new QuadtreeSampler(bounds, { ...options, radius, minRadius });
+  return new GridSampler(bounds, { ...options, centerDensity: radius, edgeDensity: radius * 2 });
+}
+
+// Share of the area inside at least one search circle, estimated on a regular sample lattice.
+// overlap is the mean number of circles covering each covered sample (1.0 = no overlap).
+function estimateCoverage(points, bounds, { radius, boundary = null, samplesPerSide = 80 }) {
+  const { northeast, southwest } = bounds;
+  const mPerLat = 111320;
+  const mPerLon = 111320 * Math.cos((((northeast.lat + southwest.lat) / 2) * Math.PI) / 180);
+  let inArea = 0, covered = 0, hits = 0;
+  for (let r = 0; r < samplesPerSide; r++) {
+    const lat = southwest.lat + ((r + 0.5) / samplesPerSide) * (northeast.lat - southwest.lat);
+    for (let c = 0; c < samplesPerSide; c++) {
+      const lon = southwest.lon + ((c + 0.5) / samplesPerSide) * (northeast.lon - southwest.lon);
+      if (boundary && !boundary.contains(lat, lon)) continue;
+      inArea++;
+      let count = 0;
+      for (const p of points) {
+        const pr = p.radius || radius;
+        const dy = (p.lat - lat) * mPerLat, dx = (p.lon - lon) * mPerLon;
+        if (dx * dx + dy * dy <= pr * pr) count++;
+      }
+      if (count > 0) { covered++; hits += count; }
+    }
   }
-  return 'failed validation';
+  return { points: points.length, coverage: inArea ? covered / inArea : 0, overlap: covered ? hits / covered : 0 };
 }
 
 /* ─────────────────────────────────────────────
    AI Classification (from index.mjs)
 ───────────────────────────────────────────── */
+const DEFAULT_AI_MODEL = "gpt-4o-mini";
+const DEFAULT_AI_API_KEY_ENV = "OPENAI_API_KEY";
+const DEFAULT_AI_TEMPERATURE = 0.1;
+// Per place; batched requests allow this many tokens for each place in the batch
+const DEFAULT_AI_MAX_TOKENS = 200;
+// Places per request; 1 (the default) sends the original one-place-per-request prompt, --ai-batch-size N opts into batches
+const DEFAULT_AI_BATCH_SIZE = 1;
+const MAX_AI_BATCH_SIZE = 50;
+// Sent when --ai-base-url is given without a key: local OpenAI-compatible servers often need none, but the SDK requires one
+const AI_PLACEHOLDER_API_KEY = "no-key";
+
+// minConfidence: AI answers below it are not applied (or go to the --review-out queue).
+// structuredOutput turns false once the server rejects json_schema batches; later batches go one place per request
+const aiSettings = { batchSize: DEFAULT_AI_BATCH_SIZE, model: DEFAULT_AI_MODEL, baseUrl: null, apiKeyEnv: DEFAULT_AI_API_KEY_ENV, temperature: DEFAULT_AI_TEMPERATURE, maxTokens: DEFAULT_AI_MAX_TOKENS, minConfidence: 0, structuredOutput: true };
+
+// Any OpenAI-compatible chat.completions server works: the SDK default (or OPENAI_BASE_URL) unless --ai-base-url is given
+function configureAI({ batchSize = DEFAULT_AI_BATCH_SIZE, model = DEFAULT_AI_MODEL, baseUrl = null, apiKeyEnv = DEFAULT_AI_API_KEY_ENV, temperature = DEFAULT_AI_TEMPERATURE, maxTokens = DEFAULT_AI_MAX_TOKENS, minConfidence = 0 } = {}) {
+  if (!(Number.isInteger(batchSize) && batchSize >= 1 && batchSize <= MAX_AI_BATCH_SIZE)) throw new Error(`--ai-batch-size must be between 1 and ${MAX_AI_BATCH_SIZE}`);
+  if (!model) throw new Error("--ai-model must not be empty");
+  if (!(temperature >= 0 && temperature <= 2)) throw new Error("--ai-temperature must be between 0 and 2");
+  if (!(Number.isInteger(maxTokens) && maxTokens >= 1)) throw new Error("--ai-max-tokens must be a positive integer");
+  if (!(minConfidence >= 0 && minConfidence <= 1)) throw new Error("--ai-min-confidence must be between 0 and 1");
+  Object.assign(aiSettings, { batchSize, model, baseUrl, apiKeyEnv, temperature, maxTokens, minConfidence, structuredOutput: true });
+  const apiKey = process.env[apiKeyEnv] || (baseUrl ? AI_PLACEHOLDER_API_KEY : null);
+  // SDK retries are off so AI calls follow the shared retry policy
+  openai = apiKey ? new OpenAI({ apiKey, maxRetries: 0, ...(baseUrl ? { baseURL: baseUrl } : {}) }) : null;
+}
+
+// An "openai" entry from --prices wins; otherwise the list price of --ai-model when it runs on OpenAI itself.
+// Without either, AI spend is left out of the estimate, which --budget cannot allow
+function configureAIPrices({ budget = null } = {}) {
+  if (usageMeter.prices.openai) return;
+  const onOpenAI = /^https:\/\/api\.openai\.com\//.test(openai?.baseURL || '');
+  const listPrice = onOpenAI ? AI_MODEL_PRICES[aiSettings.model] : null;
+  if (!listPrice && budget !== null) throw new Error(`No token prices for ${describeAIBackend()}; add an "openai" entry to --prices so --budget can count AI spend`);
+  if (!listPrice) logWarn(`⚠️ No token prices for ${aiSettings.model}${onOpenAI ? '' : ` at ${openai?.baseURL}`}; AI spend is left out of the cost estimate (add an "openai" entry to --prices)`);
+  usageMeter.prices = { ...usageMeter.prices, openai: listPrice || { inputPerMillion: 0, outputPerMillion: 0 } };
+}
+
+function describeAIBackend() {
+  return `${aiSettings.model} @ ${openai?.baseURL || aiSettings.baseUrl || 'default endpoint'}, ${process.env[aiSettings.apiKeyEnv] ? `key from ${aiSettings.apiKeyEnv}` : `no key (${aiSettings.apiKeyEnv} not set)`}`;
+}
+
 async function classifyPlaceWithAI(place) {
   if (!openai) return null;
   const startTime = Date.now();
   log(`🔄 AI-START: Classifying "${place.name}"...`);
   try {
-    const prompt = `\nAnalyze this place and classify it into the most appropriate category.\n\nPlace Details:\n- Name: "${place.name}"\n- Description/Address: "${place.vicinity || 'N/A'}"\n- Google Types: ${(place.types || []).join(', ')}\n- Rating: ${place.rating || 'N/A'}\n\nAvailable Categories: ${POI_CATEGORIES.join(', ')}\n\nCategory Definitions:\n- park: Outdoor recreational spaces (parks, gardens, playgrounds)\n- restaurant: Food, drinks, dining (restaurants, diners, food trucks)\n- attraction: Tourist sites, museums, landmarks, public squares, religious sites\n- cafe: Coffee shops, casual dining, bakeries\n- bar: Bars, pubs, nightlife, breweries\n- shopping: Retail stores, malls, supermarkets, pharmacies\n- library: Educational/community spaces (libraries, schools, universities)\n- beach: Waterfront recreation (beaches, piers, marinas)\n- gym: Fitness centers, sports facilities, spas\n- venue: Venues, events, concerts, stadiums, halls, convention centers\n- entertainment: Entertainment, shows, movies, theaters, amusement parks\n- misc: Everything that doesn't fit elsewhere\n\nConsider:\n1. What is the PRIMARY purpose/function of this place?\n2. What would a person most likely visit this place for?\n3. If a place has multiple functions, choose based on its MAIN purpose (follow provided hints)\n\nCRITICAL: Respond with ONLY a valid JSON object. Do NOT use markdown or code fences.\n\nRequired JSON format:\n{\n  "category": "most_appropriate_category",\n  "confidence": 0.95,\n  "reasoning": "Brief explanation of why this category was chosen",\n  "isValid": true,\n  "alternativeCategory": "second_best_option_or_null"\n}\n\nRules:\n- The category MUST be one from the available categories list\n- Set isValid to false if this doesn't seem like a legitimate business/place\n- Do NOT wrap the JSON in markdown\n`;
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const prompt = buildClassificationPrompt(place);
+    const completion = {
+      model: aiSettings.model,
       messages: [
-        { role: "system", content: "You are a place classification assistant. Always respond with valid JSON only, never use markdown formatting or code blocks." },
+        { role: "system", content: AI_SYSTEM_PROMPT },
         { role: "user", content: prompt }
       ],
-      temperature: 0.1,
-      max_tokens: 200
-    });
+      temperature: aiSettings.temperature,
+      max_tokens: aiSettings.maxTokens
+    };
+    const response = await cachedRequest('openai', { method: 'POST', url: 'chat.completions', body: completion }, () => openai.chat.completions.create(completion));
     let responseContent = response.choices[0].message.content.trim();
     if (responseContent.startsWith('```')) {
       responseContent = responseContent.replace(/```json\s*/, '').replace(/```\s*$/, '');
@@ -355,13 +1209,15 @@ async function classifyPlaceWithAI(place) {
       logWarn(`⚠️ AI returned invalid response structure for ${place.name} (${elapsed}ms)`);
       return null;
     }
-    if (!POI_CATEGORIES.includes(result.category)) {
+    if (!poiCategories().includes(result.category)) {
       const elapsed = Date.now() - startTime;
       logWarn(`⚠️ AI returned invalid category: ${result.category} for ${place.name} (${elapsed}ms)`);
       return null;
     }
+    // An unknown subcategory only loses the subcategory, not the classification
+    if (!isKnownSubcategory(result.category, result.subcategory)) result.subcategory = null;
     const elapsed = Date.now() - startTime;
-    log(`✅ AI-DONE: "${place.name}" → ${result.category} (${elapsed}ms)`);
+    log(`✅ AI-DONE: "${place.name}" → ${formatCategory(result)} (${elapsed}ms)`);
     return result;
   } catch (error) {
     const elapsed = Date.now() - startTime;
@@ -370,29 +1226,726 @@ async function classifyPlaceWithAI(place) {
   }
 }
 
-async function batchClassifyWithAI(places) {
-  if (!openai || places.length === 0) return {};
-  log(`🤖 Using AI to classify ${places.length} places...`);
-  const results = {};
-  const batchSize = 10;
-  for (let i = 0; i < places.length; i += batchSize) {
-    const batch = places.slice(i, i + batchSize);
-    const batchPromises = batch.map((place) => {
-      const randomDelay = Math.floor(Math.random() * 100) + 50;
-      return new Promise(resolve => setTimeout(resolve, randomDelay))
-        .then(() => classifyPlaceWithAI(place))
-        .then(result => ({ place, result }));
-    });
-    const batchResults = await Promise.all(batchPromises);
-    for (const { place, result } of batchResults) {
-      if (result) results[place.place_id || place.name] = result;
-    }
-    if (i + batchSize < places.length) {
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
+// entries: [[id, place], ...]; ids are short local keys so the model never has to echo long place ids
+function buildBatchClassificationPrompt(entries) {
+  const placeList = entries.map(([id, place]) => JSON.stringify({ id, name: place.name, address: place.address || null, types: place.types || [], rating: place.rating || null }));
+  return `\nClassify each of these places into the most appropriate category.\n\nPlaces (one JSON object per line):\n${placeList.join('\n')}\n\nAvailable Categories: ${poiCategories().join(', ')}\n\nCategory Definitions:\n${describeCategories()}\n\nSubcategories (optional, only from the chosen category's list):\n${describeSubcategories() || '- none'}\n\nConsider:\n1. What is the PRIMARY purpose/function of each place?\n2. What would a person most likely visit it for?\n3. If a place has multiple functions, choose based on its MAIN purpose (follow provided hints)\n\nRules:\n- Return exactly one result per place, using that place's id\n- The category MUST be one from the available categories list\n- The subcategory MUST be listed for the chosen category, otherwise null\n- Set isValid to false if a place doesn't seem like a legitimate business/place\n- alternativeCategory is the second best option, or null\n`;
+}
+
+// Strict structured output: every field is required and category is an enum, so the reply always parses
+function batchClassificationSchema() {
+  return {
+    name: "place_classifications",
+    strict: true,
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["results"],
+      properties: {
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["id", "category", "subcategory", "confidence", "reasoning", "isValid", "alternativeCategory"],
+            properties: {
+              id: { type: "string" },
+              category: { type: "string", enum: poiCategories() },
+              subcategory: { type: ["string", "null"] },
+              confidence: { type: "number" },
+              reasoning: { type: "string" },
+              isValid: { type: "boolean" },
+              alternativeCategory: { type: ["string", "null"] }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+// Servers without structured output reject the json_schema response_format by name; any other 400 (bad model,
+// oversized prompt, bad max_tokens) is an ordinary batch failure
+function isStructuredOutputRejected(error) {
+  return /response_format|json_schema/i.test(error?.message || '');
+}
+
+// Map of place → classification for the entries the model answered, or null when the request failed (after HTTP retries)
+async function requestBatchClassification(places) {
+  const answered = new Map();
+  const byId = new Map(places.map((place, i) => [`p${i + 1}`, place]));
+  const completion = {
+    model: aiSettings.model,
+    messages: [
+      { role: "system", content: AI_SYSTEM_PROMPT },
+      { role: "user", content: buildBatchClassificationPrompt([...byId]) }
+    ],
+    temperature: aiSettings.temperature,
+    max_tokens: aiSettings.maxTokens * places.length,
+    response_format: { type: "json_schema", json_schema: batchClassificationSchema() }
+  };
+  try {
+    const response = await cachedRequest('openai', { method: 'POST', url: 'chat.completions', body: completion }, () => openai.chat.completions.create(completion));
+    const message = response.choices[0].message;
+    if (message.refusal) throw new Error(`refused: ${message.refusal}`);
+    if (response.choices[0].finish_reason === 'length') throw new Error(`reply cut off at ${completion.max_tokens} tokens`);
+    const { results } = JSON.parse(message.content);
+    for (const { id, ...result } of results) {
+      const place = byId.get(id);
+      if (!place || answered.has(place) || !poiCategories().includes(result.category)) continue;
+      if (!isKnownSubcategory(result.category, result.subcategory)) result.subcategory = null;
+      answered.set(place, result);
+    }
+  } catch (error) {
+    if (isStructuredOutputRejected(error)) {
+      // Concurrent batches can all be rejected; only the first one reports it
+      if (aiSettings.structuredOutput) logWarn(`⚠️ ${aiSettings.model} rejected batched structured output (${error.message}); classifying one place per request instead`);
+      aiSettings.structuredOutput = false;
+      return null;
+    }
+    logWarn(`⚠️ AI batch classification failed for ${places.length} places: ${error.message}`);
+    return null;
+  }
+  return answered;
+}
+
+// Places left out of an otherwise good reply get one more request; anything still unanswered keeps its rule-based category.
+// Once the server has rejected structured output, the places go through classifyPlaceWithAI instead
+async function classifyPlacesWithAI(places) {
+  const results = new Map();
+  if (!openai || places.length === 0) return results;
+  const startTime = Date.now();
+  log(`🔄 AI-BATCH: Classifying ${places.length} places...`);
+  let pending = places;
+  for (let attempt = 1; attempt <= 2 && pending.length > 0 && aiSettings.structuredOutput; attempt++) {
+    if (attempt > 1) log(`🔁 AI-BATCH: Retrying ${pending.length} unanswered places...`);
+    const answered = await requestBatchClassification(pending);
+    if (!answered) break;
+    for (const [place, result] of answered) results.set(place, result);
+    pending = pending.filter(place => !results.has(place));
+  }
+  if (!aiSettings.structuredOutput && pending.length > 0) {
+    for (const [place, result] of await classifyEachWithAI(pending, classifyPlaceWithAI)) results.set(place, result);
+    pending = pending.filter(place => !results.has(place));
+  }
+  const elapsed = Date.now() - startTime;
+  if (pending.length > 0) logWarn(`⚠️ No AI classification for ${pending.map(p => `"${p.name}"`).join(', ')}, keeping rule-based categories`);
+  log(`✅ AI-BATCH: ${results.size}/${places.length} places classified (${elapsed}ms)`);
+  return results;
+}
+
+async function batchClassifyWithAI(places) {
+  if (!openai || places.length === 0) return {};
+  const results = {};
+  const uncached = [];
+  for (const place of places) {
+    const cached = cachedAiClassification(place);
+    if (cached) results[place.id || place.name] = cached;
+    else uncached.push(place);
+  }
+  if (uncached.length < places.length) log(`🧠 AI cache: ${places.length - uncached.length} of ${places.length} places already classified`);
+  if (uncached.length > 0) log(`🤖 Using AI to classify ${uncached.length} places...`);
+  if (aiSettings.batchSize > 1) {
+    for (let i = 0; i < uncached.length; i += aiSettings.batchSize) {
+      const batch = uncached.slice(i, i + aiSettings.batchSize);
+      const answers = await classifyPlacesShared(batch);
+      batch.forEach((place, j) => { if (answers[j]) results[place.id || place.name] = answers[j]; });
+    }
+    await saveAiCache();
+    log(`🤖 AI classified ${Object.keys(results).length} places`);
+    return results;
+  }
+  for (const [place, result] of await classifyEachWithAI(uncached)) results[place.id || place.name] = result;
+  await saveAiCache();
+  log(`🤖 AI classified ${Object.keys(results).length} places`);
+  return results;
+}
+
+// One request per place, 10 at a time with a short stagger and a pause between groups. Map of place → classification.
+// The json_schema fallback passes classifyPlaceWithAI: its places are already registered as shared answers
+async function classifyEachWithAI(places, classify = classifyPlaceShared) {
+  const results = new Map();
+  const batchSize = 10;
+  for (let i = 0; i < places.length; i += batchSize) {
+    const batch = places.slice(i, i + batchSize);
+    const batchPromises = batch.map((place) => {
+      const randomDelay = Math.floor(Math.random() * 100) + 50;
+      return new Promise(resolve => setTimeout(resolve, randomDelay))
+        .then(() => classify(place))
+        .then(result => ({ place, result }));
+    });
+    const batchResults = await Promise.all(batchPromises);
+    for (const { place, result } of batchResults) {
+      if (result) results.set(place, result);
+    }
+    if (i + batchSize < places.length) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+  return results;
+}
+
+/* ─────────────────────────────────────────────
+   AI Classification Cache (--ai-cache, --refresh-ai)
+───────────────────────────────────────────── */
+const AI_CACHE_VERSION = 1;
+const DEFAULT_AI_CACHE_FILE = 'poiseed-ai-cache.json';
+const DEFAULT_AI_CACHE_TTL_DAYS = 30;
+
+// One entry per place id; an entry from another prompt version, older than the TTL or (with --refresh-ai) from before this run is a miss
+const aiCache = { file: null, ttlMs: 0, refresh: false, startedAt: 0, promptVersion: null, entries: new Map(), inFlight: new Map(), hits: 0, misses: 0, expired: 0, writes: 0, dirty: false, saving: Promise.resolve() };
+
+// Everything that shapes an answer except the place itself: endpoint, model settings, system prompt, prompt templates and the loaded rules
+function aiPromptVersion() {
+  const placeholder = { name: '{name}', address: '{address}', types: ['{types}'], rating: '{rating}' };
+  const templates = [buildClassificationPrompt(placeholder), buildBatchClassificationPrompt([['{id}', placeholder]]), batchClassificationSchema()];
+  return crypto.createHash('sha256').update(JSON.stringify([openai?.baseURL ?? null, aiSettings.model, aiSettings.temperature, aiSettings.maxTokens, AI_SYSTEM_PROMPT, templates])).digest('hex').slice(0, 16);
+}
+
+// Call after configureRules and configureAI, the prompt version depends on both
+async function configureAiCache({ file = DEFAULT_AI_CACHE_FILE, ttlDays = DEFAULT_AI_CACHE_TTL_DAYS, refresh = false } = {}) {
+  if (!(ttlDays > 0)) throw new Error("--ai-cache-ttl must be a positive number of days");
+  Object.assign(aiCache, { file, ttlMs: ttlDays * 24 * 60 * 60 * 1000, refresh, startedAt: Date.now(), promptVersion: aiPromptVersion(), entries: new Map(), hits: 0, misses: 0, expired: 0, writes: 0, dirty: false });
+  if (!file) return;
+  let raw;
+  try { raw = await fs.readFile(file, 'utf8'); } catch (e) {
+    if (e.code === 'ENOENT') return;
+    throw new Error(`Cannot read AI cache ${file}: ${e.message}`);
+  }
+  let doc;
+  try { doc = JSON.parse(raw); } catch (e) { throw new Error(`Failed to parse AI cache ${file}: ${e.message} (delete it to start over)`); }
+  if (!doc || doc.version !== AI_CACHE_VERSION || !isPlainObject(doc.entries)) {
+    throw new Error(`Unsupported AI cache version in ${file} (expected ${AI_CACHE_VERSION})`);
+  }
+  for (const [id, entry] of Object.entries(doc.entries)) aiCache.entries.set(id, entry);
+}
+
+function aiCacheSummary() {
+  return `${aiCache.hits} hits, ${aiCache.misses} misses${aiCache.expired ? ` (${aiCache.expired} expired)` : ''}, ${aiCache.writes} stored (${aiCache.entries.size} entries in ${aiCache.file}${aiCache.refresh ? ', refreshing' : ''})`;
+}
+
+function lookupAiCache(place, { countExpired = false } = {}) {
+  if (!aiCache.file || !place.id) return null;
+  const entry = aiCache.entries.get(place.id);
+  if (!entry || entry.promptVersion !== aiCache.promptVersion) return null;
+  const cachedAt = Date.parse(entry.cachedAt);
+  if (aiCache.refresh && !(cachedAt >= aiCache.startedAt)) return null;
+  if (!(Date.now() - cachedAt <= aiCache.ttlMs)) {
+    if (countExpired) aiCache.expired++;
+    return null;
+  }
+  return entry;
+}
+
+function cachedAiClassification(place) {
+  const entry = lookupAiCache(place, { countExpired: true });
+  if (entry) aiCache.hits++;
+  return entry ? entry.result : null;
+}
+
+// The cached or in-flight answer for a place, or null when it has to be asked about
+function sharedAiAnswer(place) {
+  if (!aiCache.file || !place.id) return null;
+  const stored = lookupAiCache(place);
+  if (!stored && !aiCache.inFlight.has(place.id)) return null;
+  aiCache.hits++;
+  return stored ? Promise.resolve(stored.result) : aiCache.inFlight.get(place.id);
+}
+
+// Only requests actually sent count as misses
+function rememberAiAnswer(place, request) {
+  if (!aiCache.file || !place.id) return request;
+  aiCache.misses++;
+  const pending = request
+    .then(result => {
+      if (result) {
+        aiCache.entries.set(place.id, { promptVersion: aiCache.promptVersion, cachedAt: new Date().toISOString(), name: place.name, result });
+        aiCache.writes++;
+        aiCache.dirty = true;
+      }
+      return result;
+    })
+    .finally(() => aiCache.inFlight.delete(place.id));
+  aiCache.inFlight.set(place.id, pending);
+  return pending;
+}
+
+// Overlapping seed points can ask about the same place before dedupe. A point that missed the cache shares the request
+// another point has in flight, or the answer it stored meanwhile
+function classifyPlaceShared(place) {
+  return sharedAiAnswer(place) || rememberAiAnswer(place, classifyPlaceWithAI(place));
+}
+
+// Batched counterpart: places answered elsewhere are awaited, the rest go out in one request. Results follow the input order
+async function classifyPlacesShared(places) {
+  const answers = places.map(sharedAiAnswer);
+  const toAsk = places.filter((_, i) => !answers[i]);
+  const request = toAsk.length > 0 ? classifyPlacesWithAI(toAsk) : Promise.resolve(new Map());
+  places.forEach((place, i) => {
+    if (!answers[i]) answers[i] = rememberAiAnswer(place, request.then(results => results.get(place) || null));
+  });
+  return Promise.all(answers);
+}
+
+// Writes are chained so concurrent batches never interleave; a failed write only costs the cache, not the run
+function saveAiCache() {
+  if (!aiCache.file || !aiCache.dirty) return aiCache.saving;
+  aiCache.dirty = false;
+  const payload = JSON.stringify({ version: AI_CACHE_VERSION, updatedAt: new Date().toISOString(), entries: Object.fromEntries(aiCache.entries) });
+  const file = aiCache.file;
+  aiCache.saving = aiCache.saving
+    .then(async () => {
+      const tmpPath = `${file}.tmp`;
+      await fs.writeFile(tmpPath, payload, 'utf8');
+      await fs.rename(tmpPath, file);
+    })
+    .catch(err => logWarn(`⚠️ Could not save AI cache ${file}: ${err.message}`));
+  return aiCache.saving;
+}
+
+/* ─────────────────────────────────────────────
+   Place Details Enrichment (--enrich details)
+───────────────────────────────────────────── */
+const ENRICH_STAGES = ['details'];
+const DETAILS_CACHE_VERSION = 1;
+const DEFAULT_DETAILS_CACHE_FILE = 'poiseed-details-cache.json';
+// Hours and business status go stale faster than a classification does
+const DEFAULT_DETAILS_CACHE_TTL_DAYS = 7;
+const DEFAULT_DETAILS_CONCURRENCY = 4;
+
+// Caps calls in flight across every caller (grid points are processed side by side); a finishing call hands its slot to the next waiter
+class ConcurrencyLimit {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(fn) {
+    if (this.active < this.limit) this.active++;
+    else await new Promise(resolve => this.waiting.push(resolve));
+    try {
+      return await fn();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) next(); else this.active--;
+    }
+  }
+}
+
+// Entries are keyed "provider:id" and kept in memory even with --no-details-cache, so a place seen from several grid points is looked up once
+const placeDetails = { enabled: false, concurrency: DEFAULT_DETAILS_CONCURRENCY, limit: new ConcurrencyLimit(DEFAULT_DETAILS_CONCURRENCY), file: null, ttlMs: 0, refresh: false, startedAt: 0, entries: new Map(), inFlight: new Map(), fetched: 0, hits: 0, failed: 0, missing: 0, dirty: false, saving: Promise.resolve() };
+
+// Call after configureProvider: the provider has to be able to look places up
+async function configureEnrichment({ enrich = [], concurrency = DEFAULT_DETAILS_CONCURRENCY, cacheFile = DEFAULT_DETAILS_CACHE_FILE, ttlDays = DEFAULT_DETAILS_CACHE_TTL_DAYS, refresh = false } = {}) {
+  const unknown = enrich.filter(stage => !ENRICH_STAGES.includes(stage));
+  if (unknown.length > 0) throw new Error(`--enrich must be one of: ${ENRICH_STAGES.join(', ')} (got ${unknown.join(', ')})`);
+  if (!(concurrency >= 1)) throw new Error("--details-concurrency must be at least 1");
+  if (!(ttlDays > 0)) throw new Error("--details-cache-ttl must be a positive number of days");
+  const enabled = enrich.includes('details');
+  const provider = activeProvider();
+  if (enabled && !provider.supportsDetails) throw new Error(`--enrich details needs --provider google (or fixture); ${provider.name} has no place details`);
+  Object.assign(placeDetails, { enabled, concurrency, limit: new ConcurrencyLimit(concurrency), file: enabled ? cacheFile : null, ttlMs: ttlDays * 24 * 60 * 60 * 1000, refresh, startedAt: Date.now(), entries: new Map(), inFlight: new Map(), fetched: 0, hits: 0, failed: 0, missing: 0, dirty: false });
+  if (!placeDetails.file) return;
+  let raw;
+  try { raw = await fs.readFile(placeDetails.file, 'utf8'); } catch (e) {
+    if (e.code === 'ENOENT') return;
+    throw new Error(`Cannot read details cache ${placeDetails.file}: ${e.message}`);
+  }
+  let doc;
+  try { doc = JSON.parse(raw); } catch (e) { throw new Error(`Failed to parse details cache ${placeDetails.file}: ${e.message} (delete it to start over)`); }
+  if (!doc || doc.version !== DETAILS_CACHE_VERSION || !isPlainObject(doc.entries)) {
+    throw new Error(`Unsupported details cache version in ${placeDetails.file} (expected ${DETAILS_CACHE_VERSION})`);
+  }
+  for (const [key, entry] of Object.entries(doc.entries)) placeDetails.entries.set(key, entry);
+}
+
+function placeDetailsSummary() {
+  const cache = placeDetails.file ? `${placeDetails.entries.size} entries in ${placeDetails.file}${placeDetails.refresh ? ', refreshing' : ''}` : 'not cached';
+  return `${placeDetails.fetched} fetched, ${placeDetails.hits} cached, ${placeDetails.failed} failed${placeDetails.missing ? `, ${placeDetails.missing} without details` : ''} (${placeDetails.concurrency} concurrent, ${cache})`;
+}
+
+function isFreshDetails(entry) {
+  const fetchedAt = Date.parse(entry.fetchedAt);
+  if (placeDetails.refresh && !(fetchedAt >= placeDetails.startedAt)) return false;
+  return Date.now() - fetchedAt <= placeDetails.ttlMs;
+}
+
+// Resolves to { details } or { error }; failures are not cached, so the next run asks again
+function lookupPlaceDetails(place) {
+  const key = `${place.provider}:${place.id}`;
+  const entry = placeDetails.entries.get(key);
+  if (entry && isFreshDetails(entry)) {
+    placeDetails.hits++;
+    return Promise.resolve({ details: entry.details });
+  }
+  if (placeDetails.inFlight.has(key)) {
+    placeDetails.hits++;
+    return placeDetails.inFlight.get(key);
+  }
+  const request = placeDetails.limit.run(() => activeProvider().placeDetails(place))
+    .then(details => {
+      placeDetails.fetched++;
+      placeDetails.entries.set(key, { fetchedAt: new Date().toISOString(), details });
+      placeDetails.dirty = true;
+      return { details };
+    }, error => {
+      placeDetails.failed++;
+      return { error };
+    })
+    .finally(() => placeDetails.inFlight.delete(key));
+  placeDetails.inFlight.set(key, request);
+  return request;
+}
+
+// Written next to a temp file and renamed, like the AI cache
+function savePlaceDetailsCache() {
+  if (!placeDetails.file || !placeDetails.dirty) return placeDetails.saving;
+  placeDetails.dirty = false;
+  const payload = JSON.stringify({ version: DETAILS_CACHE_VERSION, updatedAt: new Date().toISOString(), entries: Object.fromEntries(placeDetails.entries) });
+  const file = placeDetails.file;
+  placeDetails.saving = placeDetails.saving
+    .then(async () => {
+      const tmpPath = `${file}.tmp`;
+      await fs.writeFile(tmpPath, payload, 'utf8');
+      await fs.rename(tmpPath, file);
+    })
+    .catch(err => logWarn(`⚠️ Could not save details cache ${file}: ${err.message}`));
+  return placeDetails.saving;
+}
+
+// Adds phone, website, googleMapsUrl, businessStatus, hours and time zone to each POI; a failed lookup keeps the POI without them
+async function enrichWithDetails(pois, { quiet = false } = {}) {
+  if (!quiet) log(`🔍 STEP 6: Fetching place details for ${pois.length} places...`);
+  const results = await Promise.all(pois.map(poi => (poi._original.id ? lookupPlaceDetails(poi._original) : Promise.resolve({ details: null }))));
+  await savePlaceDetailsCache();
+  return pois.map((poi, i) => {
+    const { details, error } = results[i];
+    if (error) {
+      if (!quiet) logWarn(`⚠️ DETAILS: "${poi.name}" lookup failed after ${error.attempts || 1} attempt(s): ${error.message}`);
+      return poi;
+    }
+    if (!details) {
+      placeDetails.missing++;
+      return poi;
+    }
+    if (!quiet) log(`📇 DETAILS: "${poi.name}"${details.phone ? ` ${details.phone}` : ''}${details.website ? ` ${details.website}` : ''}${details.openingHours ? ' (hours)' : ''}`);
+    return { ...poi, ...details, businessStatus: details.businessStatus ?? poi._original.businessStatus ?? null, hours: buildHoursModel(details) };
+  });
+}
+
+/* ─────────────────────────────────────────────
+   Opening Hours Filter (--open-at / --open-now)
+───────────────────────────────────────────── */
+const hoursFilter = { openAt: null, openNow: false };
+
+// Call after configureEnrichment: the hours come from place details
+function configureHoursFilter({ openAt = null, openNow = false } = {}) {
+  const parsed = openAt ? parseOpenAt(openAt) : null;
+  if ((parsed || openNow) && !placeDetails.enabled) throw new Error("--open-at and --open-now need opening hours; add --enrich details");
+  Object.assign(hoursFilter, { openAt: parsed, openNow });
+}
+
+function isHoursFilterActive() {
+  return hoursFilter.openNow || hoursFilter.openAt !== null;
+}
+
+function describeHoursFilter() {
+  return [hoursFilter.openAt ? `open at ${hoursFilter.openAt.label}` : null, hoursFilter.openNow ? 'open now' : null].filter(Boolean).join(' and ');
+}
+
+// Why a POI fails --open-at / --open-now, or null when it passes; --open-at uses the regular weekly hours, --open-now also the special days
+function explainClosed(poi, at = new Date()) {
+  const status = poi.businessStatus ?? poi._original?.businessStatus ?? null;
+  if (status && status !== 'OPERATIONAL') return `business status ${status}`;
+  if (!poi.hours) return 'no opening hours';
+  if (hoursFilter.openAt && !isOpenAt(poi.hours, hoursFilter.openAt)) return `closed at ${hoursFilter.openAt.label}`;
+  if (hoursFilter.openNow && !isOpenAt(poi.hours, placeClock(poi.hours, at))) return 'closed now';
+  return null;
+}
+
+// STEP 6 and 7 for POIs that made it through every other stage: place details, then --open-at / --open-now.
+// processPlaces runs them itself unless deferDetails is set; seed defers them until after --clip-pois and dedupe
+async function finishWithDetails(pois, { quiet = false, query = null, trace = null, rejects = null } = {}) {
+  // Only places that made it through every stage cost a details request
+  const enriched = placeDetails.enabled && pois.length > 0 ? await enrichWithDetails(pois, { quiet }) : pois;
+  if (!isHoursFilterActive()) return enriched;
+  if (!quiet) log(`🔍 STEP 7: Keeping places ${describeHoursFilter()}...`);
+  const now = new Date();
+  const open = enriched.filter(poi => {
+    const reason = explainClosed(poi, now);
+    if (reason && !quiet) log(`🚫 HOURS: excluded "${poi.name}" – ${reason}`);
+    if (reason && rejects && rejectLog.enabled) rejects.push(rejectEntry(poi._original, 'hours', reason, query));
+    if (trace) {
+      const record = trace.get(poi._original);
+      record.hours = { passed: !reason, filter: describeHoursFilter(), reason };
+      if (reason) record.final.kept = false;
+    }
+    return !reason;
+  });
+  if (!quiet) log(`✅ Hours: ${enriched.length} → ${open.length} (excluded ${enriched.length - open.length})`);
+  return open;
+}
+
+/* ─────────────────────────────────────────────
+   Decision Trace (--trace)
+───────────────────────────────────────────── */
+// One JSONL record per raw place that reaches processPlaces, written whether or not the run is quiet
+const decisionTrace = { file: null, records: 0, pending: Promise.resolve() };
+
+// A resumed seed appends to its trace; any other run starts the file fresh
+async function configureTrace({ file = null, append = false } = {}) {
+  decisionTrace.file = file;
+  decisionTrace.records = 0;
+  if (file && !append) await fs.writeFile(file, '', 'utf8');
+}
+
+function isTracing() {
+  return decisionTrace.file !== null;
+}
+
+function newTraceRecord(place, query) {
+  return {
+    at: new Date().toISOString(),
+    query: query || null,
+    id: place.id ?? null,
+    provider: place.provider ?? null,
+    name: place.name,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    types: place.types || [],
+    preFilter: null,
+    scores: null,
+    rule: null,
+    validation: null,
+    categoryFilter: null,
+    ai: null,
+    boundary: null,
+    dedupe: null,
+    hours: null,
+    final: { kept: false, category: null, subcategory: null, method: null }
+  };
+}
+
+// Appends are chained so records from concurrent seed points never interleave
+function writeTraceRecords(records) {
+  if (!isTracing() || records.length === 0) return decisionTrace.pending;
+  const lines = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+  decisionTrace.records += records.length;
+  decisionTrace.pending = decisionTrace.pending.then(() => fs.appendFile(decisionTrace.file, lines, 'utf8'));
+  return decisionTrace.pending;
+}
+
+// For places processPlaces kept but the caller dropped afterwards (--clip-pois, dedupe), before their trace is written
+function traceStage(trace, poi, stage, reason = null) {
+  const record = trace?.get(poi._original);
+  if (!record) return;
+  record[stage] = { passed: !reason, reason };
+  if (reason) record.final.kept = false;
+}
+
+/* ─────────────────────────────────────────────
+   Rejection Report (--rejects)
+───────────────────────────────────────────── */
+// Stages that can drop a place: processPlaces' filters (hours only with --open-at / --open-now), then seed --clip-pois
+const REJECT_STAGES = ['pre-filter', 'validation', 'category-filter', 'hours', 'boundary'];
+
+function rejectEntry(place, stage, reason, query = null) {
+  return { id: place.id ?? null, name: place.name, latitude: place.latitude, longitude: place.longitude, types: place.types || [], stage, reason, query };
+}
+
+// Keyed like POIs, so a place rejected by several overlapping grid points is reported once: stage, reason and query are
+// the latest rejection, count is how many queries rejected it and reasons lists each distinct stage/reason with its count
+class RejectLog {
+  constructor() {
+    this.file = null;
+    this.entries = new Map();
+  }
+
+  get enabled() {
+    return this.file !== null;
+  }
+
+  add(rejects = []) {
+    for (const reject of rejects) {
+      const key = reject.id ? `pid:${reject.id}` : `${reject.name}|${reject.latitude}|${reject.longitude}`;
+      const entry = this.entries.get(key);
+      const reasons = entry ? entry.reasons : [];
+      const seen = reasons.find(r => r.stage === reject.stage && r.reason === reject.reason);
+      if (seen) seen.count++;
+      else reasons.push({ stage: reject.stage, reason: reject.reason, count: 1 });
+      this.entries.set(key, { ...reject, count: (entry?.count || 0) + 1, reasons });
+    }
+  }
+
+  // [{ stage, reason, count }] counting each place once per distinct reason, most common first
+  reasons() {
+    const counts = new Map();
+    for (const entry of this.entries.values()) {
+      for (const { stage, reason } of entry.reasons) {
+        const key = `${stage}\u0000${reason}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+    return Array.from(counts, ([key, count]) => {
+      const [stage, reason] = key.split('\u0000');
+      return { stage, reason, count };
+    }).sort((a, b) => b.count - a.count || REJECT_STAGES.indexOf(a.stage) - REJECT_STAGES.indexOf(b.stage));
+  }
+
+  async write() {
+    const places = Array.from(this.entries.values());
+    const report = { generatedAt: new Date().toISOString(), total: places.length, reasons: this.reasons(), places };
+    await fs.writeFile(this.file, JSON.stringify(report, null, 2), 'utf8');
+  }
+
+  snapshot() {
+    return Array.from(this.entries.entries());
+  }
+
+  // Checkpoints written before reasons were kept per place hold one reason each
+  restore(entries = []) {
+    this.entries = new Map(entries.map(([key, entry]) => [key, { count: 1, reasons: [{ stage: entry.stage, reason: entry.reason, count: 1 }], ...entry }]));
+  }
+}
+
+const rejectLog = new RejectLog();
+
+function configureRejects({ file = null } = {}) {
+  rejectLog.file = file;
+  rejectLog.entries = new Map();
+}
+
+// Top reasons so an over-aggressive rule stands out
+function printRejectSummary(print, limit = 10) {
+  const reasons = rejectLog.reasons();
+  print(`🚫 Rejected places: ${rejectLog.entries.size} → ${rejectLog.file}`);
+  for (const { stage, reason, count } of reasons.slice(0, limit)) {
+    print(`   ${count.toString().padStart(5)}  ${stage.padEnd(15)} ${reason}`);
+  }
+  if (reasons.length > limit) print(`   ... and ${reasons.length - limit} more reasons (see ${rejectLog.file})`);
+}
+
+/* ─────────────────────────────────────────────
+   Review Queue (--review-out, apply-review)
+───────────────────────────────────────────── */
+// Why processPlaces held a place back instead of picking a category silently
+const REVIEW_REASONS = ['low-confidence', 'disagreement', 'ai-failed-validation', 'ai-invalid'];
+// What a reviewer can put in "decision"; anything else must be a category or category:subcategory
+const REVIEW_DECISIONS = ['rule', 'ai', 'alternative', 'reject'];
+
+function reviewEntry(place, aiResult, { reasons, aiSubcategory, aiValid, query = null }) {
+  const { _original, ...poi } = place;
+  return {
+    id: _original.id ?? null,
+    name: place.name,
+    address: place.description || null,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    types: place.types,
+    reasons,
+    rule: { category: place.category, subcategory: place.subcategory ?? null },
+    ai: { category: aiResult.category, subcategory: aiSubcategory, confidence: aiResult.confidence ?? null, isValid: aiResult.isValid ?? null, passesValidation: aiValid, reasoning: aiResult.reasoning ?? null, alternativeCategory: aiResult.alternativeCategory ?? null },
+    query,
+    decision: null,
+    // The rule-based record, ready to ingest once a decision is applied
+    poi: { ...poi, confidence: 0.8, reasoning: "Rule-based classification", classificationMethod: 'Rules', isValidated: true }
+  };
+}
+
+// Keyed like RejectLog. Entries already in the review file are kept with their decisions, so re-running never loses review work
+class ReviewQueue {
+  constructor() {
+    this.file = null;
+    this.entries = new Map();
+  }
+
+  get enabled() {
+    return this.file !== null;
+  }
+
+  static keyOf(entry) {
+    return entry.id ? `pid:${entry.id}` : `${entry.name}|${entry.latitude}|${entry.longitude}`;
+  }
+
+  add(entries = []) {
+    for (const entry of entries) {
+      const key = ReviewQueue.keyOf(entry);
+      if (!this.entries.has(key)) this.entries.set(key, entry);
+    }
+  }
+
+  get pending() {
+    return Array.from(this.entries.values()).filter(entry => !entry.decision).length;
+  }
+
+  async write() {
+    const places = Array.from(this.entries.values());
+    const counts = Object.fromEntries(REVIEW_REASONS.map(reason => [reason, places.filter(entry => entry.reasons.includes(reason)).length]));
+    const report = {
+      generatedAt: new Date().toISOString(),
+      instructions: `Set "decision" to ${REVIEW_DECISIONS.map(d => `"${d}"`).join(', ')} or "category[:subcategory]", then run: poiseed apply-review --review ${this.file} --out reviewed.json`,
+      total: places.length,
+      pending: this.pending,
+      reasons: counts,
+      places
+    };
+    await fs.writeFile(this.file, JSON.stringify(report, null, 2), 'utf8');
+  }
+
+  snapshot() {
+    return Array.from(this.entries.entries());
+  }
+
+  restore(entries = []) {
+    for (const [key, entry] of entries) if (!this.entries.has(key)) this.entries.set(key, entry);
+  }
+}
+
+const reviewQueue = new ReviewQueue();
+
+async function readReviewFile(file) {
+  let raw;
+  try { raw = await fs.readFile(file, 'utf8'); } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw new Error(`Cannot read review file ${file}: ${e.message}`);
+  }
+  let doc;
+  try { doc = JSON.parse(raw); } catch (e) { throw new Error(`Failed to parse review file ${file}: ${e.message}`); }
+  if (!doc || !Array.isArray(doc.places)) throw new Error(`Review file ${file} has no "places" list`);
+  return doc.places;
+}
+
+async function configureReview({ file = null } = {}) {
+  reviewQueue.file = file;
+  reviewQueue.entries = new Map();
+  if (file) reviewQueue.add((await readReviewFile(file)) || []);
+}
+
+function printReviewSummary(print) {
+  const places = Array.from(reviewQueue.entries.values());
+  const counts = REVIEW_REASONS.map(reason => [reason, places.filter(entry => entry.reasons.includes(reason)).length]).filter(([, n]) => n > 0);
+  print(`🧐 Review queue: ${places.length} places (${reviewQueue.pending} pending) → ${reviewQueue.file}${counts.length ? ` [${counts.map(([reason, n]) => `${reason} ${n}`).join(', ')}]` : ''}`);
+}
+
+// A reviewed entry as an ingestable POI, or null for "reject"; throws on a decision that names no known category
+function applyReviewDecision(entry) {
+  const decision = String(entry.decision).trim();
+  const reviewed = (category, subcategory, reasoning) => ({ ...entry.poi, category, subcategory: subcategory ?? null, confidence: 1, reasoning, classificationMethod: 'Review', reviewDecision: decision });
+  if (decision === 'reject') return null;
+  if (decision === 'rule') return reviewed(entry.rule.category, entry.rule.subcategory, "Review: kept rule-based category");
+  if (decision === 'ai') return reviewed(entry.ai.category, entry.ai.subcategory, `Review: accepted AI category (${entry.ai.reasoning || 'no reasoning'})`);
+  if (decision === 'alternative') {
+    const category = entry.ai.alternativeCategory;
+    if (!poiCategories().includes(category)) throw new Error(`"${entry.name}": AI gave no usable alternativeCategory (${category ?? 'null'})`);
+    return reviewed(category, getBestSubcategory(entry, category), "Review: accepted AI alternative category");
   }
-  log(`🤖 AI classified ${Object.keys(results).length} places`);
-  return results;
+  const [category, subcategory = null] = decision.split(':');
+  if (!poiCategories().includes(category)) {
+    throw new Error(`"${entry.name}": decision "${decision}" must be one of ${REVIEW_DECISIONS.join(', ')} or a category (${poiCategories().join(', ')})`);
+  }
+  if (subcategory !== null && !isKnownSubcategory(category, subcategory)) throw new Error(`"${entry.name}": unknown subcategory "${subcategory}" for ${category}`);
+  return reviewed(category, subcategory ?? getBestSubcategory(entry, category), "Review: category set by reviewer");
 }
 
 /* ─────────────────────────────────────────────
@@ -401,7 +1954,7 @@ async function batchClassifyWithAI(places) {
 async function getCurrentLocation() {
   try {
     log("🌍 Getting your current location...");
-    const { data } = await axios.get("http://ipapi.co/json/");
+    const { data } = await withRetry('ipapi', () => axios.get("http://ipapi.co/json/"));
     if (!data) throw new Error("No data received from location service");
     if (!data.latitude || !data.longitude) throw new Error(`Invalid coordinates received: lat=${data.latitude}, lon=${data.longitude}`);
     if (data.latitude < -90 || data.latitude > 90) throw new Error(`Invalid latitude: ${data.latitude}`);
@@ -422,40 +1975,78 @@ async function getCurrentLocation() {
   }
 }
 
+// Nearby Search returns at most 3 pages of 20; a query that fills them has probably dropped places
+const PLACES_RESULT_CAP = 60;
+
+const PAGE_TOKEN_DELAY_MS = 2100;
+
 async function fetchPage({ latitude, longitude, radius, pageToken = "" } = {}) {
   const url = "https://maps.googleapis.com/maps/api/place/nearbysearch/json";
   const params = { location: `${latitude},${longitude}`, radius, key: API_KEY, pagetoken: pageToken };
-  const { data } = await axios.get(url, { params });
-  if (data.status !== "OK" && data.status !== "ZERO_RESULTS") {
+  // A next_page_token needs ~2 seconds before it becomes valid; only pages that actually go to the network wait for it
+  const data = await cachedRequest('places', { method: 'GET', url, params }, async () => {
+    if (pageToken) await new Promise(r => setTimeout(r, PAGE_TOKEN_DELAY_MS));
+    return (await axios.get(url, { params })).data;
+  }, { isCacheable: isGoogleSuccess, isRetryableResponse: isGoogleThrottled });
+  if (!isGoogleSuccess(data)) {
     throw new Error(`Places API error: ${data.status} - ${data.error_message ?? ""}`);
   }
   return data;
 }
 
+// Contact, hours and status fields for --enrich details; current_opening_hours adds this week's special days
+const PLACE_DETAILS_FIELDS = ['formatted_phone_number', 'international_phone_number', 'website', 'url', 'business_status', 'opening_hours', 'current_opening_hours', 'utc_offset'];
+
+// { periods: [{ open: { day, time: "HHMM", date? }, close }], weekdayText, specialDays? }; day 0 is Sunday, close is null for places open 24/7
+function normalizeLegacyHours(hours) {
+  if (!hours) return null;
+  const point = p => (p ? { day: p.day, time: p.time, ...(p.date ? { date: p.date } : {}) } : null);
+  return {
+    periods: (hours.periods || []).map(period => ({ open: point(period.open), close: point(period.close) })),
+    weekdayText: hours.weekday_text || [],
+    ...(hours.special_days ? { specialDays: hours.special_days.map(day => ({ date: day.date, exceptional: !!day.exceptional_hours })) } : {})
+  };
+}
+
+// A Place Details result (legacy API) → the fields --enrich details adds to a POI
+function normalizeGoogleDetails(result) {
+  return {
+    phone: result.international_phone_number ?? result.formatted_phone_number ?? null,
+    website: result.website ?? null,
+    googleMapsUrl: result.url ?? null,
+    businessStatus: result.business_status ?? null,
+    openingHours: normalizeLegacyHours(result.opening_hours),
+    currentOpeningHours: normalizeLegacyHours(result.current_opening_hours),
+    utcOffsetMinutes: result.utc_offset ?? null,
+    timeZone: null
+  };
+}
+
+async function fetchPlaceDetails(placeId) {
+  const url = "https://maps.googleapis.com/maps/api/place/details/json";
+  const params = { place_id: placeId, fields: PLACE_DETAILS_FIELDS.join(','), key: API_KEY };
+  const data = await cachedGet('details', url, { params }, { isCacheable: d => d?.status === "OK", isRetryableResponse: isGoogleThrottled });
+  if (data.status !== "OK") throw new Error(`Place Details error: ${data.status} - ${data.error_message ?? ""}`);
+  return normalizeGoogleDetails(data.result || {});
+}
+
 async function fetchNearbyPOIs(latitude, longitude, radius, filterCategories = [], useAI = false, options = {}) {
   const quiet = options.quiet || false;
-  let allRawResults = [];
-  let nextPageToken = "";
-  if (!quiet) log(`🔄 Fetching raw data from Google Places API... categories=[${filterCategories.join(', ')}]`);
-  do {
-    const page = await fetchPage({ latitude, longitude, radius, pageToken: nextPageToken });
-    allRawResults = allRawResults.concat(page.results);
-    nextPageToken = page.next_page_token ?? "";
-    if (nextPageToken) await new Promise(r => setTimeout(r, 2100));
-  } while (nextPageToken);
-  if (!quiet) log(`📊 Fetched ${allRawResults.length} raw results from Google Places API`);
-  if (useAI && !openai && !quiet) logWarn("⚠️ AI classification requested but OpenAI API key not found. Using rule-based classification.");
-  const processedResults = await processPlaces(allRawResults, filterCategories, useAI, { quiet });
+  const provider = activeProvider();
+  if (!quiet) log(`🔄 Fetching raw data from ${provider.label}... categories=[${filterCategories.join(', ')}]`);
+  const allRawResults = await provider.searchNearby({ latitude, longitude, radius });
+  if (!quiet) log(`📊 Fetched ${allRawResults.length} raw results from ${provider.label}`);
+  const resultCap = provider.resultCap;
+  const saturated = allRawResults.length >= resultCap;
+  if (saturated && !quiet) logWarn(`⚠️ Hit the ${resultCap}-result cap at ${radius}m - some places were likely missed (try a smaller --radius)`);
+  if (useAI && !openai && !quiet) logWarn(`⚠️ AI classification requested but ${aiSettings.apiKeyEnv} is not set. Using rule-based classification.`);
+  const processedResults = await processPlaces(allRawResults, filterCategories, useAI, { quiet, query: { latitude, longitude, radius }, deferDetails: options.deferDetails, deferTrace: options.deferTrace });
   const stats = processedResults._stats;
-  if (!quiet) log(`📈 SUMMARY: ${stats.totalRaw} raw → ${stats.final} final (${stats.preFilterExcluded} pre-filtered, ${stats.validationExcluded} validation failed, ${stats.categoryFilterExcluded} category filtered)`);
+  stats.saturated = saturated;
+  if (!quiet) log(`📈 SUMMARY: ${stats.totalRaw} raw → ${stats.final} final (${stats.preFilterExcluded} pre-filtered, ${stats.validationExcluded} validation failed, ${stats.categoryFilterExcluded} category filtered${stats.hoursExcluded ? `, ${stats.hoursExcluded} closed` : ''}${stats.reviewQueued ? `, ${stats.reviewQueued} sent to review` : ''})`);
   return processedResults;
 }
 
-function getCategoryEmoji(category) {
-  const emojis = { park: '🏞️', restaurant: '🍽️', attraction: '🎯', cafe: '☕', bar: '🍺', shopping: '🛒', library: '📚', beach: '🏖️', gym: '💪', venue: '🏟️', entertainment: '🎬', health: '🏥', misc: '📍' };
-  return emojis[category] || '📍';
-}
-
 function displayResults(pois, showDetails = false) {
   if (pois.length === 0) {
     log("🚫 No validated POIs found matching the criteria");
@@ -474,7 +2065,7 @@ function displayResults(pois, showDetails = false) {
       log(`📍 ${place.name}`);
       log(`   📍 ${place.description}`);
       if (showDetails) {
-        log(`   📊 Category: ${place.category}`);
+        log(`   📊 Category: ${formatCategory(place)}`);
         log(`   🏷️  All Types: ${place.types.join(', ')}`);
         log(`   ✅ Validated: ${place.isValidated}`);
         if (place.confidence) log(`   🎯 Confidence: ${(place.confidence * 100).toFixed(1)}%`);
@@ -482,6 +2073,10 @@ function displayResults(pois, showDetails = false) {
         if (place.reasoning && place.classificationMethod === 'AI') log(`   💭 AI Reasoning: ${place.reasoning}`);
         if (place.rating) log(`   ⭐ Rating: ${place.rating}`);
         if (place.priceLevel !== null) log(`   💰 Price Level: ${'$'.repeat(place.priceLevel + 1)}`);
+        if (place.phone) log(`   📞 Phone: ${place.phone}`);
+        if (place.website) log(`   🌐 Website: ${place.website}`);
+        if (place.openingHours?.weekdayText.length) log(`   🕒 Hours: ${place.openingHours.weekdayText.join(' | ')}`);
+        if (place.businessStatus && place.businessStatus !== 'OPERATIONAL') log(`   🚧 Status: ${place.businessStatus}`);
         log(`   🗺️  Coordinates: ${place.latitude}, ${place.longitude}`);
       }
       log("");
@@ -491,94 +2086,164 @@ function displayResults(pois, showDetails = false) {
 
 async function processPlaces(rawPlaces, filterCategories = [], useAI = false, options = {}) {
   const quiet = options.quiet || false;
+  // Raw place → trace record, filled in stage by stage
+  const trace = isTracing() ? new Map(rawPlaces.map(place => [place, newTraceRecord(place, options.query)])) : null;
+  // Handed back as result._rejects / result._review; callers add them to the reject log and review queue once the result is used
+  const rejects = [];
+  const review = [];
+  const explain = !quiet || !!trace || rejectLog.enabled;
   if (!quiet) log(`📊 Processing ${rawPlaces.length} raw places...`);
   if (!quiet) log(`🔍 STEP 1: Pre-filtering globally ineligible entries...`);
   const preFiltered = rawPlaces.filter(place => {
     if (isGloballyIneligible(place)) {
-      if (!quiet) {
-        const reason = explainGlobalIneligible(place);
-        log(`🚫 PRE-FILTER: excluded "${place.name}" – ${reason}`);
-      }
+      const reason = explain ? explainGlobalIneligible(place) : null;
+      if (!quiet) log(`🚫 PRE-FILTER: excluded "${place.name}" – ${reason}`);
+      if (rejectLog.enabled) rejects.push(rejectEntry(place, 'pre-filter', reason, options.query));
+      if (trace) trace.get(place).preFilter = { passed: false, reason };
       return false;
     }
+    if (trace) trace.get(place).preFilter = { passed: true, reason: null };
     return true;
   });
   if (!quiet) log(`✅ Pre-filter: ${rawPlaces.length} → ${preFiltered.length} (excluded ${rawPlaces.length - preFiltered.length})`);
   if (!quiet) log(`🔍 STEP 2: Applying rule-based classification...`);
-  const classified = preFiltered.map(place => ({
-    name: place.name,
-    description: place.vicinity ?? "",
-    latitude: place.geometry.location.lat,
-    longitude: place.geometry.location.lng,
-    category: getBestCategory(place),
-    types: place.types || [],
-    rating: place.rating || null,
-    priceLevel: place.price_level || null,
-    _original: place
-  }));
-  if (!quiet) classified.forEach(p => log(`📊 CLASSIFY: "${p.name}" → ${p.category} (rule-based)`));
+  const classified = preFiltered.map(place => {
+    const scores = scoreCategories(place);
+    const category = getBestCategory(place, scores);
+    const subcategory = getBestSubcategory(place, category);
+    if (trace) Object.assign(trace.get(place), { scores, rule: { category, subcategory } });
+    return {
+      placeId: place.id ?? null,
+      name: place.name,
+      description: place.address ?? "",
+      latitude: place.latitude,
+      longitude: place.longitude,
+      category,
+      subcategory,
+      types: place.types || [],
+      rating: place.rating || null,
+      priceLevel: place.priceLevel ?? null,
+      _original: place
+    };
+  });
+  if (!quiet) classified.forEach(p => log(`📊 CLASSIFY: "${p.name}" → ${formatCategory(p)} (rule-based)`));
   if (!quiet) log(`🔍 STEP 3: Validating category assignments...`);
   const validated = classified.filter(place => {
     const isValid = validatePlace(place._original, place.category);
     if (!isValid) {
-      if (!quiet) {
-        const reason = explainValidationFailure(place._original, place.category);
-        log(`🚫 VALIDATE: excluded "${place.name}" [${place.category}] – ${reason}`);
-      }
+      const reason = explain ? explainValidationFailure(place._original, place.category) : null;
+      if (!quiet) log(`🚫 VALIDATE: excluded "${place.name}" [${place.category}] – ${reason}`);
+      if (rejectLog.enabled) rejects.push(rejectEntry(place._original, 'validation', `[${place.category}] ${reason}`, options.query));
+      if (trace) trace.get(place._original).validation = { passed: false, reason };
       return false;
     }
+    if (trace) trace.get(place._original).validation = { passed: true, reason: null };
     return true;
   });
   if (!quiet) log(`✅ Validation: ${classified.length} → ${validated.length} (excluded ${classified.length - validated.length})`);
   let categoryFiltered = validated;
+  const aiEnabled = useAI && !!openai;
   if (filterCategories.length > 0) {
     if (!quiet) log(`🔍 STEP 4: Applying category filter [${filterCategories.join(', ')}]...`);
     categoryFiltered = validated.filter(place => {
-      const keep = filterCategories.includes(place.category);
-      if (!keep && !quiet) log(`🚫 CATEGORY: excluded "${place.name}" – category filter (category=${place.category}, allowed=${filterCategories.join(', ')})`);
+      // Without a rule subcategory, the AI still gets a chance to supply one before the final check
+      const keep = matchesCategoryFilter(filterCategories, place.category, place.subcategory ?? (aiEnabled ? undefined : null));
+      if (!keep && !quiet) log(`🚫 CATEGORY: excluded "${place.name}" – category filter (category=${formatCategory(place)}, allowed=${filterCategories.join(', ')})`);
+      if (trace) trace.get(place._original).categoryFilter = { passed: keep, filter: filterCategories };
+      if (!keep && rejectLog.enabled) rejects.push(rejectEntry(place._original, 'category-filter', `${place.category} not in --categories`, options.query));
       return keep;
     });
     if (!quiet) log(`✅ Category filter: ${validated.length} → ${categoryFiltered.length} (excluded ${validated.length - categoryFiltered.length})`);
   }
   let aiEnhanced = categoryFiltered;
-  if (useAI && openai && categoryFiltered.length > 0) {
+  if (aiEnabled && categoryFiltered.length > 0) {
     if (!quiet) log(`🔍 STEP 5: Applying AI classification to ${categoryFiltered.length} category-filtered entries...`);
     const aiClassifications = await batchClassifyWithAI(categoryFiltered.map(p => p._original));
     aiEnhanced = categoryFiltered.map(place => {
-      const placeId = place._original.place_id || place.name;
+      const placeId = place._original.id || place.name;
       const aiResult = aiClassifications[placeId];
-      if (aiResult && aiResult.isValid) {
+      const traceRecord = trace?.get(place._original);
+      if (traceRecord) traceRecord.ai = aiResult ? { category: aiResult.category, subcategory: aiResult.subcategory ?? null, confidence: aiResult.confidence ?? null, isValid: aiResult.isValid ?? null, reasoning: aiResult.reasoning ?? null, alternativeCategory: aiResult.alternativeCategory ?? null, applied: false, note: null } : { applied: false, note: 'no AI response' };
+      if (aiResult) {
         const aiCategory = aiResult.category;
         const aiValid = validatePlace(place._original, aiCategory);
-        const allowed = filterCategories.length === 0 || filterCategories.includes(aiCategory);
-        if (aiValid && allowed) {
-          if (!quiet) log(`🤖 AI-CLASSIFY: "${place.name}" → ${aiCategory} (confidence: ${(aiResult.confidence * 100).toFixed(0)}%)`);
-          return { ...place, category: aiCategory, confidence: aiResult.confidence, reasoning: aiResult.reasoning, classificationMethod: 'AI', isValidated: true };
-        } else if (!allowed && !quiet) {
-          log(`⚠️  AI-CLASSIFY: "${place.name}" AI suggested ${aiCategory} but not in allowed categories, keeping ${place.category}`);
-        } else if (!quiet) {
-          log(`⚠️  AI-CLASSIFY: "${place.name}" AI suggested ${aiCategory} but failed validation, keeping ${place.category}`);
+        // Rule subcategories win; the AI's only fills the gap
+        const aiSubcategory = getBestSubcategory(place._original, aiCategory) ?? aiResult.subcategory ?? null;
+        const allowed = matchesCategoryFilter(filterCategories, aiCategory, aiSubcategory);
+        // Answers without a confidence (per-place replies may leave it out) are not gated by --ai-min-confidence
+        const lowConfidence = typeof aiResult.confidence === 'number' && !(aiResult.confidence >= aiSettings.minConfidence);
+        // Only a different category is reviewed: an answer that agrees with the rules keeps the place whatever its
+        // confidence or isValid, and a suggestion outside --categories is not worth reviewing either; the rule category stands
+        const reasons = !allowed || aiCategory === place.category ? [] : [
+          ...(lowConfidence ? ['low-confidence'] : []),
+          ...(!aiResult.isValid ? ['ai-invalid'] : ['disagreement', ...(aiValid ? [] : ['ai-failed-validation'])])
+        ];
+        if (reviewQueue.enabled && reasons.length > 0) {
+          if (!quiet) log(`🧐 REVIEW: "${place.name}" rules=${formatCategory(place)} ai=${formatCategory({ category: aiCategory, subcategory: aiSubcategory })} (${reasons.join(', ')}) → ${reviewQueue.file}`);
+          review.push(reviewEntry(place, aiResult, { reasons, aiSubcategory, aiValid, query: options.query }));
+          if (traceRecord) {
+            traceRecord.ai.note = `sent to review: ${reasons.join(', ')}`;
+            traceRecord.final = { kept: false, category: place.category, subcategory: place.subcategory ?? null, method: 'Review' };
+          }
+          return null;
+        }
+        if (aiResult.isValid && lowConfidence) {
+          if (!quiet) log(`⚠️  AI-CLASSIFY: "${place.name}" AI suggested ${aiCategory} at ${(aiResult.confidence * 100).toFixed(0)}%, below --ai-min-confidence, keeping ${place.category}`);
+          if (traceRecord) traceRecord.ai.note = 'below --ai-min-confidence';
+        } else if (aiResult.isValid && aiValid && allowed) {
+          if (!quiet) log(`🤖 AI-CLASSIFY: "${place.name}" → ${formatCategory({ category: aiCategory, subcategory: aiSubcategory })}${typeof aiResult.confidence === 'number' ? ` (confidence: ${(aiResult.confidence * 100).toFixed(0)}%)` : ''}`);
+          if (traceRecord) traceRecord.ai.applied = true;
+          return { ...place, category: aiCategory, subcategory: aiSubcategory, confidence: aiResult.confidence, reasoning: aiResult.reasoning, classificationMethod: 'AI', isValidated: true };
+        } else if (aiResult.isValid && !allowed) {
+          if (!quiet) log(`⚠️  AI-CLASSIFY: "${place.name}" AI suggested ${aiCategory} but not in allowed categories, keeping ${place.category}`);
+          if (traceRecord) traceRecord.ai.note = 'not in allowed categories';
+        } else if (aiResult.isValid) {
+          if (!quiet) log(`⚠️  AI-CLASSIFY: "${place.name}" AI suggested ${aiCategory} but failed validation, keeping ${place.category}`);
+          if (traceRecord) traceRecord.ai.note = `failed validation: ${explainValidationFailure(place._original, aiCategory)}`;
+        } else if (traceRecord) {
+          traceRecord.ai.note = 'AI marked the place invalid';
         }
       }
-      return { ...place, confidence: 0.8, reasoning: "Rule-based classification", classificationMethod: 'Rules', isValidated: true };
-    });
+      const aiAgrees = aiResult?.isValid && aiResult.category === place.category;
+      const subcategory = place.subcategory ?? (aiAgrees ? aiResult.subcategory ?? null : null);
+      return { ...place, subcategory, confidence: 0.8, reasoning: "Rule-based classification", classificationMethod: 'Rules', isValidated: true };
+    }).filter(Boolean);
   } else {
     aiEnhanced = categoryFiltered.map(place => ({ ...place, confidence: 0.8, reasoning: "Rule-based classification", classificationMethod: 'Rules', isValidated: true }));
   }
-  const filtered = aiEnhanced;
-  filtered._stats = {
+  const filtered = aiEnhanced.filter(place => {
+    const keep = matchesCategoryFilter(filterCategories, place.category, place.subcategory);
+    if (!keep && !quiet) log(`🚫 CATEGORY: excluded "${place.name}" – no matching subcategory after AI (category=${formatCategory(place)}, allowed=${filterCategories.join(', ')})`);
+    if (!keep && rejectLog.enabled) rejects.push(rejectEntry(place._original, 'category-filter', `${formatCategory(place)} not in --categories after AI`, options.query));
+    if (trace) {
+      const record = trace.get(place._original);
+      if (!keep) record.categoryFilter = { passed: false, filter: filterCategories, reason: 'no matching subcategory after AI' };
+      record.final = { kept: keep, category: place.category, subcategory: place.subcategory ?? null, method: place.classificationMethod };
+    }
+    return keep;
+  });
+  const open = options.deferDetails ? filtered : await finishWithDetails(filtered, { quiet, query: options.query, trace, rejects });
+  // Deferred records are written by the caller once it has deduped the places (and run finishWithDetails)
+  const deferTrace = options.deferTrace || options.deferDetails;
+  if (trace && !deferTrace) await writeTraceRecords([...trace.values()]);
+  open._stats = {
     totalRaw: rawPlaces.length,
     afterPreFilter: preFiltered.length,
     afterClassification: classified.length,
     afterValidation: validated.length,
     afterCategoryFilter: categoryFiltered.length,
     afterAI: aiEnhanced.length,
-    final: filtered.length,
+    final: open.length,
     preFilterExcluded: rawPlaces.length - preFiltered.length,
     validationExcluded: classified.length - validated.length,
-    categoryFilterExcluded: validated.length - categoryFiltered.length
+    categoryFilterExcluded: validated.length - categoryFiltered.length + (aiEnhanced.length - filtered.length),
+    hoursExcluded: filtered.length - open.length,
+    reviewQueued: review.length
   };
-  return filtered;
+  open._rejects = rejects;
+  open._review = review;
+  if (deferTrace) open._trace = trace;
+  return open;
 }
 
 class SpiralWalker {
@@ -616,11 +2281,45 @@ class SpiralWalker {
   }
 }
 
-function getPOIKey(poi) {
-  if (poi._original && poi._original.place_id) return `pid:${poi._original.place_id}`;
-  const latRounded = poi.latitude.toFixed(5);
-  const lonRounded = poi.longitude.toFixed(5);
-  return `name:${poi.name}|${latRounded},${lonRounded}`;
+function logMerge(poi, duplicate) {
+  log(`🔗 Merged "${poi.name}" into "${duplicate.match.name}" (name ${duplicate.name.toFixed(2)}, ${Math.round(duplicate.distance)}m, ${poi.category}${poi.category === duplicate.match.category ? '' : '/' + duplicate.match.category}, score ${duplicate.score.toFixed(2)})`);
+}
+
+// Adds a POI under its exact key unless it is a near-duplicate of one already kept; returns true when kept
+function addUniquePOI(uniquePOIs, detector, poi, trace = null) {
+  const key = getPOIKey(poi);
+  if (uniquePOIs.has(key)) {
+    traceStage(trace, poi, 'dedupe', 'already collected');
+    return false;
+  }
+  if (detector.isMerged(key)) {
+    traceStage(trace, poi, 'dedupe', 'merged into a near-duplicate earlier');
+    return false;
+  }
+  const duplicate = detector.findDuplicate(poi);
+  if (duplicate) {
+    detector.markMerged(key);
+    logMerge(poi, duplicate);
+    traceStage(trace, poi, 'dedupe', `near-duplicate of "${duplicate.match.name}"`);
+    return false;
+  }
+  uniquePOIs.set(key, poi);
+  detector.add(poi);
+  traceStage(trace, poi, 'dedupe');
+  return true;
+}
+
+// Reverses addUniquePOI, so a later sighting of the place is judged afresh
+function forgetPOI(uniquePOIs, detector, poi) {
+  uniquePOIs.delete(getPOIKey(poi));
+  detector.remove(poi);
+}
+
+function dedupePOIs(pois, trace = null) {
+  const uniquePOIs = new Map();
+  const detector = new DuplicateDetector();
+  for (const poi of pois) addUniquePOI(uniquePOIs, detector, poi, trace);
+  return Array.from(uniquePOIs.values());
 }
 
 async function collectPOIsUntilTarget(startLat, startLon, radius, target, step, maxSteps, filterCategories, useAI) {
@@ -628,6 +2327,7 @@ async function collectPOIsUntilTarget(startLat, startLon, radius, target, step,
   log(`📍 Starting at: ${startLat.toFixed(6)}, ${startLon.toFixed(6)}`);
   log(`🔄 Search radius: ${radius}m, step: ${step}m, max steps: ${maxSteps}`);
   const uniquePOIs = new Map();
+  const duplicates = new DuplicateDetector();
   const walker = new SpiralWalker(startLat, startLon, step);
   let stepCount = 0;
   while (uniquePOIs.size < target && stepCount < maxSteps) {
@@ -635,12 +2335,14 @@ async function collectPOIsUntilTarget(startLat, startLon, radius, target, step,
     stepCount++;
     log(`\n📍 Step ${stepCount}/${maxSteps}: querying (${coord.lat.toFixed(6)}, ${coord.lon.toFixed(6)})...`);
     try {
-      const pois = await fetchNearbyPOIs(coord.lat, coord.lon, radius, filterCategories, useAI);
+      const pois = await fetchNearbyPOIs(coord.lat, coord.lon, radius, filterCategories, useAI, { deferTrace: true });
+      rejectLog.add(pois._rejects);
+      reviewQueue.add(pois._review);
       let newCount = 0;
       for (const poi of pois) {
-        const key = getPOIKey(poi);
-        if (!uniquePOIs.has(key)) { uniquePOIs.set(key, poi); newCount++; }
+        if (addUniquePOI(uniquePOIs, duplicates, poi, pois._trace)) newCount++;
       }
+      if (pois._trace) await writeTraceRecords([...pois._trace.values()]);
       log(`✅ Step ${stepCount}: +${newCount} new, ${uniquePOIs.size}/${target} total unique POIs`);
       if (uniquePOIs.size >= target) {
         log(`🎉 Target reached! Collected ${uniquePOIs.size} unique POIs in ${stepCount} steps.`);
@@ -664,33 +2366,8 @@ function chunkArray(items, size) {
   return chunks;
 }
 
-function coerceNumber(value) {
-  if (typeof value === "number") return value;
-  const n = Number(value);
-  return Number.isFinite(n) ? n : null;
-}
-
-function mapToPayload(entry) {
-  const name = (entry.name || "").toString().trim();
-  const description = (entry.description || entry.vicinity || "").toString();
-  const lat = entry.latitude ?? entry.lat ?? entry.geometry?.location?.lat ?? entry._original?.geometry?.location?.lat ?? null;
-  const lon = entry.longitude ?? entry.lon ?? entry.lng ?? entry.geometry?.location?.lng ?? entry._original?.geometry?.location?.lng ?? null;
-  const latitude = coerceNumber(lat);
-  const longitude = coerceNumber(lon);
-  const category = (entry.category || "misc").toString();
-  return { name, description, latitude, longitude, category, is_active: true };
-}
-
-function isValidPayload(p) {
-  return (
-    typeof p.name === "string" && p.name.length > 0 &&
-    typeof p.latitude === "number" && Number.isFinite(p.latitude) && p.latitude >= -90 && p.latitude <= 90 &&
-    typeof p.longitude === "number" && Number.isFinite(p.longitude) && p.longitude >= -180 && p.longitude <= 180 &&
-    typeof p.category === "string" && p.category.length > 0
-  );
-}
-
-async function readPois(filePath) {
+// Accepts a bare array, { results: [...] }, { data: [...] } or any object of arrays
+async function readPoiItems(filePath) {
   const absolutePath = path.isAbsolute(filePath) ? filePath : path.join(process.cwd(), filePath);
   const raw = await fs.readFile(absolutePath, "utf8");
   let json;
@@ -702,18 +2379,26 @@ async function readPois(filePath) {
     else if (Array.isArray(json.data)) items = json.data;
     else items = Object.values(json).flatMap(v => (Array.isArray(v) ? v : []));
   }
-  if (!Array.isArray(items) || items.length === 0) throw new Error("Input JSON does not contain an array of POIs");
-  const mapped = items.map(mapToPayload);
+  if (!Array.isArray(items) || items.length === 0) throw new Error(`${filePath} does not contain an array of POIs`);
+  return items;
+}
+
+async function readPois(filePath) {
+  const items = await readPoiItems(filePath);
+  // Records rejected in `poiseed review` stay in the file so the decision can be undone, but are never ingested
+  const kept = items.filter(item => !isRejectedRecord(item));
+  const rejected = items.length - kept.length;
+  const mapped = kept.map(mapToPayload);
   const valid = mapped.filter(isValidPayload);
   const skipped = mapped.length - valid.length;
-  console.log(`📦 Loaded ${items.length} items → ${valid.length} valid payloads (${skipped} skipped)`);
+  console.log(`📦 Loaded ${items.length} items → ${valid.length} valid payloads (${skipped} skipped${rejected ? `, ${rejected} rejected in review` : ''})`);
   return valid;
 }
 
 async function postBatch(baseUrl, adminToken, batch) {
   const url = `${baseUrl.replace(/\/$/, "")}/api/admin/pois/bulk`;
   const headers = { "Content-Type": "application/json", "x-admin-token": adminToken };
-  const { data } = await axios.post(url, batch, { headers, timeout: 30000 });
+  const { data } = await withRetry('ingest', () => axios.post(url, batch, { headers, timeout: 30000 }));
   return data;
 }
 
@@ -732,18 +2417,21 @@ class StreamingIngester {
     this.totalIngested = 0;
     this.totalSkipped = 0;
     this.batchesCompleted = 0;
+    // Batches still failing after the retry policy gave up, with their payloads for re-ingestion
+    this.failedBatches = [];
     this.pendingIngestion = null;
   }
 
+  // Exact keys only: near-duplicates were already dropped by addUniquePOI. A key counts as seen once its payload is accepted
   addPOI(poi) {
     const key = getPOIKey(poi);
     if (this.seenPlaceIds.has(key)) return false;
     
-    this.seenPlaceIds.add(key);
     const payload = mapToPayload(poi);
     
     if (!isValidPayload(payload)) return false;
     
+    this.seenPlaceIds.add(key);
     this.buffer.push(payload);
     return true;
   }
@@ -784,9 +2472,10 @@ class StreamingIngester {
       this.batchesCompleted++;
       return { created, skipped };
     } catch (err) {
-      logError(`❌ Batch ingestion failed: ${err.message}`);
-      // Put items back in buffer for retry
-      this.buffer.unshift(...batch);
+      // postBatch already retried transient failures, so this batch is set aside rather than re-queued
+      const batchNumber = this.batchesCompleted + this.failedBatches.length + 1;
+      logError(`❌ Batch ${batchNumber} ingestion failed after ${err.attempts || 1} attempt(s): ${err.message}`);
+      this.failedBatches.push({ batch: batchNumber, size: batch.length, error: err.message, items: batch });
       return { created: 0, skipped: 0, error: err.message };
     }
   }
@@ -829,9 +2518,224 @@ class StreamingIngester {
       buffered: this.buffer.length,
       ingested: this.totalIngested,
       skipped: this.totalSkipped,
-      batches: this.batchesCompleted
+      batches: this.batchesCompleted,
+      failedBatches: this.failedBatches.length
+    };
+  }
+
+  // Serializable state for seed checkpoints (call only when no flush is pending)
+  snapshot() {
+    return {
+      buffer: this.buffer.slice(),
+      seenKeys: Array.from(this.seenPlaceIds),
+      totalIngested: this.totalIngested,
+      totalSkipped: this.totalSkipped,
+      batchesCompleted: this.batchesCompleted,
+      failedBatches: this.failedBatches.slice()
     };
   }
+
+  restore(state = {}) {
+    this.buffer = Array.isArray(state.buffer) ? state.buffer.slice() : [];
+    this.seenPlaceIds = new Set(state.seenKeys || []);
+    this.totalIngested = state.totalIngested || 0;
+    this.totalSkipped = state.totalSkipped || 0;
+    this.batchesCompleted = state.batchesCompleted || 0;
+    this.failedBatches = Array.isArray(state.failedBatches) ? state.failedBatches.slice() : [];
+  }
+}
+
+/* ─────────────────────────────────────────────
+   Seed Checkpoints
+───────────────────────────────────────────── */
+const CHECKPOINT_VERSION = 1;
+const DEFAULT_CHECKPOINT_EVERY = 10;
+const CHECKPOINT_INTERVAL_MS = 60000;
+// Flags a resumed seed still accepts; everything else comes from the checkpoint
+const RESUME_FLAGS = ['--resume', '--checkpoint', '--checkpoint-every'];
+
+function defaultCheckpointPath(locale) {
+  const slug = locale.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `seed-${slug || 'locale'}.checkpoint.json`;
+}
+
+// Each save rewrites every POI so far, so seed saves every --checkpoint-every points or CHECKPOINT_INTERVAL_MS,
+// plus after each ingested batch, on Ctrl-C and when the loop stops
+async function writeCheckpoint(filePath, checkpoint) {
+  // Write to a temp file and rename so a crash mid-write never corrupts the previous checkpoint
+  const tmpPath = `${filePath}.tmp`;
+  const payload = { ...checkpoint, version: CHECKPOINT_VERSION, updatedAt: new Date().toISOString() };
+  await fs.writeFile(tmpPath, JSON.stringify(payload), 'utf8');
+  await fs.rename(tmpPath, filePath);
+}
+
+async function readCheckpoint(filePath) {
+  let raw;
+  try { raw = await fs.readFile(filePath, 'utf8'); } catch (e) { throw new Error(`Cannot read checkpoint ${filePath}: ${e.message}`); }
+  let checkpoint;
+  try { checkpoint = JSON.parse(raw); } catch (e) { throw new Error(`Failed to parse checkpoint ${filePath}: ${e.message}`); }
+  if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION) {
+    throw new Error(`Unsupported checkpoint version in ${filePath} (expected ${CHECKPOINT_VERSION})`);
+  }
+  if (!checkpoint.options || !checkpoint.geo || !Array.isArray(checkpoint.gridPoints)) {
+    throw new Error(`Checkpoint ${filePath} is missing options, geo or grid points`);
+  }
+  return checkpoint;
+}
+
+/* ─────────────────────────────────────────────
+   Merging Output Files
+───────────────────────────────────────────── */
+// Files are read oldest first (by mtime) so "newest" means the last run that saw a place
+async function mergePoiFiles(files, { policy = 'confidence' } = {}) {
+  const sources = [];
+  for (const file of files) {
+    const stat = await fs.stat(file);
+    sources.push({ file, mtimeMs: stat.mtimeMs, items: await readPoiItems(file) });
+  }
+  sources.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+  const records = [];
+  let invalid = 0;
+  sources.forEach((source, fileOrder) => {
+    source.items.forEach((item, index) => {
+      const payload = mapToPayload(item);
+      if (!isValidPayload(payload)) { invalid++; return; }
+      const { is_active, ...core } = payload;
+      records.push({ ...item, ...core, _file: source.file, _fileOrder: fileOrder, _index: index });
+    });
+  });
+  const { kept, collisions } = mergeRecords(records, policy);
+
+  const pois = kept.map(({ _file, _fileOrder, _index, ...record }) => record);
+  return { pois, collisions, sources, invalid };
+}
+
+function printMergeReport({ pois, collisions, sources, invalid }, policy) {
+  console.log("📊 MERGE REPORT");
+  console.log("─".repeat(60));
+  for (const source of sources) console.log(`  📄 ${source.file}: ${source.items.length} records (modified ${new Date(source.mtimeMs).toISOString()})`);
+  const total = sources.reduce((n, source) => n + source.items.length, 0);
+  console.log(`  🔢 ${total} records → ${pois.length} unique (${collisions.length} collisions, ${invalid} invalid skipped)`);
+  const conflicts = collisions.filter(c => c.winner.category !== c.loser.category);
+  console.log(`  ⚖️  Category conflicts: ${conflicts.length} (policy: ${policy})`);
+  if (collisions.length === 0) return;
+  console.log("");
+  for (const c of collisions) {
+    const how = c.kind === 'key' ? 'same key' : `near-duplicate, ${Math.round(c.distance)}m, score ${c.score.toFixed(2)}`;
+    const categories = c.winner.category === c.loser.category ? c.winner.category : `${c.winner.category} ✓ vs ${c.loser.category}`;
+    console.log(`  🔗 "${c.winner.name}" (${c.winner._file}) ⟷ "${c.loser.name}" (${c.loser._file}) [${how}] ${categories} - kept ${c.reason}`);
+  }
+}
+
+/* ─────────────────────────────────────────────
+   Classification Evaluation (poiseed eval)
+───────────────────────────────────────────── */
+// Labeled records are raw places (Google Nearby Search results, normalized places or poiseed output) with a
+// "label" of "category", "category:subcategory" or "excluded"; { "label", "place": {...} } works too
+async function loadLabeledPlaces(filePath) {
+  let json;
+  try { json = JSON.parse(await fs.readFile(filePath, 'utf8')); } catch (e) { throw new Error(`Failed to load labels ${filePath}: ${e.message}`); }
+  const items = Array.isArray(json) ? json : json?.places;
+  if (!Array.isArray(items) || items.length === 0) throw new Error(`Labels ${filePath} must be a non-empty array of labeled places`);
+  const problems = [];
+  const records = items.map((entry, index) => {
+    const raw = entry?.place ?? entry ?? {};
+    const label = entry?.label ?? entry?.expected;
+    const where = `#${index} "${raw.name ?? '?'}"`;
+    if (typeof label !== 'string' || !label.trim()) {
+      problems.push(`${where}: missing "label"`);
+      return null;
+    }
+    const [category, subcategory = null] = label.trim().split(':');
+    if (category !== EXCLUDED_LABEL && !poiCategories().includes(category)) problems.push(`${where}: unknown category "${category}"`);
+    else if (subcategory !== null && !isKnownSubcategory(category, subcategory)) problems.push(`${where}: unknown subcategory "${subcategory}" for ${category}`);
+    const place = normalizeFixturePlace(raw, index);
+    // Stable ids keep AI cache entries for unlabeled-id records from colliding across label files
+    if (raw.id == null && raw.place_id == null) place.id = `eval:${place.name}|${place.latitude}|${place.longitude}`;
+    return { place, expected: category, expectedSub: subcategory };
+  });
+  if (problems.length > 0) throw new Error(`Invalid labels in ${filePath}:\n  - ${problems.join('\n  - ')}`);
+  return records;
+}
+
+// Runs the same processPlaces pipeline as fetch/seed, without a category filter
+async function classifyLabeledPlaces(records, { useAI = false } = {}) {
+  const kept = await processPlaces(records.map(r => r.place), [], useAI, { quiet: true });
+  const byPlace = new Map(kept.map(poi => [poi._original, poi]));
+  return records.map(record => {
+    const poi = byPlace.get(record.place);
+    return { ...record, predicted: poi ? poi.category : EXCLUDED_LABEL, predictedSub: poi?.subcategory ?? null, method: poi?.classificationMethod ?? null, reasoning: poi?.reasoning ?? null };
+  });
+}
+
+function explainMisclassification(row) {
+  const { place, expected, predicted } = row;
+  if (predicted === EXCLUDED_LABEL) {
+    return isGloballyIneligible(place) ? `pre-filter: ${explainGlobalIneligible(place)}` : `validation: ${explainValidationFailure(place, getBestCategory(place))}`;
+  }
+  if (row.method === 'AI') return `AI: ${row.reasoning || 'no reasoning'}`;
+  const scores = scoreCategories(place);
+  const describe = c => {
+    const score = scores[c];
+    if (!score) return c;
+    return score.excludedBy ? `${c} (excluded by ${score.excludedBy})` : `${c} (priority ${score.priority}, score ${score.confidence})`;
+  };
+  return expected === EXCLUDED_LABEL ? `kept as ${describe(predicted)}` : `${describe(predicted)} beat ${describe(expected)}`;
+}
+
+function formatRatio(value, digits = 3) {
+  return value === null ? '-' : value.toFixed(digits);
+}
+
+function formatPercent(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printEvaluationReport(score, offenders, { labelsFile, rulesFile, useAI }) {
+  console.log(`📊 EVALUATION REPORT (${labelsFile}, rules: ${rulesFile || 'rules.json'}, AI: ${useAI ? (openai ? aiSettings.model : 'requested, no key') : 'off'})`);
+  console.log("─".repeat(60));
+  console.log(`  ✅ Accuracy: ${formatPercent(score.accuracy)} (${score.correct}/${score.total})   macro F1: ${formatRatio(score.macroF1)}`);
+  if (score.subcategory.total > 0) console.log(`  🏷️  Subcategory accuracy: ${formatPercent(ratio(score.subcategory.correct, score.subcategory.total))} (${score.subcategory.correct}/${score.subcategory.total} labeled with the right category)`);
+  console.log("");
+  console.log(`  ${'category'.padEnd(15)}${'precision'.padStart(10)}${'recall'.padStart(9)}${'F1'.padStart(8)}${'support'.padStart(9)}`);
+  for (const c of score.perClass) {
+    console.log(`  ${c.category.padEnd(15)}${formatRatio(c.precision).padStart(10)}${formatRatio(c.recall).padStart(9)}${formatRatio(c.f1).padStart(8)}${String(c.support).padStart(9)}`);
+  }
+  console.log("");
+  console.log("🔀 CONFUSION MATRIX (rows: expected, columns: predicted)");
+  console.log("─".repeat(60));
+  const short = c => c.slice(0, 5);
+  console.log(`  ${''.padEnd(15)}${score.classes.map(c => short(c).padStart(6)).join('')}`);
+  for (const expected of score.classes) {
+    const cells = score.classes.map(predicted => {
+      const n = score.confusion[expected][predicted];
+      return (n === 0 ? '.' : String(n)).padStart(6);
+    });
+    console.log(`  ${expected.padEnd(15)}${cells.join('')}`);
+  }
+  console.log("");
+  console.log("🔥 WORST OFFENDERS");
+  console.log("─".repeat(60));
+  if (offenders.length === 0) console.log("  none - every labeled place was classified as expected");
+  for (const { pair, count, places } of offenders) {
+    console.log(`  ${count}× ${pair}`);
+    for (const row of places.slice(0, 5)) console.log(`     • "${row.place.name}" [${row.place.types.join(', ')}] - ${explainMisclassification(row)}`);
+    if (places.length > 5) console.log(`     ... and ${places.length - 5} more`);
+  }
+}
+
+// True when accuracy is within tolerance of the baseline; per-category F1 drops are reported but never fail the run
+function compareToBaseline(score, baseline, tolerance, baselineFile) {
+  if (typeof baseline?.accuracy !== 'number') throw new Error(`Baseline ${baselineFile} has no "accuracy"`);
+  const delta = score.accuracy - baseline.accuracy;
+  const passed = score.accuracy >= baseline.accuracy - tolerance;
+  console.log("");
+  console.log(`📏 Baseline ${baselineFile} (${baseline.createdAt || 'undated'}): accuracy ${formatPercent(baseline.accuracy)} → ${formatPercent(score.accuracy)} (${delta >= 0 ? '+' : ''}${(delta * 100).toFixed(1)} pts) ${passed ? '✅' : `❌ below baseline${tolerance > 0 ? ` by more than ${(tolerance * 100).toFixed(1)} pts` : ''}`}`);
+  const drops = score.perClass.filter(c => typeof baseline.f1?.[c.category] === 'number' && (c.f1 ?? 0) < baseline.f1[c.category]);
+  for (const c of drops) console.log(`   ⚠️  ${c.category} F1 ${formatRatio(baseline.f1[c.category])} → ${formatRatio(c.f1)}`);
+  if (baseline.total !== undefined && baseline.total !== score.total) console.log(`   ℹ️  Baseline was measured on ${baseline.total} places, this run on ${score.total}`);
+  return passed;
 }
 
 /* ─────────────────────────────────────────────
@@ -839,7 +2743,17 @@ class StreamingIngester {
 ───────────────────────────────────────────── */
 function parseFetchFlags(argv) {
   const args = normalizeArgs(argv);
-  let lat = null, lon = null, radius = DEFAULT_RADIUS, showDetails = false, filterCategories = [], showJson = false, useAI = false, target = null, step = null, maxSteps = 200, outFile = null;
+  let lat = null, lon = null, radius = DEFAULT_RADIUS, step = null, maxSteps = 200, target = null;
+  let showDetails = false, filterCategories = [], showJson = false, outFile = null, useAI = false;
+  let provider = 'google', placesApi = 'legacy', fieldMask = null, overpassUrl = null, fixtureFile = null;
+  let foursquareUrl = null, foursquareKeyEnv = DEFAULT_FOURSQUARE_KEY_ENV;
+  let cacheDir = null, cacheMode = 'record', pricesFile = null, maxAttempts = null;
+  let fuzzyDedupe = false, dedupeThreshold = 0.85, dedupeDistance = 100;
+  let rulesFile = null, traceFile = null, rejectsFile = null, reviewFile = null;
+  let aiCacheFile = DEFAULT_AI_CACHE_FILE, aiCacheTtl = DEFAULT_AI_CACHE_TTL_DAYS, refreshAI = false, aiBatchSize = DEFAULT_AI_BATCH_SIZE;
+  let aiModel = DEFAULT_AI_MODEL, aiBaseUrl = null, aiApiKeyEnv = DEFAULT_AI_API_KEY_ENV, aiTemperature = DEFAULT_AI_TEMPERATURE, aiMaxTokens = DEFAULT_AI_MAX_TOKENS, aiMinConfidence = 0;
+  let enrich = [], detailsConcurrency = DEFAULT_DETAILS_CONCURRENCY, detailsCacheFile = DEFAULT_DETAILS_CACHE_FILE, detailsCacheTtl = DEFAULT_DETAILS_CACHE_TTL_DAYS, refreshDetails = false;
+  let openAt = null, openNow = false;
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--lat' && i + 1 < args.length) { lat = parseFloat(args[++i]); }
     else if (args[i] === '--lon' && i + 1 < args.length) { lon = parseFloat(args[++i]); }
@@ -852,7 +2766,48 @@ function parseFetchFlags(argv) {
     else if (args[i] === '--step' && i + 1 < args.length) { step = parseInt(args[++i]); }
     else if (args[i] === '--maxSteps' && i + 1 < args.length) { maxSteps = parseInt(args[++i]); }
     else if (args[i] === '--out' && i + 1 < args.length) { outFile = args[++i]; }
+    else if (args[i] === '--places-api' && i + 1 < args.length) { placesApi = args[++i]; }
+    else if (args[i] === '--field-mask' && i + 1 < args.length) { fieldMask = args[++i].split(',').map(f => f.trim()).filter(Boolean); }
+    else if (args[i] === '--provider' && i + 1 < args.length) { provider = args[++i]; }
+    else if (args[i] === '--overpass-url' && i + 1 < args.length) { overpassUrl = args[++i]; }
+    else if (args[i] === '--foursquare-url' && i + 1 < args.length) { foursquareUrl = args[++i]; }
+    else if (args[i] === '--foursquare-key-env' && i + 1 < args.length) { foursquareKeyEnv = args[++i]; }
+    else if (args[i] === '--fixture' && i + 1 < args.length) { fixtureFile = args[++i]; }
+    else if (args[i] === '--cache-dir' && i + 1 < args.length) { cacheDir = args[++i]; }
+    else if (args[i] === '--cache-mode' && i + 1 < args.length) { cacheMode = args[++i]; }
+    else if (args[i] === '--prices' && i + 1 < args.length) { pricesFile = args[++i]; }
+    else if (args[i] === '--max-attempts' && i + 1 < args.length) { maxAttempts = parseInt(args[++i]); }
+    else if (args[i] === '--dedupe' && i + 1 < args.length) { fuzzyDedupe = parseDedupeMode(args[++i]); }
+    else if (args[i] === '--dedupe-threshold' && i + 1 < args.length) { dedupeThreshold = parseFloat(args[++i]); }
+    else if (args[i] === '--dedupe-distance' && i + 1 < args.length) { dedupeDistance = parseFloat(args[++i]); }
+    else if (args[i] === '--rules' && i + 1 < args.length) { rulesFile = args[++i]; }
+    else if (args[i] === '--trace' && i + 1 < args.length) { traceFile = args[++i]; }
+    else if (args[i] === '--rejects' && i + 1 < args.length) { rejectsFile = args[++i]; }
+    else if (args[i] === '--ai-cache' && i + 1 < args.length) { aiCacheFile = args[++i]; }
+    else if (args[i] === '--no-ai-cache') { aiCacheFile = null; }
+    else if (args[i] === '--ai-cache-ttl' && i + 1 < args.length) { aiCacheTtl = parseFloat(args[++i]); }
+    else if (args[i] === '--refresh-ai') { refreshAI = true; }
+    else if (args[i] === '--ai-batch-size' && i + 1 < args.length) { aiBatchSize = parseInt(args[++i]); }
+    else if (args[i] === '--ai-model' && i + 1 < args.length) { aiModel = args[++i]; }
+    else if (args[i] === '--ai-base-url' && i + 1 < args.length) { aiBaseUrl = args[++i]; }
+    else if (args[i] === '--ai-api-key-env' && i + 1 < args.length) { aiApiKeyEnv = args[++i]; }
+    else if (args[i] === '--ai-temperature' && i + 1 < args.length) { aiTemperature = parseFloat(args[++i]); }
+    else if (args[i] === '--ai-max-tokens' && i + 1 < args.length) { aiMaxTokens = parseInt(args[++i]); }
+    else if (args[i] === '--ai-min-confidence' && i + 1 < args.length) { aiMinConfidence = parseFloat(args[++i]); }
+    else if (args[i] === '--review-out' && i + 1 < args.length) { reviewFile = args[++i]; }
+    else if (args[i] === '--enrich' && i + 1 < args.length) { enrich = args[++i].split(',').map(e => e.trim()).filter(Boolean); }
+    else if (args[i] === '--details-concurrency' && i + 1 < args.length) { detailsConcurrency = parseInt(args[++i]); }
+    else if (args[i] === '--details-cache' && i + 1 < args.length) { detailsCacheFile = args[++i]; }
+    else if (args[i] === '--no-details-cache') { detailsCacheFile = null; }
+    else if (args[i] === '--details-cache-ttl' && i + 1 < args.length) { detailsCacheTtl = parseFloat(args[++i]); }
+    else if (args[i] === '--refresh-details') { refreshDetails = true; }
+    else if (args[i] === '--open-at' && i + 1 < args.length) { openAt = args[++i]; }
+    else if (args[i] === '--open-now') { openNow = true; }
   }
+  if (!PLACE_PROVIDERS.includes(provider)) throw new Error(`--provider must be one of: ${PLACE_PROVIDERS.join(', ')}`);
+  if (provider === 'fixture' && !fixtureFile) throw new Error("--fixture <file> is required for --provider fixture");
+  if (!PLACES_API_VERSIONS.includes(placesApi)) throw new Error(`--places-api must be one of: ${PLACES_API_VERSIONS.join(', ')}`);
+  if (!CACHE_MODES.includes(cacheMode)) throw new Error(`--cache-mode must be one of: ${CACHE_MODES.join(', ')}`);
   if ((lat !== null && lon === null) || (lat === null && lon !== null)) throw new Error("Both --lat and --lon must be provided together");
   if (lat !== null && (lat < -90 || lat > 90)) throw new Error("Latitude must be between -90 and 90");
   if (lon !== null && (lon < -180 || lon > 180)) throw new Error("Longitude must be between -180 and 180");
@@ -860,8 +2815,22 @@ function parseFetchFlags(argv) {
   if (target !== null && target < 1) throw new Error("Target must be at least 1");
   if (step !== null && (step < 1 || step > 50000)) throw new Error("Step must be between 1 and 50000 meters");
   if (maxSteps < 1) throw new Error("maxSteps must be at least 1");
+  if (!(aiCacheTtl > 0)) throw new Error("ai-cache-ttl must be a positive number of days");
+  if (!(aiBatchSize >= 1 && aiBatchSize <= MAX_AI_BATCH_SIZE)) throw new Error(`ai-batch-size must be between 1 and ${MAX_AI_BATCH_SIZE}`);
+  if (enrich.some(e => !ENRICH_STAGES.includes(e))) throw new Error(`--enrich must be one of: ${ENRICH_STAGES.join(', ')}`);
+  if (!(detailsConcurrency >= 1 && detailsConcurrency <= 32)) throw new Error("details-concurrency must be between 1 and 32");
+  if (!(detailsCacheTtl > 0)) throw new Error("details-cache-ttl must be a positive number of days");
+  if (openAt !== null) parseOpenAt(openAt);
+  if ((openAt !== null || openNow) && !enrich.includes('details')) throw new Error("--open-at and --open-now need opening hours; add --enrich details");
   if (step === null) step = Math.floor(radius * 0.8);
-  return { latitude: lat, longitude: lon, radius, showDetails, filterCategories, showJson, useAI, target, step, maxSteps, outFile };
+  return {
+    latitude: lat, longitude: lon, radius, showDetails, filterCategories, showJson, useAI, target, step, maxSteps,
+    outFile, placesApi, fieldMask, provider, overpassUrl, foursquareUrl, foursquareKeyEnv, fixtureFile, cacheDir,
+    cacheMode, pricesFile, maxAttempts, fuzzyDedupe, dedupeThreshold, dedupeDistance, rulesFile, traceFile,
+    rejectsFile, aiCacheFile, aiCacheTtl, refreshAI, aiBatchSize, aiModel, aiBaseUrl, aiApiKeyEnv, aiTemperature,
+    aiMaxTokens, aiMinConfidence, reviewFile, enrich, detailsConcurrency, detailsCacheFile, detailsCacheTtl,
+    refreshDetails, openAt, openNow
+  };
 }
 
 function parseIngestFlags(argv) {
@@ -870,13 +2839,17 @@ function parseIngestFlags(argv) {
   let baseUrl = process.env.BASE_URL || "http://localhost:3000";
   let batchSize = 100;
   let dryRun = false;
+  let maxAttempts = null;
+  let ingestDetails = false;
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--file' && i + 1 < args.length) { filePath = args[++i]; }
     else if (args[i] === '--baseUrl' && i + 1 < args.length) { baseUrl = args[++i]; }
     else if (args[i] === '--batch' && i + 1 < args.length) { batchSize = Math.max(1, parseInt(args[++i])); }
     else if (args[i] === '--dry-run') { dryRun = true; }
+    else if (args[i] === '--max-attempts' && i + 1 < args.length) { maxAttempts = parseInt(args[++i]); }
+    else if (args[i] === '--ingest-details') { ingestDetails = true; }
   }
-  return { filePath, baseUrl, batchSize, dryRun };
+  return { filePath, baseUrl, batchSize, dryRun, maxAttempts, ingestDetails };
 }
 
 function parseAutoFlags(argv) {
@@ -888,6 +2861,7 @@ function parseAutoFlags(argv) {
   let dryRun = false;
   let deleteFile = false;
   let noIngest = false;
+  let ingestDetails = false;
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
     if (a === '--baseUrl' && i + 1 < args.length) { baseUrl = args[++i]; }
@@ -895,12 +2869,101 @@ function parseAutoFlags(argv) {
     else if (a === '--dry-run') { dryRun = true; }
     else if (a === '--delete-file') { deleteFile = true; }
     else if (a === '--no-ingest') { noIngest = true; }
+    else if (a === '--ingest-details') { ingestDetails = true; }
     else {
       fetchArgs.push(a);
       if (a.startsWith('--') && i + 1 < args.length && !args[i + 1].startsWith('--')) { fetchArgs.push(args[++i]); }
     }
   }
-  return { fetchArgs, baseUrl, batchSize, dryRun, deleteFile, noIngest };
+  return { fetchArgs, baseUrl, batchSize, dryRun, deleteFile, noIngest, ingestDetails };
+}
+
+function parseMergeFlags(argv) {
+  const args = normalizeArgs(argv);
+  const files = [];
+  let outFile = null;
+  let policy = 'confidence';
+  let fuzzyDedupe = false;
+  let dedupeThreshold = 0.85;
+  let dedupeDistance = 100;
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--out' && i + 1 < args.length) { outFile = args[++i]; }
+    else if (a === '--prefer' && i + 1 < args.length) { policy = args[++i]; }
+    else if (a === '--dedupe' && i + 1 < args.length) { fuzzyDedupe = parseDedupeMode(args[++i]); }
+    else if (a === '--dedupe-threshold' && i + 1 < args.length) { dedupeThreshold = parseFloat(args[++i]); }
+    else if (a === '--dedupe-distance' && i + 1 < args.length) { dedupeDistance = parseFloat(args[++i]); }
+    else if (!a.startsWith('--')) { files.push(a); }
+  }
+  if (files.length === 0) throw new Error("merge needs at least one input file");
+  if (!outFile) throw new Error("--out <file> is required for merge command");
+  if (!MERGE_POLICIES.includes(policy)) throw new Error(`--prefer must be one of: ${MERGE_POLICIES.join(', ')}`);
+  return { files, outFile, policy, fuzzyDedupe, dedupeThreshold, dedupeDistance };
+}
+
+function parseEvalFlags(argv) {
+  const args = normalizeArgs(argv);
+  let labelsFile = null, rulesFile = null, useAI = false, baselineFile = null, saveBaselineFile = null, tolerance = 0, outFile = null, top = 10;
+  let aiCacheFile = DEFAULT_AI_CACHE_FILE, refreshAI = false, aiBatchSize = DEFAULT_AI_BATCH_SIZE, aiModel = DEFAULT_AI_MODEL, aiBaseUrl = null, aiApiKeyEnv = DEFAULT_AI_API_KEY_ENV, aiTemperature = DEFAULT_AI_TEMPERATURE, aiMaxTokens = DEFAULT_AI_MAX_TOKENS, aiMinConfidence = 0;
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--labels' && i + 1 < args.length) { labelsFile = args[++i]; }
+    else if (a === '--rules' && i + 1 < args.length) { rulesFile = args[++i]; }
+    else if (a === '--ai') { useAI = true; }
+    else if (a === '--baseline' && i + 1 < args.length) { baselineFile = args[++i]; }
+    else if (a === '--save-baseline' && i + 1 < args.length) { saveBaselineFile = args[++i]; }
+    else if (a === '--tolerance' && i + 1 < args.length) { tolerance = parseFloat(args[++i]); }
+    else if (a === '--out' && i + 1 < args.length) { outFile = args[++i]; }
+    else if (a === '--top' && i + 1 < args.length) { top = parseInt(args[++i]); }
+    else if (a === '--ai-cache' && i + 1 < args.length) { aiCacheFile = args[++i]; }
+    else if (a === '--no-ai-cache') { aiCacheFile = null; }
+    else if (a === '--refresh-ai') { refreshAI = true; }
+    else if (a === '--ai-batch-size' && i + 1 < args.length) { aiBatchSize = parseInt(args[++i]); }
+    else if (a === '--ai-model' && i + 1 < args.length) { aiModel = args[++i]; }
+    else if (a === '--ai-base-url' && i + 1 < args.length) { aiBaseUrl = args[++i]; }
+    else if (a === '--ai-api-key-env' && i + 1 < args.length) { aiApiKeyEnv = args[++i]; }
+    else if (a === '--ai-temperature' && i + 1 < args.length) { aiTemperature = parseFloat(args[++i]); }
+    else if (a === '--ai-max-tokens' && i + 1 < args.length) { aiMaxTokens = parseInt(args[++i]); }
+    else if (a === '--ai-min-confidence' && i + 1 < args.length) { aiMinConfidence = parseFloat(args[++i]); }
+  }
+  if (!labelsFile) throw new Error("--labels <file> is required for eval command");
+  if (!(tolerance >= 0 && tolerance < 1)) throw new Error("tolerance must be between 0 and 1 (accuracy points as a fraction)");
+  if (!(top >= 1)) throw new Error("top must be at least 1");
+  return { labelsFile, rulesFile, useAI, baselineFile, saveBaselineFile, tolerance, outFile, top, aiCacheFile, refreshAI, aiBatchSize, aiModel, aiBaseUrl, aiApiKeyEnv, aiTemperature, aiMaxTokens, aiMinConfidence };
+}
+
+function parseApplyReviewFlags(argv) {
+  const args = normalizeArgs(argv);
+  let reviewFile = null;
+  let outFile = null;
+  let rulesFile = null;
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--review' && i + 1 < args.length) { reviewFile = args[++i]; }
+    else if (a === '--out' && i + 1 < args.length) { outFile = args[++i]; }
+    else if (a === '--rules' && i + 1 < args.length) { rulesFile = args[++i]; }
+    else if (!a.startsWith('--') && !reviewFile) { reviewFile = a; }
+  }
+  if (!reviewFile) throw new Error("--review <file> is required for apply-review command");
+  if (!outFile) throw new Error("--out <file> is required for apply-review command");
+  return { reviewFile, outFile, rulesFile };
+}
+
+function parseReviewFlags(argv) {
+  const args = normalizeArgs(argv);
+  let file = null;
+  let overridesFile = DEFAULT_OVERRIDES_FILE;
+  let rulesFile = null;
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--file' && i + 1 < args.length) { file = args[++i]; }
+    else if (a === '--overrides' && i + 1 < args.length) { overridesFile = args[++i]; }
+    else if (a === '--no-overrides') { overridesFile = null; }
+    else if (a === '--rules' && i + 1 < args.length) { rulesFile = args[++i]; }
+    else if (!a.startsWith('--') && !file) { file = a; }
+  }
+  if (!file) throw new Error("--file <file> is required for review command");
+  return { file, overridesFile, rulesFile };
 }
 
 function parseSeedFlags(argv) {
@@ -915,6 +2978,53 @@ function parseSeedFlags(argv) {
   let target = null;
   let baseUrl = process.env.BASE_URL || "http://localhost:3000";
   let outFile = null;
+  let checkpointFile = null;
+  let checkpointEvery = DEFAULT_CHECKPOINT_EVERY;
+  let resumeFile = null;
+  let boundaryFile = null;
+  let bbox = null;
+  let clipPois = false;
+  let grid = 'rings';
+  let minRadius = null;
+  let placesApi = 'legacy';
+  let fieldMask = null;
+  let provider = 'google';
+  let overpassUrl = null;
+  let foursquareUrl = null;
+  let foursquareKeyEnv = DEFAULT_FOURSQUARE_KEY_ENV;
+  let fixtureFile = null;
+  let cacheDir = null;
+  let cacheMode = 'record';
+  let budget = null;
+  let pricesFile = null;
+  let maxAttempts = null;
+  let concurrency = 1;
+  let rps = DEFAULT_RPS;
+  let fuzzyDedupe = false;
+  let dedupeThreshold = 0.85;
+  let dedupeDistance = 100;
+  let rulesFile = null;
+  let traceFile = null;
+  let rejectsFile = null;
+  let aiCacheFile = DEFAULT_AI_CACHE_FILE;
+  let aiCacheTtl = DEFAULT_AI_CACHE_TTL_DAYS;
+  let refreshAI = false;
+  let aiBatchSize = DEFAULT_AI_BATCH_SIZE;
+  let aiModel = DEFAULT_AI_MODEL;
+  let aiBaseUrl = null;
+  let aiApiKeyEnv = DEFAULT_AI_API_KEY_ENV;
+  let aiTemperature = DEFAULT_AI_TEMPERATURE;
+  let aiMaxTokens = DEFAULT_AI_MAX_TOKENS;
+  let aiMinConfidence = 0;
+  let reviewFile = null;
+  let enrich = [];
+  let detailsConcurrency = DEFAULT_DETAILS_CONCURRENCY;
+  let detailsCacheFile = DEFAULT_DETAILS_CACHE_FILE;
+  let detailsCacheTtl = DEFAULT_DETAILS_CACHE_TTL_DAYS;
+  let refreshDetails = false;
+  let ingestDetails = false;
+  let openAt = null;
+  let openNow = false;
 
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
@@ -928,15 +3038,104 @@ function parseSeedFlags(argv) {
     else if (a === '--target' && i + 1 < args.length) { target = parseInt(args[++i]); }
     else if (a === '--baseUrl' && i + 1 < args.length) { baseUrl = args[++i]; }
     else if (a === '--out' && i + 1 < args.length) { outFile = args[++i]; }
+    else if (a === '--checkpoint' && i + 1 < args.length) { checkpointFile = args[++i]; }
+    else if (a === '--checkpoint-every' && i + 1 < args.length) { checkpointEvery = parseInt(args[++i]); }
+    else if (a === '--resume' && i + 1 < args.length) { resumeFile = args[++i]; }
+    else if (a === '--boundary' && i + 1 < args.length) { boundaryFile = args[++i]; }
+    else if (a === '--bbox' && i + 1 < args.length) { bbox = parseBbox(args[++i]); }
+    else if (a === '--clip-pois') { clipPois = true; }
+    else if (a === '--grid' && i + 1 < args.length) { grid = args[++i]; }
+    else if (a === '--min-radius' && i + 1 < args.length) { minRadius = parseInt(args[++i]); }
+    else if (a === '--places-api' && i + 1 < args.length) { placesApi = args[++i]; }
+    else if (a === '--field-mask' && i + 1 < args.length) { fieldMask = args[++i].split(',').map(f => f.trim()).filter(Boolean); }
+    else if (a === '--provider' && i + 1 < args.length) { provider = args[++i]; }
+    else if (a === '--overpass-url' && i + 1 < args.length) { overpassUrl = args[++i]; }
+    else if (a === '--foursquare-url' && i + 1 < args.length) { foursquareUrl = args[++i]; }
+    else if (a === '--foursquare-key-env' && i + 1 < args.length) { foursquareKeyEnv = args[++i]; }
+    else if (a === '--fixture' && i + 1 < args.length) { fixtureFile = args[++i]; }
+    else if (a === '--cache-dir' && i + 1 < args.length) { cacheDir = args[++i]; }
+    else if (a === '--cache-mode' && i + 1 < args.length) { cacheMode = args[++i]; }
+    else if (a === '--budget' && i + 1 < args.length) { budget = parseFloat(args[++i]); }
+    else if (a === '--prices' && i + 1 < args.length) { pricesFile = args[++i]; }
+    else if (a === '--max-attempts' && i + 1 < args.length) { maxAttempts = parseInt(args[++i]); }
+    else if (a === '--concurrency' && i + 1 < args.length) { concurrency = parseInt(args[++i]); }
+    else if (a === '--rps' && i + 1 < args.length) { rps = parseFloat(args[++i]); }
+    else if (a === '--dedupe' && i + 1 < args.length) { fuzzyDedupe = parseDedupeMode(args[++i]); }
+    else if (a === '--dedupe-threshold' && i + 1 < args.length) { dedupeThreshold = parseFloat(args[++i]); }
+    else if (a === '--dedupe-distance' && i + 1 < args.length) { dedupeDistance = parseFloat(args[++i]); }
+    else if (a === '--rules' && i + 1 < args.length) { rulesFile = args[++i]; }
+    else if (a === '--trace' && i + 1 < args.length) { traceFile = args[++i]; }
+    else if (a === '--rejects' && i + 1 < args.length) { rejectsFile = args[++i]; }
+    else if (a === '--ai-cache' && i + 1 < args.length) { aiCacheFile = args[++i]; }
+    else if (a === '--no-ai-cache') { aiCacheFile = null; }
+    else if (a === '--ai-cache-ttl' && i + 1 < args.length) { aiCacheTtl = parseFloat(args[++i]); }
+    else if (a === '--refresh-ai') { refreshAI = true; }
+    else if (a === '--ai-batch-size' && i + 1 < args.length) { aiBatchSize = parseInt(args[++i]); }
+    else if (a === '--ai-model' && i + 1 < args.length) { aiModel = args[++i]; }
+    else if (a === '--ai-base-url' && i + 1 < args.length) { aiBaseUrl = args[++i]; }
+    else if (a === '--ai-api-key-env' && i + 1 < args.length) { aiApiKeyEnv = args[++i]; }
+    else if (a === '--ai-temperature' && i + 1 < args.length) { aiTemperature = parseFloat(args[++i]); }
+    else if (a === '--ai-max-tokens' && i + 1 < args.length) { aiMaxTokens = parseInt(args[++i]); }
+    else if (a === '--ai-min-confidence' && i + 1 < args.length) { aiMinConfidence = parseFloat(args[++i]); }
+    else if (a === '--review-out' && i + 1 < args.length) { reviewFile = args[++i]; }
+    else if (a === '--enrich' && i + 1 < args.length) { enrich = args[++i].split(',').map(e => e.trim()).filter(Boolean); }
+    else if (a === '--details-concurrency' && i + 1 < args.length) { detailsConcurrency = parseInt(args[++i]); }
+    else if (a === '--details-cache' && i + 1 < args.length) { detailsCacheFile = args[++i]; }
+    else if (a === '--no-details-cache') { detailsCacheFile = null; }
+    else if (a === '--details-cache-ttl' && i + 1 < args.length) { detailsCacheTtl = parseFloat(args[++i]); }
+    else if (a === '--refresh-details') { refreshDetails = true; }
+    else if (a === '--ingest-details') { ingestDetails = true; }
+    else if (a === '--open-at' && i + 1 < args.length) { openAt = args[++i]; }
+    else if (a === '--open-now') { openNow = true; }
+  }
+
+  if (!(checkpointEvery >= 1)) throw new Error("checkpoint-every must be at least 1");
+  // A resumed run takes its settings from the checkpoint; only where and how often it is saved can change
+  if (resumeFile) {
+    const ignored = args.filter(a => a.startsWith('--') && !RESUME_FLAGS.includes(a));
+    if (ignored.length > 0) throw new Error(`--resume takes its settings from the checkpoint; remove ${ignored.join(', ')}`);
+    return { resumeFile, checkpointFile: checkpointFile || resumeFile, checkpointEvery };
   }
 
-  if (!locale) throw new Error("--locale is required for seed command");
+  if (!locale && !boundaryFile && !bbox) throw new Error("--locale, --boundary or --bbox is required for seed command");
+  if (boundaryFile && bbox) throw new Error("Use either --boundary or --bbox, not both");
   if (radius < 1 || radius > 50000) throw new Error("Radius must be between 1 and 50000 meters");
   if (maxPoints < 1 || maxPoints > 1000) throw new Error("max-points must be between 1 and 1000");
   if (target !== null && target < 1) throw new Error("target must be at least 1");
   if (batchSize < 1) throw new Error("batch size must be at least 1");
-
-  return { locale, radius, categories, useAI, batchSize, dryRun, maxPoints, target, baseUrl, outFile };
+  if (!GRID_SAMPLERS.includes(grid)) throw new Error(`--grid must be one of: ${GRID_SAMPLERS.join(', ')}`);
+  // Without --min-radius the quadtree may split down to 100m, or not at all below that
+  if (minRadius === null) minRadius = Math.min(100, radius);
+  // Only the quadtree splits cells, so the other grids accept any --radius
+  if (grid === 'quadtree' && (!(minRadius >= 1) || minRadius > radius)) throw new Error("min-radius must be between 1 and --radius");
+  if (!PLACES_API_VERSIONS.includes(placesApi)) throw new Error(`--places-api must be one of: ${PLACES_API_VERSIONS.join(', ')}`);
+  if (!PLACE_PROVIDERS.includes(provider)) throw new Error(`--provider must be one of: ${PLACE_PROVIDERS.join(', ')}`);
+  if (provider === 'fixture' && !fixtureFile) throw new Error("--fixture <file> is required for --provider fixture");
+  if (!CACHE_MODES.includes(cacheMode)) throw new Error(`--cache-mode must be one of: ${CACHE_MODES.join(', ')}`);
+  if (budget !== null && !(budget > 0)) throw new Error("budget must be a positive dollar amount");
+  if (maxAttempts !== null && !(maxAttempts >= 1)) throw new Error("max-attempts must be at least 1");
+  if (!(concurrency >= 1 && concurrency <= 16)) throw new Error("concurrency must be between 1 and 16");
+  if (!(rps > 0)) throw new Error("rps must be a positive number");
+  if (!(dedupeThreshold > 0 && dedupeThreshold <= 1)) throw new Error("dedupe-threshold must be between 0 and 1");
+  if (!(dedupeDistance > 0)) throw new Error("dedupe-distance must be a positive number of meters");
+  if (!(aiCacheTtl > 0)) throw new Error("ai-cache-ttl must be a positive number of days");
+  if (!(aiBatchSize >= 1 && aiBatchSize <= MAX_AI_BATCH_SIZE)) throw new Error(`ai-batch-size must be between 1 and ${MAX_AI_BATCH_SIZE}`);
+  if (enrich.some(e => !ENRICH_STAGES.includes(e))) throw new Error(`--enrich must be one of: ${ENRICH_STAGES.join(', ')}`);
+  if (!(detailsConcurrency >= 1 && detailsConcurrency <= 32)) throw new Error("details-concurrency must be between 1 and 32");
+  if (!(detailsCacheTtl > 0)) throw new Error("details-cache-ttl must be a positive number of days");
+  if (openAt !== null) parseOpenAt(openAt);
+  if ((openAt !== null || openNow) && !enrich.includes('details')) throw new Error("--open-at and --open-now need opening hours; add --enrich details");
+
+  const checkpointName = locale || (boundaryFile ? path.basename(boundaryFile, path.extname(boundaryFile)) : 'bbox');
+  return {
+    locale, radius, categories, useAI, batchSize, dryRun, maxPoints, target, baseUrl, outFile, boundaryFile, bbox,
+    clipPois, grid, minRadius, placesApi, fieldMask, provider, overpassUrl, foursquareUrl, foursquareKeyEnv,
+    fixtureFile, cacheDir, cacheMode, budget, pricesFile, maxAttempts, concurrency, rps, fuzzyDedupe, dedupeThreshold,
+    dedupeDistance, rulesFile, traceFile, rejectsFile, aiCacheFile, aiCacheTtl, refreshAI, aiBatchSize, aiModel,
+    aiBaseUrl, aiApiKeyEnv, aiTemperature, aiMaxTokens, aiMinConfidence, reviewFile, enrich, detailsConcurrency,
+    detailsCacheFile, detailsCacheTtl, refreshDetails, ingestDetails, openAt, openNow,
+    checkpointFile: checkpointFile || defaultCheckpointPath(checkpointName), checkpointEvery
+  };
 }
 
 /* ─────────────────────────────────────────────
@@ -946,6 +3145,22 @@ async function runFetchCli(argv) {
   let JSON_MODE = false;
   try {
     const args = parseFetchFlags(argv);
+    configureProvider({ provider: args.provider, placesApi: args.placesApi, fieldMask: args.fieldMask, overpassUrl: args.overpassUrl, foursquareUrl: args.foursquareUrl, foursquareKeyEnv: args.foursquareKeyEnv, fixtureFile: args.fixtureFile });
+    configureRequestCache({ dir: args.cacheDir, mode: args.cacheMode });
+    if (args.pricesFile) usageMeter.prices = await loadPriceTable(args.pricesFile);
+    configureRetries({ maxAttempts: args.maxAttempts });
+    configureDuplicates({ enabled: args.fuzzyDedupe, threshold: args.dedupeThreshold, maxDistance: args.dedupeDistance });
+    await configureRules({ rulesFile: args.rulesFile });
+    checkCategoryFilter(args.filterCategories);
+    await configureTrace({ file: args.traceFile });
+    configureRejects({ file: args.rejectsFile });
+    configureAI({ batchSize: args.aiBatchSize, model: args.aiModel, baseUrl: args.aiBaseUrl, apiKeyEnv: args.aiApiKeyEnv, temperature: args.aiTemperature, maxTokens: args.aiMaxTokens, minConfidence: args.aiMinConfidence });
+    await configureReview({ file: args.reviewFile });
+    if (args.useAI && openai) log(`🤖 AI backend: ${describeAIBackend()}`);
+    if (args.useAI && openai) configureAIPrices();
+    if (args.useAI) await configureAiCache({ file: args.aiCacheFile, ttlDays: args.aiCacheTtl, refresh: args.refreshAI });
+    await configureEnrichment({ enrich: args.enrich, concurrency: args.detailsConcurrency, cacheFile: args.detailsCacheFile, ttlDays: args.detailsCacheTtl, refresh: args.refreshDetails });
+    configureHoursFilter({ openAt: args.openAt, openNow: args.openNow });
     if (args.showJson && !args.outFile) {
       JSON_MODE = true;
       console.log = (...a) => { try { process.stderr.write(a.join(' ') + "\n"); } catch (_) {} };
@@ -973,7 +3188,11 @@ async function runFetchCli(argv) {
     } else {
       log(`🔍 Searching for POIs within ${args.radius}m...`);
       if (args.filterCategories.length > 0) log(`🎯 Filtering for categories: ${args.filterCategories.join(', ')}`);
-      pois = await fetchNearbyPOIs(location.latitude, location.longitude, args.radius, args.filterCategories, args.useAI);
+      const fetched = await fetchNearbyPOIs(location.latitude, location.longitude, args.radius, args.filterCategories, args.useAI, { deferTrace: true });
+      rejectLog.add(fetched._rejects);
+      reviewQueue.add(fetched._review);
+      pois = dedupePOIs(fetched, fetched._trace);
+      if (fetched._trace) await writeTraceRecords([...fetched._trace.values()]);
     }
     const locationString = location.fullAddress || (location.city && location.region ? `${location.city}, ${location.region}` : `${location.latitude}, ${location.longitude}`);
     const cleanPois = pois.map(poi => { const { _original, ...clean } = poi; return clean; });
@@ -991,9 +3210,22 @@ async function runFetchCli(argv) {
       log(`💡 Use --json flag for JSON output`);
       log(`💡 Use --out <file> to write JSON to file`);
       log(`💡 Use --target <n> to collect a specific number of POIs`);
-      log(`💡 Use --categories park,restaurant,cafe to filter specific types`);
+      log(`💡 Use --categories park,restaurant:pizza,cafe to filter specific types or subcategories`);
       log(`💡 Use --ai flag for AI-powered classification (requires OpenAI API key)`);
     }
+    if (args.cacheDir) log(`💾 Request cache: ${requestCacheSummary()}`);
+    if (args.useAI && aiCache.file) log(`🧠 AI cache: ${aiCacheSummary()}`);
+    if (placeDetails.enabled) log(`📇 Place details: ${placeDetailsSummary()}`);
+    if (args.traceFile) log(`🧾 Decision trace: ${decisionTrace.records} records → ${args.traceFile}`);
+    if (rejectLog.enabled) {
+      await rejectLog.write();
+      printRejectSummary(log);
+    }
+    if (reviewQueue.enabled) {
+      await reviewQueue.write();
+      printReviewSummary(log);
+    }
+    log(`💵 Estimated API cost: ${formatUsd(usageMeter.total)}`);
     return 0;
   } catch (error) {
     if (JSON_MODE) {
@@ -1009,18 +3241,21 @@ async function runFetchCli(argv) {
 }
 
 async function runIngestCli(argv) {
-  const { filePath, baseUrl, batchSize, dryRun } = parseIngestFlags(argv);
+  const { filePath, baseUrl, batchSize, dryRun, maxAttempts, ingestDetails } = parseIngestFlags(argv);
+  configureRetries({ maxAttempts });
+  configurePayload({ details: ingestDetails });
   const adminToken = process.env.ADMIN_TOKEN;
   if (!adminToken) {
     console.error("❌ ADMIN_TOKEN env var is required");
     return 1;
   }
-  console.log(`🔗 Target: ${baseUrl}  |  File: ${filePath}  |  Batch: ${batchSize}${dryRun ? "  |  DRY-RUN" : ""}`);
+  console.log(`🔗 Target: ${baseUrl}  |  File: ${filePath}  |  Batch: ${batchSize}${ingestDetails ? "  |  WITH DETAILS" : ""}${dryRun ? "  |  DRY-RUN" : ""}`);
   console.log(`🔑 Admin token: ${adminToken.substring(0, 8)}...${adminToken.substring(adminToken.length - 4)} (${adminToken.length} chars)`);
   try {
     const payloads = await readPois(filePath);
     const batches = chunkArray(payloads, batchSize);
     let totalCreated = 0; let totalSkipped = 0; let totalBatches = 0;
+    const failedBatches = [];
     for (let i = 0; i < batches.length; i++) {
       const batch = batches[i];
       console.log(`🚀 Posting batch ${i + 1}/${batches.length} (${batch.length} items)...`);
@@ -1032,12 +3267,17 @@ async function runIngestCli(argv) {
         totalCreated += created; totalSkipped += skipped; totalBatches++;
         console.log(`   ✅ created=${created}, skipped=${skipped}`);
       } catch (err) {
-        console.error(`   ❌ Batch ${i + 1} failed: ${err.message}`);
-        await new Promise(r => setTimeout(r, 1000));
+        console.error(`   ❌ Batch ${i + 1} failed after ${err.attempts || 1} attempt(s): ${err.message}`);
+        failedBatches.push({ batch: i + 1, size: batch.length, error: err.message });
       }
       await new Promise(r => setTimeout(r, 200));
     }
     console.log(`\n🎯 Done. Batches: ${totalBatches}, Created: ${totalCreated}, Skipped: ${totalSkipped}`);
+    if (failedBatches.length > 0) {
+      console.error(`❌ ${failedBatches.length} batch(es) permanently failed:`);
+      for (const f of failedBatches) console.error(`   batch ${f.batch} (${f.size} items): ${f.error}`);
+      return 1;
+    }
     return 0;
   } catch (e) {
     console.error(`❌ Ingest failed: ${e.message}`);
@@ -1046,7 +3286,7 @@ async function runIngestCli(argv) {
 }
 
 async function runAutoCli(argv) {
-  const { fetchArgs, baseUrl, batchSize, dryRun, deleteFile, noIngest } = parseAutoFlags(argv);
+  const { fetchArgs, baseUrl, batchSize, dryRun, deleteFile, noIngest, ingestDetails } = parseAutoFlags(argv);
   const filename = `auto-${new Date().toISOString().replace(/[:.]/g, "-").slice(0, -5)}.json`;
   const outputPath = path.join(process.cwd(), filename);
   console.log("╔════════════════════════════════════════════════════════════════╗");
@@ -1074,7 +3314,7 @@ async function runAutoCli(argv) {
     console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
     console.log("📤 STEP 2: Ingesting POIs to server");
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    const ingestExit = await runIngestCli(["--file", filename, "--baseUrl", baseUrl, "--batch", String(batchSize), ...(dryRun ? ["--dry-run"] : [])]);
+    const ingestExit = await runIngestCli(["--file", filename, "--baseUrl", baseUrl, "--batch", String(batchSize), ...(dryRun ? ["--dry-run"] : []), ...(ingestDetails ? ["--ingest-details"] : [])]);
     if (ingestExit !== 0) return ingestExit;
     console.log("\n✅ Ingestion complete!");
   }
@@ -1085,34 +3325,233 @@ async function runAutoCli(argv) {
   return 0;
 }
 
+async function runMergeCli(argv) {
+  try {
+    const { files, outFile, policy, fuzzyDedupe, dedupeThreshold, dedupeDistance } = parseMergeFlags(argv);
+    configureDuplicates({ enabled: fuzzyDedupe, threshold: dedupeThreshold, maxDistance: dedupeDistance });
+    console.log(`🧩 Merging ${files.length} file(s) → ${outFile} (prefer: ${policy})`);
+    console.log("");
+    const result = await mergePoiFiles(files, { policy });
+    printMergeReport(result, policy);
+    await fs.writeFile(outFile, JSON.stringify(result.pois, null, 2), 'utf8');
+    console.log(`\n📝 Wrote ${result.pois.length} POIs to ${outFile}`);
+    return 0;
+  } catch (error) {
+    logError(`❌ Merge failed: ${error.message}`);
+    return 1;
+  }
+}
+
+async function runEvalCli(argv) {
+  try {
+    const args = parseEvalFlags(argv);
+    await configureRules({ rulesFile: args.rulesFile });
+    configureAI({ batchSize: args.aiBatchSize, model: args.aiModel, baseUrl: args.aiBaseUrl, apiKeyEnv: args.aiApiKeyEnv, temperature: args.aiTemperature, maxTokens: args.aiMaxTokens, minConfidence: args.aiMinConfidence });
+    if (args.useAI) {
+      if (!openai) throw new Error(`--ai needs ${aiSettings.apiKeyEnv} set, otherwise the AI path is not evaluated`);
+      await configureAiCache({ file: args.aiCacheFile, refresh: args.refreshAI });
+    }
+    const records = await loadLabeledPlaces(args.labelsFile);
+    const rows = await classifyLabeledPlaces(records, { useAI: args.useAI });
+    const score = scoreEvaluation(rows);
+    const offenders = worstOffenders(rows, args.top);
+    console.log("");
+    printEvaluationReport(score, offenders, args);
+    if (args.useAI && aiCache.file) console.log(`\n🧠 AI cache: ${aiCacheSummary()}`);
+    if (args.useAI) console.log(`💵 Estimated API cost: ${formatUsd(usageMeter.total)}`);
+    if (args.outFile) {
+      const mistakes = rows.filter(r => r.expected !== r.predicted).map(r => ({ id: r.place.id, name: r.place.name, types: r.place.types, expected: r.expected, predicted: r.predicted, method: r.method, reason: explainMisclassification(r) }));
+      const { classes, ...metrics } = score;
+      await fs.writeFile(args.outFile, JSON.stringify({ generatedAt: new Date().toISOString(), labels: args.labelsFile, rules: args.rulesFile || 'rules.json', ai: args.useAI ? aiSettings.model : null, ...metrics, mistakes }, null, 2), 'utf8');
+      console.log(`📝 Wrote evaluation report to ${args.outFile}`);
+    }
+    let passed = true;
+    if (args.baselineFile) {
+      let baseline;
+      try { baseline = JSON.parse(await fs.readFile(args.baselineFile, 'utf8')); } catch (e) { throw new Error(`Cannot read baseline ${args.baselineFile}: ${e.message}`); }
+      passed = compareToBaseline(score, baseline, args.tolerance, args.baselineFile);
+    }
+    if (args.saveBaselineFile) {
+      await fs.writeFile(args.saveBaselineFile, JSON.stringify(evaluationBaseline(score, args.labelsFile), null, 2), 'utf8');
+      console.log(`💾 Saved baseline to ${args.saveBaselineFile}`);
+    }
+    return passed ? 0 : 1;
+  } catch (error) {
+    logError(`❌ Eval failed: ${error.message}`);
+    return 1;
+  }
+}
+
+async function runApplyReviewCli(argv) {
+  try {
+    const { reviewFile, outFile, rulesFile } = parseApplyReviewFlags(argv);
+    await configureRules({ rulesFile });
+    const entries = await readReviewFile(reviewFile);
+    if (!entries) throw new Error(`Review file ${reviewFile} not found`);
+    const pois = [];
+    const errors = [];
+    const counts = { applied: 0, rejected: 0, pending: 0 };
+    for (const entry of entries) {
+      if (!entry.decision) { counts.pending++; continue; }
+      try {
+        const poi = applyReviewDecision(entry);
+        if (poi) { pois.push(poi); counts.applied++; } else { counts.rejected++; }
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    // All-or-nothing, so a typo never ingests half a review
+    if (errors.length > 0) throw new Error(`Invalid decisions in ${reviewFile}:\n  - ${errors.join('\n  - ')}`);
+    console.log(`🧐 ${reviewFile}: ${entries.length} places, ${counts.applied} applied, ${counts.rejected} rejected, ${counts.pending} still pending`);
+    await fs.writeFile(outFile, JSON.stringify(pois, null, 2), 'utf8');
+    console.log(`📝 Wrote ${pois.length} POIs to ${outFile}`);
+    if (pois.length > 0) console.log(`💡 Ingest with: node poiseed.mjs ingest --file ${outFile} (or combine with another run using poiseed merge)`);
+    return 0;
+  } catch (error) {
+    logError(`❌ Apply review failed: ${error.message}`);
+    return 1;
+  }
+}
+
+async function runReviewCli(argv) {
+  try {
+    const { file, overridesFile, rulesFile } = parseReviewFlags(argv);
+    if (!process.stdin.isTTY || !process.stdout.isTTY) throw new Error("review is interactive and needs a terminal (stdin and stdout must be a TTY)");
+    await configureRules({ rulesFile });
+    const { doc, records, skipped } = await loadReviewTarget(file);
+    const overrides = await new OverrideStore(overridesFile).load();
+    const session = new ReviewSession({ file, doc, records, overrides });
+    const stored = applyStoredOverrides(records, overrides);
+    if (stored.applied > 0) {
+      await session.save();
+      session.message = `♻️  Re-applied ${stored.applied} earlier decision(s) from ${overridesFile}`;
+    }
+    if (stored.stale > 0) session.message += `${session.message ? '; ' : ''}⚠️ ${stored.stale} stored decision(s) name categories the rules no longer have`;
+    if (skipped > 0) session.message += `${session.message ? '; ' : ''}${skipped} item(s) without a name or coordinates are not shown`;
+    await runReviewScreen(session);
+    await session.flush();
+    await overrides.saving.catch(() => {});
+    const counts = session.counts();
+    console.log(`🧐 ${file}: ${counts.total} POIs, ${counts.verified} verified, ${counts.recategorized} re-categorized, ${counts.rejected} rejected, ${counts.unreviewed} unreviewed`);
+    if (overrides.enabled) console.log(`📒 Overrides: ${overrides.overrides.size} decisions in ${overridesFile}`);
+    console.log(`💡 Ingest with: node poiseed.mjs ingest --file ${file} (rejected POIs are skipped)`);
+    return 0;
+  } catch (error) {
+    logError(`❌ Review failed: ${error.message}`);
+    return 1;
+  }
+}
+
+// Checkpoints written before an option existed resume with its default
+const SEED_OPTION_DEFAULTS = {
+  grid: 'rings', minRadius: 100,
+  provider: 'google', placesApi: 'legacy', fieldMask: null, overpassUrl: null, fixtureFile: null,
+  foursquareUrl: null, foursquareKeyEnv: DEFAULT_FOURSQUARE_KEY_ENV,
+  cacheDir: null, cacheMode: 'record', budget: null, pricesFile: null, maxAttempts: null, concurrency: 1, rps: DEFAULT_RPS,
+  fuzzyDedupe: false, dedupeThreshold: 0.85, dedupeDistance: 100,
+  rulesFile: null, traceFile: null, rejectsFile: null, reviewFile: null,
+  aiCacheFile: DEFAULT_AI_CACHE_FILE, aiCacheTtl: DEFAULT_AI_CACHE_TTL_DAYS, refreshAI: false, aiBatchSize: DEFAULT_AI_BATCH_SIZE,
+  aiModel: DEFAULT_AI_MODEL, aiBaseUrl: null, aiApiKeyEnv: DEFAULT_AI_API_KEY_ENV, aiTemperature: DEFAULT_AI_TEMPERATURE, aiMaxTokens: DEFAULT_AI_MAX_TOKENS, aiMinConfidence: 0,
+  enrich: [], detailsConcurrency: DEFAULT_DETAILS_CONCURRENCY, detailsCacheFile: DEFAULT_DETAILS_CACHE_FILE, detailsCacheTtl: DEFAULT_DETAILS_CACHE_TTL_DAYS, refreshDetails: false,
+  ingestDetails: false, openAt: null, openNow: false
+};
+
 async function runSeedCli(argv) {
+  let onSigint = null;
   try {
-    const { locale, radius, categories, useAI, batchSize, dryRun, maxPoints, target, baseUrl, outFile } = parseSeedFlags(argv);
+    const flags = parseSeedFlags(argv);
+    const checkpoint = flags.resumeFile ? await readCheckpoint(flags.resumeFile) : null;
+    const { resumeFile, checkpointFile, checkpointEvery, ...flagOptions } = flags;
+    const seedOptions = { ...SEED_OPTION_DEFAULTS, ...(checkpoint ? checkpoint.options : flagOptions) };
+    const {
+      locale, radius, categories, useAI, batchSize, dryRun, maxPoints, target, baseUrl, outFile, boundaryFile, bbox,
+      clipPois, grid, minRadius, placesApi, fieldMask, provider, overpassUrl, foursquareUrl, foursquareKeyEnv,
+      fixtureFile, cacheDir, cacheMode, budget, pricesFile, maxAttempts, concurrency, rps, fuzzyDedupe,
+      dedupeThreshold, dedupeDistance, rulesFile, traceFile, rejectsFile, aiCacheFile, aiCacheTtl, refreshAI,
+      aiBatchSize, aiModel, aiBaseUrl, aiApiKeyEnv, aiTemperature, aiMaxTokens, aiMinConfidence, reviewFile, enrich,
+      detailsConcurrency, detailsCacheFile, detailsCacheTtl, refreshDetails, ingestDetails, openAt, openNow
+    } = seedOptions;
+    const placeSource = configureProvider({ provider, placesApi, fieldMask, overpassUrl, foursquareUrl, foursquareKeyEnv, fixtureFile });
+    configureRequestCache({ dir: cacheDir, mode: cacheMode });
+    if (pricesFile) usageMeter.prices = await loadPriceTable(pricesFile);
+    configureRetries({ maxAttempts });
+    configureRateLimit({ rps });
+    configureDuplicates({ enabled: fuzzyDedupe, threshold: dedupeThreshold, maxDistance: dedupeDistance });
+    await configureRules({ rulesFile });
+    checkCategoryFilter(categories);
+    await configureTrace({ file: traceFile, append: !!checkpoint });
+    configureRejects({ file: rejectsFile });
+    if (checkpoint?.rejects) rejectLog.restore(checkpoint.rejects);
+    configureAI({ batchSize: aiBatchSize, model: aiModel, baseUrl: aiBaseUrl, apiKeyEnv: aiApiKeyEnv, temperature: aiTemperature, maxTokens: aiMaxTokens, minConfidence: aiMinConfidence });
+    if (useAI && openai) configureAIPrices({ budget });
+    await configureReview({ file: reviewFile });
+    if (checkpoint?.review) reviewQueue.restore(checkpoint.review);
+    if (useAI) await configureAiCache({ file: aiCacheFile, ttlDays: aiCacheTtl, refresh: refreshAI });
+    await configureEnrichment({ enrich, concurrency: detailsConcurrency, cacheFile: detailsCacheFile, ttlDays: detailsCacheTtl, refresh: refreshDetails });
+    configureHoursFilter({ openAt, openNow });
+    configurePayload({ details: ingestDetails });
+    // Spend from before an interruption still counts toward --budget
+    if (checkpoint?.usage) usageMeter.restore(checkpoint.usage);
     
     console.log("╔════════════════════════════════════════════════════════════════╗");
     console.log("║              LOCALE-BASED POI SEEDING                          ║");
     console.log("╚════════════════════════════════════════════════════════════════╝");
     console.log("");
+    if (checkpoint) {
+      console.log(`♻️  Resuming from ${resumeFile} (saved ${checkpoint.updatedAt}, ${checkpoint.nextPointIndex}/${checkpoint.gridPoints.length} points done)`);
+      console.log("");
+    }
     console.log("📋 CONFIGURATION");
     console.log("─".repeat(60));
-    console.log(`  --locale       ${locale}`);
+    console.log(`  --locale       ${locale || '(none)'}`);
+    if (boundaryFile) console.log(`  --boundary     ${boundaryFile}${clipPois ? ' (clipping POIs)' : ''}`);
+    if (bbox) console.log(`  --bbox         ${bbox.southwest.lon},${bbox.southwest.lat},${bbox.northeast.lon},${bbox.northeast.lat}${clipPois ? ' (clipping POIs)' : ''}`);
     console.log(`  --radius       ${radius}m`);
     console.log(`  --max-points   ${maxPoints}`);
+    console.log(`  --grid         ${grid}${grid === 'quadtree' ? ` (min radius ${minRadius}m)` : ''}`);
     console.log(`  --target       ${target !== null ? target + ' POIs' : '(unlimited)'}`);
     console.log(`  --categories   ${categories.length > 0 ? categories.join(', ') : '(all)'}`);
-    console.log(`  --ai           ${useAI ? 'enabled' : 'disabled'}`);
+    console.log(`  --ai           ${useAI ? `enabled (${aiBatchSize === 1 ? 'one place per request' : `${aiBatchSize} places per request`})` : 'disabled'}`);
+    console.log(`  --rules        ${rulesFile || '(default rules.json)'}`);
+    console.log(`  --provider     ${provider} (${placeSource.label}${provider === 'osm' ? `, ${placeSource.overpassUrl}` : provider === 'foursquare' ? `, ${placeSource.url}, key from ${placeSource.keyEnv}` : ''})`);
+    if (provider === 'google') console.log(`  --places-api   ${placesApi}${placesApi === 'new' ? ` (fields: ${placeSource.fieldMask.join(',')})` : ''}`);
+    console.log(`  --concurrency  ${concurrency} (${rps} req/s)`);
+    console.log(`  --dedupe       ${fuzzyDedupe ? `fuzzy (threshold ${dedupeThreshold}, within ${dedupeDistance}m)` : 'exact keys only'}`);
     console.log(`  --batch        ${batchSize}`);
     console.log(`  --baseUrl      ${baseUrl}`);
     console.log(`  --dry-run      ${dryRun ? 'YES' : 'no'}`);
     console.log(`  --out          ${outFile || '(none)'}`);
+    console.log(`  --checkpoint   ${checkpointFile}`);
+    console.log(`  --cache-dir    ${cacheDir ? `${cacheDir} (${cacheMode})` : '(none)'}`);
+    if (traceFile) console.log(`  --trace        ${traceFile}${checkpoint ? ' (appending)' : ''}`);
+    if (rejectsFile) console.log(`  --rejects      ${rejectsFile}`);
+    if (reviewFile) console.log(`  --review-out   ${reviewFile}${aiMinConfidence > 0 ? ` (AI confidence below ${aiMinConfidence} or disagreeing)` : ' (rules and AI disagreeing)'}${useAI ? '' : ' - needs --ai'}`);
+    if (useAI) console.log(`  --ai-model     ${describeAIBackend()} (temperature ${aiTemperature}, max ${aiMaxTokens} tokens/place)`);
+    if (useAI) console.log(`  --ai-cache     ${aiCacheFile ? `${aiCacheFile} (${aiCacheTtl} day TTL${refreshAI ? ', refreshing' : ''})` : '(off)'}`);
+    if (enrich.length > 0) console.log(`  --enrich       ${enrich.join(',')} (${detailsConcurrency} concurrent, cache ${detailsCacheFile ? `${detailsCacheFile}, ${detailsCacheTtl} day TTL${refreshDetails ? ', refreshing' : ''}` : 'off'})${ingestDetails ? ' - sent to ingest' : ''}`);
+    if (isHoursFilterActive()) console.log(`  --open-at/now  ${describeHoursFilter()} (place's local time${openNow ? ', "now" is when each point is fetched' : ''})`);
+    console.log(`  --budget       ${budget !== null ? formatUsd(budget) : '(unlimited)'}${pricesFile ? ` (prices: ${pricesFile})` : ''}`);
     console.log("");
 
     // Step 1: Geocode the locale
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    console.log("📍 STEP 1: Geocoding locale");
+    console.log(`📍 STEP 1: ${boundaryFile || bbox ? 'Loading boundary' : 'Geocoding locale'}`);
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    const geo = await geocodeLocale(locale);
-    console.log(`✅ Found: ${geo.formattedAddress}`);
+    let geo;
+    if (checkpoint) {
+      geo = checkpoint.geo;
+    } else if (boundaryFile) {
+      // An explicit shape replaces the geocoder viewport, so no geocoding call is needed
+      const shape = await loadBoundary(boundaryFile);
+      geo = boundaryArea(shape, locale || shape.name || path.basename(boundaryFile));
+    } else if (bbox) {
+      geo = boundaryArea(Boundary.fromBbox(bbox), locale || 'bbox');
+    } else {
+      geo = await placeSource.geocode(locale);
+    }
+    const boundary = geo.boundary ? new Boundary(geo.boundary.polygons, geo.boundary.name) : null;
+    console.log(`✅ Found: ${geo.formattedAddress}${checkpoint ? ' (from checkpoint)' : ''}`);
+    if (boundary) console.log(`🧭 Boundary: ${boundary.polygons.length} polygon(s), ${boundary.polygons.reduce((n, rings) => n + rings.length - 1, 0)} hole(s)`);
     console.log(`📐 Center: ${geo.center.lat.toFixed(6)}, ${geo.center.lon.toFixed(6)}`);
     
     if (!geo.bounds) {
@@ -1126,13 +3565,17 @@ async function runSeedCli(argv) {
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
     console.log("📍 STEP 2: Generating smart grid");
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    const sampler = new GridSampler(geo.bounds, {
-      centerDensity: radius,
-      edgeDensity: radius * 2,
-      maxPoints
-    });
-    const gridPoints = sampler.generatePoints();
-    console.log(`✅ Generated ${gridPoints.length} query points (higher density in center)`);
+    const sampler = createSampler(grid, geo.bounds, { radius, maxPoints, boundary, minRadius });
+    let gridPoints;
+    if (checkpoint) {
+      gridPoints = checkpoint.gridPoints;
+      console.log(`✅ Restored ${gridPoints.length} query points from checkpoint`);
+    } else {
+      gridPoints = sampler.generatePoints();
+      const layout = { rings: 'higher density in center', hex: 'hexagonal tiling, center first', quadtree: 'quadtree cells, split when saturated' }[grid];
+      console.log(`✅ Generated ${gridPoints.length} query points (${layout})`);
+      if (boundary) console.log(`✂️  Clipped ${sampler.clippedPoints} candidate points outside the boundary`);
+    }
     console.log("");
 
     // Step 3: Initialize streaming ingester
@@ -1142,59 +3585,198 @@ async function runSeedCli(argv) {
       dryRun
     });
 
+    // Unique POIs keyed by getPOIKey (restored entries no longer carry _original, so keep the key alongside)
+    const seenPOIs = new Map(checkpoint ? checkpoint.pois : []);
+    const duplicates = new DuplicateDetector();
+    if (checkpoint?.duplicates) duplicates.restore(checkpoint.duplicates);
+    // Run counters that must survive a resume; generatedPoints counts the cells --max-points caps, so failed points
+    // queued again below do not use up room for quadtree splits
+    const runStats = { clippedPOIs: 0, hoursExcluded: 0, saturatedCells: 0, splitCells: 0, maxPointCost: 0, costedPoints: 0, failedPoints: [], generatedPoints: gridPoints.length, ...(checkpoint?.runStats || {}) };
+    let startIndex = 0;
+    if (checkpoint) {
+      ingester.restore(checkpoint.ingester);
+      startIndex = checkpoint.nextPointIndex;
+      // Points that failed before the checkpoint are queried again first
+      if (runStats.failedPoints.length > 0) {
+        gridPoints.splice(startIndex, 0, ...runStats.failedPoints.map(f => f.point ?? { lat: f.lat, lon: f.lon, radius: f.radius }));
+        console.log(`🔁 Retrying ${runStats.failedPoints.length} grid point(s) that failed in the previous run`);
+        runStats.failedPoints = [];
+      }
+    }
+
+    const saveCheckpoint = (nextPointIndex) => writeCheckpoint(checkpointFile, {
+      options: seedOptions,
+      geo,
+      gridPoints,
+      nextPointIndex,
+      pois: Array.from(seenPOIs.entries()).map(([key, poi]) => {
+        const { _original, ...clean } = poi;
+        return [key, clean];
+      }),
+      ingester: ingester.snapshot(),
+      duplicates: duplicates.snapshot(),
+      usage: usageMeter.snapshot(),
+      rejects: rejectLog.snapshot(),
+      review: reviewQueue.snapshot(),
+      runStats
+    });
+    let lastSaved = { index: startIndex, at: Date.now() };
+    // A batch ingested since the last save forces one, so a resumed run never re-sends it
+    const checkpointPoint = async (nextPointIndex, force = false) => {
+      if (!force && nextPointIndex - lastSaved.index < checkpointEvery && Date.now() - lastSaved.at < CHECKPOINT_INTERVAL_MS) return;
+      await saveCheckpoint(nextPointIndex);
+      lastSaved = { index: nextPointIndex, at: Date.now() };
+    };
+
+    // First Ctrl-C finishes the current point and saves; a second one exits immediately
+    let interrupted = false;
+    onSigint = () => {
+      if (interrupted) process.exit(130);
+      interrupted = true;
+      console.log("\n⏸️  Interrupt received - saving checkpoint after the current point (Ctrl-C again to abort)");
+    };
+    process.on('SIGINT', onSigint);
+
     // Step 4: Query each grid point and stream ingest
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
     console.log("📍 STEP 3: Fetching POIs from grid (streaming)");
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
     console.log("");
+    if (startIndex > 0) console.log(`⏭️  Skipping ${startIndex} grid points already queried (${seenPOIs.size} POIs, ${ingester.buffer.length} buffered, ${ingester.batchesCompleted} batches confirmed)`);
+
+    // Up to --concurrency points are fetched ahead; results are applied strictly in grid order,
+    // so dedupe, ingestion batches, quadtree splits and checkpoints match a sequential run
+    const inFlight = new Map();
+    // Until a point has been metered, assume the worst case; in-flight points each hold an estimate's worth of budget
+    const firstPointEstimate = estimatePointCost(placeSource, { useAI: useAI && openai !== null, details: placeDetails.enabled });
+    const pointCostEstimate = () => runStats.costedPoints > 0 ? Math.max(runStats.maxPointCost, usageMeter.unitPrice(placeSource.usageKind)) : firstPointEstimate;
+    const launch = (point) => {
+      const scope = { cost: 0 };
+      // Settles instead of rejecting so abandoned fetches never surface as unhandled rejections
+      inFlight.set(point, usageScope.run(scope, () =>
+        fetchNearbyPOIs(point.lat, point.lon, point.radius || radius, categories, useAI, { quiet: true, deferDetails: true })
+          .then(fetched => ({ fetched, scope }), error => ({ error, scope }))
+      ));
+    };
+    const drainInFlight = async () => {
+      if (inFlight.size === 0) return;
+      console.log(`⏳ Waiting for ${inFlight.size} in-flight grid point(s) to finish (results discarded)`);
+      await Promise.all(inFlight.values());
+      inFlight.clear();
+    };
 
-    const allPOIs = [];
-    
-    for (let i = 0; i < gridPoints.length; i++) {
+    for (let i = startIndex; i < gridPoints.length; i++) {
       const point = gridPoints[i];
       const progress = Math.floor(((i + 1) / gridPoints.length) * 100);
 
       // Check if we've reached target
-      if (target !== null && allPOIs.length >= target) {
-        console.log(`\n🎉 Target reached! Collected ${allPOIs.length} unique POIs after ${i} grid points.`);
+      if (target !== null && seenPOIs.size >= target) {
+        console.log(`\n🎉 Target reached! Collected ${seenPOIs.size} unique POIs after ${i} grid points.`);
+        console.log(`⏭️  Skipping remaining ${gridPoints.length - i} grid points.`);
+        break;
+      }
+
+      // Fill the window; each launch must leave room under --budget for everything already in flight
+      // (estimated from the priciest point so far)
+      for (let j = i; j < gridPoints.length && inFlight.size < concurrency; j++) {
+        if (inFlight.has(gridPoints[j])) continue;
+        if (budget !== null && usageMeter.total + (inFlight.size + 1) * pointCostEstimate() > budget) break;
+        launch(gridPoints[j]);
+      }
+      if (!inFlight.has(point)) {
+        runStats.budgetStopped = true;
+        console.log(`\n💸 Budget reached: spent ~${formatUsd(usageMeter.total)} of ${formatUsd(budget)}, next point could cost ~${formatUsd(pointCostEstimate())}.`);
         console.log(`⏭️  Skipping remaining ${gridPoints.length - i} grid points.`);
         break;
       }
 
+      const { fetched, error, scope } = await inFlight.get(point);
+      inFlight.delete(point);
+      let flushed = false;
+      runStats.maxPointCost = Math.max(runStats.maxPointCost, scope.cost);
       try {
-        // Fetch with quiet mode to suppress verbose classification logging
-        const pois = await fetchNearbyPOIs(point.lat, point.lon, radius, categories, useAI, { quiet: true });
-        
-        // Count new POIs added
-        let newCount = 0;
-        for (const poi of pois) {
-          const key = getPOIKey(poi);
-          if (!allPOIs.some(p => getPOIKey(p) === key)) {
-            allPOIs.push(poi);
-            newCount++;
+        if (error) throw error;
+        const pointRadius = point.radius || radius;
+        const query = { latitude: point.lat, longitude: point.lon, radius: pointRadius };
+        rejectLog.add(fetched._rejects);
+        reviewQueue.add(fetched._review);
+
+        // Optionally drop POIs that fall outside the boundary shape
+        let pois = fetched;
+        if (clipPois && boundary) {
+          pois = fetched.filter(poi => boundary.contains(poi.latitude, poi.longitude));
+          runStats.clippedPOIs += fetched.length - pois.length;
+          for (const poi of fetched) traceStage(fetched._trace, poi, 'boundary', pois.includes(poi) ? null : 'outside --boundary/--bbox (--clip-pois)');
+          if (rejectLog.enabled) {
+            rejectLog.add(fetched.filter(poi => !pois.includes(poi)).map(poi => rejectEntry(poi._original, 'boundary', 'outside --boundary/--bbox (--clip-pois)', query)));
           }
         }
         
+        // Keep POIs with unseen keys that are not near-duplicates of ones already kept
+        const kept = pois.filter(poi => addUniquePOI(seenPOIs, duplicates, poi, fetched._trace));
+
+        // Place details cost a request each, so they are looked up only for the POIs kept above (billed to this point);
+        // the ones --open-at / --open-now then drops are forgotten again
+        const rejects = [];
+        const added = await usageScope.run(scope, () => finishWithDetails(kept, { quiet: true, query, trace: fetched._trace, rejects }));
+        runStats.maxPointCost = Math.max(runStats.maxPointCost, scope.cost);
+        runStats.costedPoints++;
+        if (fetched._trace) await writeTraceRecords([...fetched._trace.values()]);
+        rejectLog.add(rejects);
+        const openKeys = new Set(added.map(getPOIKey));
+        const closed = kept.filter(poi => !openKeys.has(getPOIKey(poi)));
+        for (const poi of closed) forgetPOI(seenPOIs, duplicates, poi);
+        for (const poi of added) seenPOIs.set(getPOIKey(poi), poi);
+        runStats.hoursExcluded += closed.length;
+        const newCount = added.length;
+        
         // Add to ingester buffer (deduplicates automatically)
-        ingester.addPOIs(pois);
+        ingester.addPOIs(added);
         
         // Brief log per grid point with target progress if set
-        const stats = pois._stats || {};
-        const targetInfo = target !== null ? `, ${allPOIs.length}/${target} target` : '';
-        console.log(`[${progress.toString().padStart(3)}%] Point ${(i + 1).toString().padStart(3)}/${gridPoints.length} @ (${point.lat.toFixed(4)}, ${point.lon.toFixed(4)}) → ${stats.totalRaw || 0} raw, ${pois.length} valid, +${newCount} new (total: ${allPOIs.length}${targetInfo})`);
+        const stats = fetched._stats || {};
+        const targetInfo = target !== null ? `, ${seenPOIs.size}/${target} target` : '';
+        console.log(`[${progress.toString().padStart(3)}%] Point ${(i + 1).toString().padStart(3)}/${gridPoints.length} @ (${point.lat.toFixed(4)}, ${point.lon.toFixed(4)}) → ${stats.totalRaw || 0} raw, ${pois.length} valid${closed.length ? `, ${closed.length} closed` : ''}, +${newCount} new (total: ${seenPOIs.size}${targetInfo})`);
+
+        // A saturated cell hit the result cap; the quadtree sampler queues its four children right after it
+        if (stats.saturated) {
+          runStats.saturatedCells++;
+          const pointsLeft = maxPoints - runStats.generatedPoints;
+          const children = sampler instanceof QuadtreeSampler ? sampler.subdivide({ ...point, radius: pointRadius }) : [];
+          if (children.length > 0 && children.length <= pointsLeft) {
+            gridPoints.splice(i + 1, 0, ...children);
+            runStats.generatedPoints += children.length;
+            runStats.splitCells++;
+            console.log(`     🔀 Saturated at ${pointRadius}m → split into ${children.length} cells of ${children[0].radius}m`);
+          } else if (children.length > 0) {
+            console.log(`     ⚠️  Saturated at ${pointRadius}m but --max-points leaves no room to split`);
+          } else {
+            console.log(`     ⚠️  Saturated at ${pointRadius}m (${grid === 'quadtree' ? 'at --min-radius' : 'use --grid quadtree to split dense cells'})`);
+          }
+        }
         
         // Stream ingest if buffer is ready
         const flushResult = await ingester.flushIfReady();
+        flushed = flushResult !== null;
         if (flushResult && (flushResult.created > 0 || dryRun)) {
           console.log(`     📤 Batch ${ingester.batchesCompleted}: ${dryRun ? 'would ingest' : 'ingested'} ${flushResult.created} POIs`);
         }
-
-        // Small delay between queries to avoid rate limiting
-        await new Promise(r => setTimeout(r, 300));
       } catch (err) {
+        // Transient errors were already retried; record the point so the report can list it
+        runStats.failedPoints.push({ index: i + 1, lat: point.lat, lon: point.lon, radius: point.radius || radius, attempts: err.attempts || 1, error: err.message, point });
         console.log(`[${progress.toString().padStart(3)}%] Point ${(i + 1).toString().padStart(3)}/${gridPoints.length} ⚠️  ${err.message}`);
       }
+
+      await checkpointPoint(i + 1, flushed || interrupted);
+      if (interrupted) {
+        // Points fetched ahead are not in the checkpoint; a resumed run queries them again
+        await drainInFlight();
+        console.log(`\n💾 Checkpoint saved to ${checkpointFile} (${i + 1}/${gridPoints.length} points, ${ingester.buffer.length} POIs still buffered)`);
+        console.log(`💡 Resume with: node poiseed.mjs seed --resume ${checkpointFile}`);
+        return 130;
+      }
     }
+    await drainInFlight();
     console.log("");
 
     // Step 5: Flush remaining buffer
@@ -1203,11 +3785,25 @@ async function runSeedCli(argv) {
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
     await ingester.flushAll();
     console.log(`✅ Flushed remaining ${ingester.buffer.length === 0 ? 'buffer' : ingester.buffer.length + ' items'}`);
+    // Keep payloads of batches the endpoint never accepted so they can be re-ingested
+    const failedBatchesFile = ingester.failedBatches.length > 0 ? checkpointFile.replace(/(\.checkpoint)?\.json$/, '') + '.failed-batches.json' : null;
+    if (failedBatchesFile) {
+      await fs.writeFile(failedBatchesFile, JSON.stringify(ingester.failedBatches.flatMap(f => f.items), null, 2), 'utf8');
+    }
+    if (runStats.failedPoints.length > 0) {
+      // Saved after the flush so a resume only queries the failed points and never re-sends a batch
+      await saveCheckpoint(gridPoints.length);
+      console.log(`💾 Kept checkpoint ${checkpointFile} for ${runStats.failedPoints.length} failed grid point(s)`);
+    } else {
+      // The run is complete, so the checkpoint is no longer needed
+      await fs.rm(checkpointFile, { force: true });
+      console.log(`🧹 Removed checkpoint ${checkpointFile}`);
+    }
     console.log("");
 
     // Step 6: Validated POIs breakdown by category
     const stats = ingester.getStats();
-    const cleanPois = allPOIs.map(poi => {
+    const cleanPois = Array.from(seenPOIs.values()).map(poi => {
       const { _original, ...clean } = poi;
       return clean;
     });
@@ -1232,7 +3828,7 @@ async function runSeedCli(argv) {
       // Show first 5 places per category
       const shown = places.slice(0, 5);
       for (const place of shown) {
-        console.log(`   • ${place.name}`);
+        console.log(`   • ${place.name}${place.subcategory ? ` (${place.subcategory})` : ''}`);
         if (place.description) console.log(`     ${place.description}`);
       }
       if (places.length > 5) {
@@ -1246,10 +3842,47 @@ async function runSeedCli(argv) {
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
     console.log(`🌍 Location: ${geo.formattedAddress}`);
     console.log(`📍 Grid points queried: ${gridPoints.length}`);
+    console.log(`🧱 Saturated cells: ${runStats.saturatedCells} (${runStats.splitCells} split)`);
+    console.log(`📐 Theoretical coverage at ${radius}m (≤${maxPoints} points):`);
+    for (const name of GRID_SAMPLERS) {
+      const layoutPoints = createSampler(name, geo.bounds, { radius, maxPoints, boundary, minRadius }).generatePoints();
+      const cov = estimateCoverage(layoutPoints, geo.bounds, { radius, boundary });
+      console.log(`   ${name.padEnd(9)} ${cov.points.toString().padStart(4)} pts  ${(cov.coverage * 100).toFixed(1).padStart(5)}% covered, ${cov.overlap.toFixed(2)}× overlap${name === grid ? '  ← used' : ''}`);
+    }
     console.log(`🔍 Unique POIs found: ${cleanPois.length}`);
+    if (duplicates.mergedKeys.size > 0) console.log(`🔗 Near-duplicates merged: ${duplicates.mergedKeys.size}`);
+    if (clipPois && boundary) console.log(`✂️  POIs outside boundary dropped: ${runStats.clippedPOIs}`);
+    if (isHoursFilterActive()) console.log(`🕒 POIs not ${describeHoursFilter()}: ${runStats.hoursExcluded}`);
     console.log(`📤 Batches completed: ${stats.batches}`);
     console.log(`✅ POIs ingested: ${stats.ingested}`);
     console.log(`⏭️  POIs skipped: ${stats.skipped}`);
+    if (runStats.failedPoints.length > 0) {
+      console.log(`❌ Grid points permanently failed: ${runStats.failedPoints.length}`);
+      for (const f of runStats.failedPoints) console.log(`   point ${f.index} @ (${f.lat.toFixed(4)}, ${f.lon.toFixed(4)}) r=${f.radius}m after ${f.attempts} attempt(s): ${f.error}`);
+      console.log(`💡 Query them again with: node poiseed.mjs seed --resume ${checkpointFile}`);
+    }
+    if (ingester.failedBatches.length > 0) {
+      console.log(`❌ Batches permanently failed: ${ingester.failedBatches.length}`);
+      for (const f of ingester.failedBatches) console.log(`   batch ${f.batch} (${f.size} POIs): ${f.error}`);
+      console.log(`💡 Payloads saved to ${failedBatchesFile} - re-ingest with: node poiseed.mjs ingest --file ${failedBatchesFile}${ingestDetails ? ' --ingest-details' : ''}`);
+    }
+    if (cacheDir) console.log(`💾 Request cache: ${requestCacheSummary()}`);
+    if (useAI && aiCache.file) console.log(`🧠 AI cache: ${aiCacheSummary()}`);
+    if (placeDetails.enabled) console.log(`📇 Place details: ${placeDetailsSummary()}`);
+    if (traceFile) console.log(`🧾 Decision trace: ${decisionTrace.records} records${checkpoint ? ' this session' : ''} → ${traceFile}`);
+    if (rejectLog.enabled) {
+      await rejectLog.write();
+      printRejectSummary(console.log);
+    }
+    if (reviewQueue.enabled) {
+      await reviewQueue.write();
+      printReviewSummary(console.log);
+    }
+    console.log(`💵 Estimated API cost: ${formatUsd(usageMeter.total)}${budget !== null ? ` of ${formatUsd(budget)} budget${runStats.budgetStopped ? ' (stopped early)' : ''}` : ''}`);
+    for (const { kind, requests, cost } of usageMeter.breakdown()) {
+      const tokens = kind === 'openai' ? `, ${usageMeter.tokens.input} in / ${usageMeter.tokens.output} out tokens` : '';
+      console.log(`   ${kind.padEnd(11)} ${requests.toString().padStart(5)} requests${tokens}  ${formatUsd(cost)}`);
+    }
 
     // Step 8: Write to file if requested
     if (outFile) {
@@ -1265,6 +3898,8 @@ async function runSeedCli(argv) {
   } catch (error) {
     logError(`❌ Seed failed: ${error.message}`);
     return 1;
+  } finally {
+    if (onSigint) process.off('SIGINT', onSigint);
   }
 }
 
@@ -1284,6 +3919,14 @@ async function main() {
     exitCode = await runAutoCli(args.slice(1));
   } else if (first === 'seed') {
     exitCode = await runSeedCli(args.slice(1));
+  } else if (first === 'merge') {
+    exitCode = await runMergeCli(args.slice(1));
+  } else if (first === 'eval') {
+    exitCode = await runEvalCli(args.slice(1));
+  } else if (first === 'apply-review') {
+    exitCode = await runApplyReviewCli(args.slice(1));
+  } else if (first === 'review') {
+    exitCode = await runReviewCli(args.slice(1));
   } else {
     // Compatibility: if flags look like ingest, run ingest; else run auto
     const looksIngest = args.includes('--file') || args.includes('--baseUrl');
@@ -1294,8 +3937,3 @@ async function main() {
 }
 
 main();
-
-
-
-
-
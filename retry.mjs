@@ -0,0 +1,99 @@
+import { logWarn } from "./util.mjs";
+
+/* ─────────────────────────────────────────────
+   HTTP Retries (backoff with jitter)
+───────────────────────────────────────────── */
+// Shared by Places, Geocoding, Overpass, Foursquare, OpenAI and the ingest endpoint; --max-attempts overrides
+const retryPolicy = { maxAttempts: 4, baseDelayMs: 1000, maxDelayMs: 30000 };
+// Google legacy endpoints signal throttling in a 200 body rather than with a 429
+export const GOOGLE_RETRYABLE_STATUSES = ['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR'];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// Spaces out request starts across concurrent callers (seed --rps)
+class RateLimiter {
+  constructor(requestsPerSecond) {
+    this.intervalMs = 1000 / requestsPerSecond;
+    this.nextSlot = 0;
+  }
+
+  async acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.intervalMs;
+    if (slot > now) await new Promise(r => setTimeout(r, slot - now));
+  }
+}
+
+// Place and geocoding lookups share one limiter; OpenAI and ingestion keep their own pacing
+export const RATE_LIMITED_KINDS = new Set(['places', 'places-new', 'details', 'details-new', 'geocode', 'nominatim', 'overpass', 'foursquare']);
+export const DEFAULT_RPS = 5;
+export let requestLimiter = new RateLimiter(DEFAULT_RPS);
+
+export function configureRateLimit({ rps = DEFAULT_RPS } = {}) {
+  if (!(rps > 0)) throw new Error("rps must be a positive number");
+  requestLimiter = new RateLimiter(rps);
+}
+
+export class RetryableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RetryableError';
+  }
+}
+
+export function configureRetries({ maxAttempts = null } = {}) {
+  if (maxAttempts === null) return;
+  if (!(maxAttempts >= 1)) throw new Error("max-attempts must be at least 1");
+  retryPolicy.maxAttempts = maxAttempts;
+}
+
+// axios errors carry err.response.status, OpenAI SDK errors err.status
+function errorStatus(err) {
+  return err?.response?.status ?? err?.status ?? null;
+}
+
+export function isRetryableError(err) {
+  if (err instanceof RetryableError) return true;
+  const status = errorStatus(err);
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  return status === null && RETRYABLE_NETWORK_CODES.includes(err?.code);
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+export function retryAfterMs(err) {
+  const headers = err?.response?.headers ?? err?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function backoffDelayMs(attempt) {
+  const ceiling = Math.min(retryPolicy.maxDelayMs, retryPolicy.baseDelayMs * 2 ** (attempt - 1));
+  // Equal jitter: half fixed, half random, so parallel callers spread out
+  return ceiling / 2 + Math.random() * ceiling / 2;
+}
+
+// A server's Retry-After is honoured up to the same ceiling as the backoff
+export function retryDelayMs(err, attempt) {
+  const retryAfter = retryAfterMs(err);
+  return retryAfter !== null ? Math.min(retryAfter, retryPolicy.maxDelayMs) : backoffDelayMs(attempt);
+}
+
+export async function withRetry(label, fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!isRetryableError(err) || attempt >= retryPolicy.maxAttempts) {
+        err.attempts = attempt;
+        throw err;
+      }
+      const delay = retryDelayMs(err, attempt);
+      logWarn(`🔁 ${label} failed (${errorStatus(err) ?? err.code ?? err.message}); retry ${attempt}/${retryPolicy.maxAttempts - 1} in ${(delay / 1000).toFixed(1)}s`);
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+}
@@ -0,0 +1,425 @@
+import fs from "fs/promises";
+import process from "process";
+import readline from "readline";
+import { activeRules, poiCategories, getBestSubcategory, isKnownSubcategory, formatCategory, getCategoryEmoji } from "./rules.mjs";
+import { mapToPayload, isValidPayload } from "./payload.mjs";
+import { getPOIKey } from "./dedupe.mjs";
+
+/* ─────────────────────────────────────────────
+   Interactive Review (poiseed review)
+───────────────────────────────────────────── */
+const OVERRIDES_VERSION = 1;
+export const DEFAULT_OVERRIDES_FILE = 'poiseed-overrides.json';
+// reviewDecision values besides "category[:subcategory]"; ingest skips rejected records
+export const VERIFIED_DECISION = 'verified';
+export const REJECTED_DECISION = 'reject';
+
+const ANSI = {
+  altScreen: '\x1b[?1049h', mainScreen: '\x1b[?1049l', hideCursor: '\x1b[?25l', showCursor: '\x1b[?25h',
+  home: '\x1b[H', clearLine: '\x1b[K', clearBelow: '\x1b[J',
+  bold: '\x1b[1m', dim: '\x1b[2m', inverse: '\x1b[7m', reset: '\x1b[0m'
+};
+
+export function isRejectedRecord(record) {
+  return record?.reviewDecision === REJECTED_DECISION;
+}
+
+// Only decisions made in `poiseed review` carry reviewedAt, so undo never strips an apply-review decision
+function hasReviewerDecision(record) {
+  return !!record.reviewedAt;
+}
+
+// Same key as dedupe and merge, taken from the normalized payload so raw and output records match
+export function reviewKey(record) {
+  return getPOIKey(mapToPayload(record));
+}
+
+async function writeJsonAtomic(file, value) {
+  const tmpPath = `${file}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(value, null, 2), 'utf8');
+  await fs.rename(tmpPath, file);
+}
+
+// "cafe" or "cafe:coffee", checked against the active rules; returns the normalized decision
+function checkCategoryDecision(value) {
+  const [category, subcategory = null] = value.trim().split(':');
+  if (!poiCategories().includes(category)) throw new Error(`Unknown category "${category}" (${poiCategories().join(', ')})`);
+  if (subcategory !== null && !isKnownSubcategory(category, subcategory)) throw new Error(`Unknown subcategory "${subcategory}" for ${category}`);
+  return subcategory ? `${category}:${subcategory}` : category;
+}
+
+function categoryCompletions() {
+  return Object.entries(activeRules().categories).flatMap(([category, rule]) => [category, ...Object.keys(rule.subcategories).map(sub => `${category}:${sub}`)]);
+}
+
+// Mutates the record; a re-categorized record keeps its previous classification so undo can restore it
+export function applyReviewerDecision(record, decision) {
+  clearReviewerDecision(record);
+  if (decision !== VERIFIED_DECISION && decision !== REJECTED_DECISION) {
+    const [category, subcategory = null] = decision.split(':');
+    record.reviewPrevious = { category: record.category, subcategory: record.subcategory ?? null, confidence: record.confidence ?? null, reasoning: record.reasoning ?? null, classificationMethod: record.classificationMethod ?? null };
+    Object.assign(record, { category, subcategory: subcategory ?? getBestSubcategory(record, category), confidence: 1, reasoning: "Review: category set by reviewer", classificationMethod: 'Review' });
+  }
+  record.reviewDecision = decision;
+  record.reviewedAt = new Date().toISOString();
+}
+
+function clearReviewerDecision(record) {
+  if (!hasReviewerDecision(record)) return;
+  if (record.reviewPrevious) Object.assign(record, record.reviewPrevious);
+  delete record.reviewPrevious;
+  delete record.reviewDecision;
+  delete record.reviewedAt;
+}
+
+// Reviewer decisions keyed by reviewKey, so the next run of the same city picks them up when its output is reviewed
+export class OverrideStore {
+  constructor(file = null) {
+    this.file = file;
+    this.overrides = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  get enabled() {
+    return this.file !== null;
+  }
+
+  async load() {
+    if (!this.file) return this;
+    let raw;
+    try { raw = await fs.readFile(this.file, 'utf8'); } catch (e) {
+      if (e.code === 'ENOENT') return this;
+      throw new Error(`Cannot read overrides file ${this.file}: ${e.message}`);
+    }
+    let doc;
+    try { doc = JSON.parse(raw); } catch (e) { throw new Error(`Failed to parse overrides file ${this.file}: ${e.message}`); }
+    if (doc?.version !== OVERRIDES_VERSION || !doc.overrides || typeof doc.overrides !== 'object') throw new Error(`${this.file} is not a version ${OVERRIDES_VERSION} overrides file`);
+    this.overrides = new Map(Object.entries(doc.overrides));
+    return this;
+  }
+
+  get(record) {
+    return this.overrides.get(reviewKey(record)) || null;
+  }
+
+  set(record) {
+    this.overrides.set(reviewKey(record), { name: record.name, latitude: record.latitude, longitude: record.longitude, decision: record.reviewDecision, decidedAt: record.reviewedAt });
+  }
+
+  delete(record) {
+    this.overrides.delete(reviewKey(record));
+  }
+
+  // Chained so quick keystrokes never interleave writes; a failed write is reported and the next one still runs
+  save() {
+    if (!this.file) return this.saving;
+    const doc = { version: OVERRIDES_VERSION, updatedAt: new Date().toISOString(), overrides: Object.fromEntries(this.overrides) };
+    const write = this.saving.catch(() => {}).then(() => writeJsonAtomic(this.file, doc));
+    this.saving = write;
+    return write;
+  }
+}
+
+// The file's POI list and the document to write it back into; objects of several arrays cannot be written back, so they are refused
+export async function loadReviewTarget(file) {
+  let raw;
+  try { raw = await fs.readFile(file, 'utf8'); } catch (e) { throw new Error(`Cannot read ${file}: ${e.message}`); }
+  let doc;
+  try { doc = JSON.parse(raw); } catch (e) { throw new Error(`Failed to parse ${file}: ${e.message}`); }
+  const items = Array.isArray(doc) ? doc : Array.isArray(doc?.results) ? doc.results : Array.isArray(doc?.data) ? doc.data : null;
+  if (!items) throw new Error(`${file} must be a POI array or { results: [...] } / { data: [...] } to be reviewed`);
+  const records = items.filter(item => item && isValidPayload(mapToPayload(item)));
+  if (records.length === 0) throw new Error(`${file} has no POIs with a name and coordinates`);
+  return { doc, records, skipped: items.length - records.length };
+}
+
+// Re-applies stored decisions to records nobody has decided on in this file; decisions naming a category the rules no longer have are left out
+export function applyStoredOverrides(records, overrides) {
+  const counts = { applied: 0, stale: 0 };
+  for (const record of records) {
+    const override = overrides.get(record);
+    if (!override || hasReviewerDecision(record)) continue;
+    try {
+      const decision = [VERIFIED_DECISION, REJECTED_DECISION].includes(override.decision) ? override.decision : checkCategoryDecision(override.decision);
+      applyReviewerDecision(record, decision);
+      counts.applied++;
+    } catch {
+      counts.stale++;
+    }
+  }
+  return counts;
+}
+
+function reviewMark(record) {
+  if (!hasReviewerDecision(record)) return ' ';
+  if (record.reviewDecision === VERIFIED_DECISION) return '✓';
+  if (record.reviewDecision === REJECTED_DECISION) return '✗';
+  return '✎';
+}
+
+function fitLine(text, width) {
+  return text.length > width ? `${text.slice(0, Math.max(0, width - 1))}…` : text;
+}
+
+// Screen state for one file: records are paged per category, grouped and ordered like displayResults
+const REVIEW_SAVE_DELAY_MS = 2000;
+
+export class ReviewSession {
+  constructor({ file, doc, records, overrides }) {
+    this.file = file;
+    this.doc = doc;
+    this.records = records;
+    this.overrides = overrides;
+    this.search = '';
+    this.category = null;
+    this.index = 0;
+    this.message = '';
+    // { label, value, hint, complete(value), submit(value) } while a line is being typed
+    this.prompt = null;
+    // Decisions not yet written; flushed REVIEW_SAVE_DELAY_MS after the first one and when the session ends
+    this.dirty = false;
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+  }
+
+  groups() {
+    const needle = this.search.toLowerCase();
+    const visible = needle ? this.records.filter(record => record.name.toLowerCase().includes(needle)) : this.records;
+    const grouped = visible.reduce((acc, record) => { if (!acc[record.category]) acc[record.category] = []; acc[record.category].push(record); return acc; }, {});
+    return Object.keys(grouped).sort((a, b) => grouped[b].length - grouped[a].length).map(category => ({ category, records: grouped[category] }));
+  }
+
+  // The group under the cursor, clamping the cursor after a search or a re-categorization changed the groups
+  current() {
+    const groups = this.groups();
+    if (groups.length === 0) return { groups, group: null, groupIndex: -1, record: null };
+    let groupIndex = groups.findIndex(group => group.category === this.category);
+    if (groupIndex < 0) groupIndex = 0;
+    const group = groups[groupIndex];
+    this.category = group.category;
+    this.index = Math.min(Math.max(this.index, 0), group.records.length - 1);
+    return { groups, group, groupIndex, record: group.records[this.index] };
+  }
+
+  move(delta) {
+    this.index += delta;
+    this.current();
+  }
+
+  switchGroup(delta) {
+    const { groups, groupIndex } = this.current();
+    if (groups.length === 0) return;
+    this.category = groups[(groupIndex + delta + groups.length) % groups.length].category;
+    this.index = 0;
+    this.current();
+  }
+
+  counts() {
+    const counts = { total: this.records.length, verified: 0, recategorized: 0, rejected: 0, unreviewed: 0 };
+    for (const record of this.records) {
+      const mark = reviewMark(record);
+      if (mark === '✓') counts.verified++;
+      else if (mark === '✗') counts.rejected++;
+      else if (mark === '✎') counts.recategorized++;
+      else counts.unreviewed++;
+    }
+    return counts;
+  }
+
+  async decide(decision) {
+    const { record } = this.current();
+    if (!record) return;
+    applyReviewerDecision(record, decision);
+    this.overrides.set(record);
+    this.message = `${reviewMark(record)} "${record.name}" → ${decision === VERIFIED_DECISION || decision === REJECTED_DECISION ? decision : formatCategory(record)}`;
+    // A re-categorized record leaves the group, so the cursor already sits on the next one
+    if (decision === VERIFIED_DECISION || decision === REJECTED_DECISION) this.move(1);
+    this.markDirty();
+  }
+
+  async undo() {
+    const { record } = this.current();
+    if (!record || !hasReviewerDecision(record)) { this.message = "Nothing to undo for this place"; return; }
+    clearReviewerDecision(record);
+    this.overrides.delete(record);
+    this.message = `↩ "${record.name}" is unreviewed again (${formatCategory(record)})`;
+    this.markDirty();
+  }
+
+  // Rewriting --file and the overrides store on every key would cost a full write per decision
+  markDirty() {
+    this.dirty = true;
+    if (!this.saveTimer) this.saveTimer = setTimeout(() => this.flush(), REVIEW_SAVE_DELAY_MS);
+  }
+
+  // Writes are chained so a timed flush and the one at quit never overlap
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.saving = this.saving.then(() => {
+      if (!this.dirty) return;
+      this.dirty = false;
+      return this.save();
+    });
+    return this.saving;
+  }
+
+  async save() {
+    try {
+      await Promise.all([writeJsonAtomic(this.file, this.doc), this.overrides.save()]);
+    } catch (error) {
+      this.message = `❌ Save failed: ${error.message}`;
+    }
+  }
+
+  render(columns, rows) {
+    const { groups, group, groupIndex, record } = this.current();
+    const counts = this.counts();
+    const listHeight = Math.max(3, rows - 11);
+    const lines = [];
+    lines.push(`${ANSI.bold}🧐 ${this.file}${ANSI.reset}  ${counts.total} POIs · ${counts.verified} verified · ${counts.recategorized} re-categorized · ${counts.rejected} rejected · ${counts.unreviewed} unreviewed`);
+    if (!group) {
+      lines.push(this.search ? `No names match "${this.search}" (Esc clears the search)` : "No POIs to review");
+      lines.push("─".repeat(columns));
+      while (lines.length < rows - 8) lines.push('');
+    } else {
+      const pages = Math.ceil(group.records.length / listHeight);
+      const page = Math.floor(this.index / listHeight);
+      lines.push(`${getCategoryEmoji(group.category)} ${ANSI.bold}${group.category.toUpperCase()}${ANSI.reset} (${group.records.length})  category ${groupIndex + 1}/${groups.length} · page ${page + 1}/${pages}${this.search ? ` · search "${this.search}"` : ''}`);
+      lines.push("─".repeat(columns));
+      const start = page * listHeight;
+      for (let i = start; i < start + listHeight; i++) {
+        const item = group.records[i];
+        if (!item) { lines.push(''); continue; }
+        const text = fitLine(` ${reviewMark(item)} ${item.name}${item.subcategory ? ` [${item.subcategory}]` : ''} - ${item.description || ''}`, columns);
+        lines.push(i === this.index ? `${ANSI.inverse}${text.padEnd(columns)}${ANSI.reset}` : text);
+      }
+    }
+    lines.push("─".repeat(columns));
+    if (record) {
+      const confidence = typeof record.confidence === 'number' ? ` · ${(record.confidence * 100).toFixed(0)}%` : '';
+      lines.push(fitLine(`📍 ${record.name}`, columns));
+      lines.push(fitLine(`   ${formatCategory(record)} · ${record.classificationMethod || 'unknown method'}${confidence}${hasReviewerDecision(record) ? ` · reviewed: ${record.reviewDecision}` : ''} · ${record.latitude}, ${record.longitude}`, columns));
+      lines.push(fitLine(`   ${record.description || '(no address)'}`, columns));
+      lines.push(`${ANSI.dim}${fitLine(`   ${(record.types || []).join(', ')}`, columns)}${ANSI.reset}`);
+      lines.push(fitLine(`   ${record.reasoning || ''}`, columns));
+    } else {
+      for (let i = 0; i < 5; i++) lines.push('');
+    }
+    lines.push(`${ANSI.dim}${fitLine("↑↓ move  ←→ category  PgUp/PgDn page  v verify  x reject  c category  u undo  / search  q quit", columns)}${ANSI.reset}`);
+    if (this.prompt) lines.push(fitLine(`${this.prompt.label}: ${this.prompt.value}▏${this.prompt.hint ? `  ${this.prompt.hint}` : ''}`, columns));
+    else lines.push(fitLine(this.message, columns));
+    return ANSI.home + lines.join(`${ANSI.clearLine}\r\n`) + ANSI.clearLine + ANSI.clearBelow;
+  }
+
+  startRecategorize() {
+    const { record } = this.current();
+    if (!record) return;
+    const candidates = categoryCompletions();
+    this.prompt = {
+      label: `Category for "${record.name}" (Tab completes)`,
+      value: '',
+      hint: '',
+      complete: value => {
+        const matches = candidates.filter(candidate => candidate.startsWith(value));
+        if (matches.length === 0) return { value, hint: 'no match' };
+        let prefix = matches[0];
+        for (const match of matches) while (!match.startsWith(prefix)) prefix = prefix.slice(0, -1);
+        return { value: prefix, hint: matches.length > 1 ? fitLine(matches.join(' '), 80) : '' };
+      },
+      submit: async value => {
+        if (!value.trim()) return;
+        try {
+          await this.decide(checkCategoryDecision(value));
+        } catch (error) {
+          this.message = `❌ ${error.message}`;
+        }
+      }
+    };
+  }
+
+  startSearch() {
+    this.prompt = {
+      label: "Search names",
+      value: this.search,
+      hint: '',
+      complete: value => ({ value, hint: '' }),
+      submit: async value => {
+        this.search = value.trim();
+        this.category = null;
+        this.index = 0;
+        const matches = this.groups().reduce((n, group) => n + group.records.length, 0);
+        this.message = this.search ? `🔎 ${matches} match${matches === 1 ? '' : 'es'} for "${this.search}"` : '';
+      }
+    };
+  }
+
+  // Keys while a prompt is open: Enter submits, Esc cancels, Tab completes
+  async promptKey(str, key) {
+    const prompt = this.prompt;
+    if (key.name === 'escape') { this.prompt = null; return; }
+    if (key.name === 'return' || key.name === 'enter') { this.prompt = null; await prompt.submit(prompt.value); return; }
+    if (key.name === 'backspace') { prompt.value = prompt.value.slice(0, -1); prompt.hint = ''; return; }
+    if (key.name === 'tab') { Object.assign(prompt, prompt.complete(prompt.value)); return; }
+    if (str && !key.ctrl && !key.meta && str >= ' ') { prompt.value += str; prompt.hint = ''; }
+  }
+
+  // Returns true when the session should end
+  async handleKey(str, key = {}) {
+    if (key.ctrl && key.name === 'c') return true;
+    if (this.prompt) { await this.promptKey(str, key); return false; }
+    this.message = '';
+    const pageSize = Math.max(3, (process.stdout.rows || 24) - 11);
+    switch (key.name || str) {
+      case 'q': return true;
+      case 'up': case 'k': this.move(-1); break;
+      case 'down': case 'j': this.move(1); break;
+      case 'pageup': this.move(-pageSize); break;
+      case 'pagedown': case 'space': this.move(pageSize); break;
+      case 'home': this.index = 0; break;
+      case 'end': this.index = Infinity; this.current(); break;
+      case 'left': case 'h': this.switchGroup(-1); break;
+      case 'right': case 'l': case 'tab': this.switchGroup(key.shift ? -1 : 1); break;
+      case 'v': await this.decide(VERIFIED_DECISION); break;
+      case 'x': await this.decide(REJECTED_DECISION); break;
+      case 'c': this.startRecategorize(); break;
+      case 'u': await this.undo(); break;
+      case '/': this.startSearch(); break;
+      case 'escape': if (this.search) { this.search = ''; this.message = "Search cleared"; } break;
+      case '?': this.message = "v verify · x reject · c re-categorize (category[:subcategory]) · u undo · / search names · q quit"; break;
+    }
+    return false;
+  }
+}
+
+// Runs the screen until q / Ctrl-C, always handing the terminal back
+export function runReviewScreen(session) {
+  const { stdin, stdout } = process;
+  return new Promise(resolve => {
+    let busy = Promise.resolve();
+    const draw = () => stdout.write(session.render(stdout.columns || 80, stdout.rows || 24));
+    const finish = () => {
+      stdin.off('keypress', onKeypress);
+      stdout.off('resize', draw);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdout.write(ANSI.showCursor + ANSI.mainScreen);
+      resolve();
+    };
+    // Keys are handled one at a time so each decision lands before the next key is read
+    const onKeypress = (str, key) => {
+      busy = busy.then(async () => {
+        let done = false;
+        try { done = await session.handleKey(str, key || {}); } catch (error) { session.message = `❌ ${error.message}`; }
+        if (done) finish(); else draw();
+      });
+    };
+    readline.emitKeypressEvents(stdin);
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('keypress', onKeypress);
+    stdout.on('resize', draw);
+    stdout.write(ANSI.altScreen + ANSI.hideCursor);
+    draw();
+  });
+}
@@ -0,0 +1,348 @@
+import fs from "fs/promises";
+import { fileURLToPath } from "url";
+import YAML from "yaml";
+
+/* ─────────────────────────────────────────────
+   Classification Rules (--rules, defaults in rules.json)
+───────────────────────────────────────────── */
+// Schema, loader, scoring and validation shared by poiseed.mjs and index.mjs, so both CLIs classify the same way.
+// rules.json next to this module is the default; --rules swaps in another file with the same schema
+const DEFAULT_RULES_FILE = fileURLToPath(new URL('./rules.json', import.meta.url));
+const RULES_TOP_LEVEL_FIELDS = ['fallbackCategory', 'genericTypes', 'excludedGlobalTypes', 'genericBadNames', 'categories'];
+const CATEGORY_RULE_FIELDS = ['priority', 'description', 'types', 'keywords', 'excludeTypes', 'excludeKeywords', 'specialCases', 'subcategories'];
+const SUBCATEGORY_RULE_FIELDS = ['description', 'types', 'keywords'];
+const SPECIAL_CASE_FIELDS = ['name', 'types', 'unlessTypes', 'boost', 'accept'];
+
+let classificationRules = null;
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0);
+}
+
+export function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkSpecialCase(specialCase, at, problems) {
+  if (!isPlainObject(specialCase)) { problems.push(`${at} must be an object`); return; }
+  for (const key of Object.keys(specialCase)) if (!SPECIAL_CASE_FIELDS.includes(key)) problems.push(`${at}: unknown field "${key}"`);
+  if (specialCase.name !== undefined && typeof specialCase.name !== 'string') problems.push(`${at}.name must be a string`);
+  if (!isStringList(specialCase.types) || specialCase.types.length === 0) problems.push(`${at}.types must be a non-empty list of strings`);
+  if (specialCase.unlessTypes !== undefined && !isStringList(specialCase.unlessTypes)) problems.push(`${at}.unlessTypes must be a list of strings`);
+  if (specialCase.boost !== undefined && !Number.isFinite(specialCase.boost)) problems.push(`${at}.boost must be a number`);
+  if (specialCase.accept !== undefined && typeof specialCase.accept !== 'boolean') problems.push(`${at}.accept must be true or false`);
+}
+
+function checkSubcategoryRule(name, rule, at, problems) {
+  if (!/^[a-z][a-z0-9_]*$/.test(name)) problems.push(`${at}: subcategory names must be lowercase letters, digits and underscores`);
+  if (!isPlainObject(rule)) { problems.push(`${at} must be an object`); return; }
+  for (const key of Object.keys(rule)) if (!SUBCATEGORY_RULE_FIELDS.includes(key)) problems.push(`${at}: unknown field "${key}"`);
+  if (rule.description !== undefined && typeof rule.description !== 'string') problems.push(`${at}.description must be a string`);
+  for (const field of ['types', 'keywords']) {
+    if (rule[field] !== undefined && !isStringList(rule[field])) problems.push(`${at}.${field} must be a list of strings`);
+  }
+  if (!(rule.types?.length > 0) && !(rule.keywords?.length > 0)) problems.push(`${at} needs at least one type or keyword`);
+}
+
+function checkCategoryRule(name, rule, problems) {
+  const at = `categories.${name}`;
+  if (!/^[a-z][a-z0-9_]*$/.test(name)) problems.push(`${at}: category names must be lowercase letters, digits and underscores`);
+  if (!isPlainObject(rule)) { problems.push(`${at} must be an object`); return; }
+  for (const key of Object.keys(rule)) if (!CATEGORY_RULE_FIELDS.includes(key)) problems.push(`${at}: unknown field "${key}"`);
+  if (!Number.isFinite(rule.priority)) problems.push(`${at}.priority must be a number`);
+  if (rule.description !== undefined && typeof rule.description !== 'string') problems.push(`${at}.description must be a string`);
+  for (const field of ['types', 'keywords', 'excludeTypes', 'excludeKeywords']) {
+    if (rule[field] !== undefined && !isStringList(rule[field])) problems.push(`${at}.${field} must be a list of strings`);
+  }
+  if (rule.specialCases !== undefined) {
+    if (!Array.isArray(rule.specialCases)) problems.push(`${at}.specialCases must be a list`);
+    else rule.specialCases.forEach((specialCase, i) => checkSpecialCase(specialCase, `${at}.specialCases[${i}]`, problems));
+  }
+  if (rule.subcategories !== undefined) {
+    if (!isPlainObject(rule.subcategories)) problems.push(`${at}.subcategories must be an object`);
+    else for (const [sub, subRule] of Object.entries(rule.subcategories)) checkSubcategoryRule(sub, subRule, `${at}.subcategories.${sub}`, problems);
+  }
+}
+
+// Reports every schema problem at once, then returns the rules with optional fields filled in and keywords lowercased
+export function validateRulesSchema(doc, source) {
+  if (!isPlainObject(doc)) throw new Error(`Rules file ${source} must contain an object`);
+  const problems = [];
+  for (const key of Object.keys(doc)) if (!RULES_TOP_LEVEL_FIELDS.includes(key)) problems.push(`unknown field "${key}"`);
+  for (const field of ['genericTypes', 'excludedGlobalTypes', 'genericBadNames']) {
+    if (doc[field] !== undefined && !isStringList(doc[field])) problems.push(`${field} must be a list of strings`);
+  }
+  const fallbackCategory = doc.fallbackCategory ?? 'misc';
+  if (!isPlainObject(doc.categories) || Object.keys(doc.categories).length === 0) {
+    problems.push('categories must be an object with at least one category');
+  } else {
+    for (const [name, rule] of Object.entries(doc.categories)) checkCategoryRule(name, rule, problems);
+    if (!doc.categories[fallbackCategory]) problems.push(`fallbackCategory "${fallbackCategory}" is not one of the categories`);
+  }
+  if (problems.length > 0) throw new Error(`Invalid rules file ${source}:\n  - ${problems.join('\n  - ')}`);
+
+  const lower = list => (list || []).map(s => s.toLowerCase());
+  return {
+    source,
+    fallbackCategory,
+    genericTypes: doc.genericTypes || [],
+    excludedGlobalTypes: doc.excludedGlobalTypes || [],
+    genericBadNames: lower(doc.genericBadNames).map(n => n.trim()),
+    categories: Object.fromEntries(Object.entries(doc.categories).map(([name, rule]) => [name, {
+      priority: rule.priority,
+      description: rule.description || '',
+      types: rule.types || [],
+      keywords: lower(rule.keywords),
+      excludeTypes: rule.excludeTypes || [],
+      excludeKeywords: lower(rule.excludeKeywords),
+      specialCases: (rule.specialCases || []).map(sc => ({ name: sc.name || sc.types.join('+'), types: sc.types, unlessTypes: sc.unlessTypes || [], boost: sc.boost || 0, accept: sc.accept === true })),
+      subcategories: Object.fromEntries(Object.entries(rule.subcategories || {}).map(([sub, subRule]) => [sub, {
+        description: subRule.description || '',
+        types: subRule.types || [],
+        keywords: lower(subRule.keywords)
+      }]))
+    }]))
+  };
+}
+
+export function parseRulesDocument(filePath, text) {
+  return /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+}
+
+async function loadClassificationRules(filePath = DEFAULT_RULES_FILE) {
+  let doc;
+  try { doc = parseRulesDocument(filePath, await fs.readFile(filePath, 'utf8')); } catch (e) { throw new Error(`Failed to load rules ${filePath}: ${e.message}`); }
+  return validateRulesSchema(doc, filePath);
+}
+
+export async function configureRules({ rulesFile = null } = {}) {
+  classificationRules = await loadClassificationRules(rulesFile || DEFAULT_RULES_FILE);
+  return classificationRules;
+}
+
+export function activeRules() {
+  if (!classificationRules) throw new Error("Classification rules are not loaded (configureRules must run first)");
+  return classificationRules;
+}
+
+export function poiCategories() {
+  return Object.keys(activeRules().categories);
+}
+
+// "- park: Outdoor recreational spaces ..." lines for the AI prompt
+export function describeCategories() {
+  return Object.entries(activeRules().categories).filter(([, rule]) => rule.description).map(([name, rule]) => `- ${name}: ${rule.description}`).join('\n');
+}
+
+// "- restaurant: pizza (Pizzerias), ramen, ..." lines for the categories that have subcategories
+export function describeSubcategories() {
+  return Object.entries(activeRules().categories)
+    .filter(([, rule]) => Object.keys(rule.subcategories).length > 0)
+    .map(([name, rule]) => `- ${name}: ${Object.entries(rule.subcategories).map(([sub, subRule]) => subRule.description ? `${sub} (${subRule.description})` : sub).join(', ')}`)
+    .join('\n');
+}
+
+// Special cases fire when the place has all of their types and none of their unlessTypes
+function matchingSpecialCases(rules, placeTypes) {
+  return rules.specialCases.filter(sc => sc.types.every(type => placeTypes.includes(type)) && !sc.unlessTypes.some(type => placeTypes.includes(type)));
+}
+
+// Every category's score for a place; excluded categories score 0 and say what excluded them
+export function scoreCategories(place) {
+  const { categories } = activeRules();
+  const placeName = (place.name || '').toLowerCase();
+  const placeTypes = place.types || [];
+  const scores = {};
+  for (const [category, rules] of Object.entries(categories)) {
+    const excludedType = rules.excludeTypes.find(type => placeTypes.includes(type));
+    const excludedKeyword = excludedType ? undefined : rules.excludeKeywords.find(keyword => placeName.includes(keyword));
+    if (excludedType || excludedKeyword) {
+      scores[category] = { priority: rules.priority, confidence: 0, excludedBy: excludedType ? `type ${excludedType}` : `keyword "${excludedKeyword}"` };
+      continue;
+    }
+    let confidence = 0;
+    const typeMatches = rules.types.filter(type => placeTypes.includes(type)).length;
+    confidence += typeMatches * 2;
+    const keywordMatches = rules.keywords.filter(keyword => placeName.includes(keyword)).length;
+    confidence += keywordMatches;
+    for (const specialCase of matchingSpecialCases(rules, placeTypes)) confidence += specialCase.boost;
+    scores[category] = { priority: rules.priority, confidence };
+  }
+  return scores;
+}
+
+export function getBestCategory(place, scores = scoreCategories(place)) {
+  let bestMatch = { category: activeRules().fallbackCategory, priority: 0, confidence: 0 };
+  for (const [category, score] of Object.entries(scores)) {
+    if (score.excludedBy) continue;
+    if (score.confidence > 0 && (score.priority > bestMatch.priority || (score.priority === bestMatch.priority && score.confidence > bestMatch.confidence))) {
+      bestMatch = { category, priority: score.priority, confidence: score.confidence };
+    }
+  }
+  return bestMatch.category;
+}
+
+// Scored like categories (types count double); null when no subcategory of the chosen category matches
+export function getBestSubcategory(place, category) {
+  const rules = activeRules().categories[category];
+  if (!rules) return null;
+  const placeName = (place.name || '').toLowerCase();
+  const placeTypes = place.types || [];
+  let best = { subcategory: null, score: 0 };
+  for (const [subcategory, subRules] of Object.entries(rules.subcategories)) {
+    const score = subRules.types.filter(type => placeTypes.includes(type)).length * 2 + subRules.keywords.filter(keyword => placeName.includes(keyword)).length;
+    if (score > best.score) best = { subcategory, score };
+  }
+  return best.subcategory;
+}
+
+export function isKnownSubcategory(category, subcategory) {
+  return !!activeRules().categories[category]?.subcategories[subcategory];
+}
+
+// "restaurant:pizza", or just "restaurant" without a subcategory
+export function formatCategory(poi) {
+  return poi.subcategory ? `${poi.category}:${poi.subcategory}` : poi.category;
+}
+
+export function getCategoryEmoji(category) {
+  const emojis = { park: '🏞️', restaurant: '🍽️', attraction: '🎯', cafe: '☕', bar: '🍺', shopping: '🛒', library: '📚', beach: '🏖️', gym: '💪', venue: '🏟️', entertainment: '🎬', health: '🏥', misc: '📍' };
+  return emojis[category] || '📍';
+}
+
+// --categories entries are "category" (any subcategory) or "category:subcategory".
+// An undefined subcategory means "not decided yet" and matches on the category alone.
+export function matchesCategoryFilter(filterCategories, category, subcategory) {
+  if (filterCategories.length === 0) return true;
+  return filterCategories.some(entry => {
+    const [wantCategory, wantSubcategory] = entry.split(':');
+    return wantCategory === category && (!wantSubcategory || subcategory === undefined || wantSubcategory === subcategory);
+  });
+}
+
+export function checkCategoryFilter(filterCategories) {
+  const { categories } = activeRules();
+  for (const entry of filterCategories) {
+    const [category, subcategory] = entry.split(':');
+    if (!categories[category]) throw new Error(`Unknown category in --categories: ${category} (expected one of: ${Object.keys(categories).join(', ')})`);
+    if (subcategory !== undefined && !isKnownSubcategory(category, subcategory)) {
+      const known = Object.keys(categories[category].subcategories);
+      throw new Error(`Unknown subcategory in --categories: ${entry} (${category} has ${known.length > 0 ? known.join(', ') : 'no subcategories'})`);
+    }
+  }
+}
+
+function hasOnlyGenericTypes(types) {
+  const placeTypes = types || [];
+  if (placeTypes.length === 0) return true;
+  const { genericTypes } = activeRules();
+  const nonGenericTypes = placeTypes.filter(t => !genericTypes.includes(t));
+  return nonGenericTypes.length === 0;
+}
+
+function containsExcludedGlobalType(types) {
+  const placeTypes = types || [];
+  const { excludedGlobalTypes } = activeRules();
+  return placeTypes.some(t => excludedGlobalTypes.includes(t));
+}
+
+function isGenericName(name) {
+  const n = (name || '').trim().toLowerCase();
+  return n.length > 0 && activeRules().genericBadNames.includes(n);
+}
+
+function isAddressLike(name) {
+  const n = (name || '').toLowerCase();
+  const hasNumber = /\b\d{1,6}\b/.test(n);
+  const hasStreetWord = /(street|st\.?|ave\.?|avenue|blvd\.?|boulevard|rd\.?|road|dr\.?|drive|ln\.?|lane|ct\.?|court|pl\.?|place|pkwy\.?|parkway|suite|ste\.?|apt\.?)/.test(n);
+  return hasNumber && hasStreetWord;
+}
+
+export function isGloballyIneligible(place) {
+  const placeTypes = place.types || [];
+  const placeName = place.name || '';
+  if (containsExcludedGlobalType(placeTypes)) return true;
+  if (hasOnlyGenericTypes(placeTypes) && (isGenericName(placeName) || isAddressLike(placeName))) return true;
+  return false;
+}
+
+export function explainGlobalIneligible(place) {
+  const placeTypes = place.types || [];
+  if (containsExcludedGlobalType(placeTypes)) {
+    const { excludedGlobalTypes } = activeRules();
+    const offending = placeTypes.filter(t => excludedGlobalTypes.includes(t));
+    return `contains excluded global types: ${offending.join(', ')}`;
+  }
+  const placeName = place.name || '';
+  const genericTypes = hasOnlyGenericTypes(placeTypes);
+  const genericName = isGenericName(placeName);
+  const addressLike = isAddressLike(placeName);
+  if (genericTypes && (genericName || addressLike)) {
+    const reasons = [];
+    reasons.push('only generic Google types');
+    if (genericName) reasons.push('generic name');
+    if (addressLike) reasons.push('address-like name');
+    return reasons.join(', ');
+  }
+  return 'globally ineligible';
+}
+
+export function validatePlace(place, category) {
+  const { categories, fallbackCategory } = activeRules();
+  const rules = categories[category];
+  if (!rules) return false;
+  const placeName = (place.name || '').toLowerCase();
+  const placeTypes = place.types || [];
+  if (isGloballyIneligible(place)) return false;
+  if (rules.excludeTypes.some(type => placeTypes.includes(type))) return false;
+  if (rules.excludeKeywords.some(keyword => placeName.includes(keyword))) return false;
+  const hasMatchingType = rules.types.some(type => placeTypes.includes(type));
+  const hasMatchingKeyword = rules.keywords.some(keyword => placeName.includes(keyword));
+  if (matchingSpecialCases(rules, placeTypes).some(sc => sc.accept)) return true;
+  if (category === fallbackCategory) {
+    if (hasOnlyGenericTypes(placeTypes) || isGenericName(place.name) || isAddressLike(place.name)) {
+      return false;
+    }
+  }
+  return hasMatchingType || hasMatchingKeyword || category === fallbackCategory;
+}
+
+export function explainValidationFailure(place, category) {
+  const { categories, fallbackCategory } = activeRules();
+  const rules = categories[category];
+  if (!rules) return `unknown category: ${category}`;
+  if (isGloballyIneligible(place)) {
+    return explainGlobalIneligible(place);
+  }
+  const placeName = (place.name || '').toLowerCase();
+  const placeTypes = place.types || [];
+  if (rules.excludeTypes.some(type => placeTypes.includes(type))) {
+    const offending = rules.excludeTypes.filter(t => placeTypes.includes(t));
+    return `has excluded types for ${category}: ${offending.join(', ')}`;
+  }
+  if (rules.excludeKeywords.some(keyword => placeName.includes(keyword))) {
+    const offending = rules.excludeKeywords.filter(k => placeName.includes(k));
+    return `has excluded keywords for ${category}: ${offending.join(', ')}`;
+  }
+  const hasMatchingType = rules.types.some(type => placeTypes.includes(type));
+  const hasMatchingKeyword = rules.keywords.some(keyword => placeName.includes(keyword));
+  if (category === fallbackCategory) {
+    if (hasOnlyGenericTypes(placeTypes) || isGenericName(place.name) || isAddressLike(place.name)) {
+      return `${category} disallowed for generic/address-like entries without specific signals`;
+    }
+  }
+  if (!hasMatchingType && !hasMatchingKeyword && category !== fallbackCategory) {
+    return `no matching type/keyword for ${category}`;
+  }
+  return 'failed validation';
+}
+
+/* ─────────────────────────────────────────────
+   AI Classification Prompt
+───────────────────────────────────────────── */
+// One prompt for both CLIs, built from the loaded rules; place.address (poiseed) or place.vicinity (index.mjs raw results)
+export const AI_SYSTEM_PROMPT = "You are a place classification assistant. Always respond with valid JSON only, never use markdown formatting or code blocks.";
+
+export function buildClassificationPrompt(place) {
+  return `\nAnalyze this place and classify it into the most appropriate category.\n\nPlace Details:\n- Name: "${place.name}"\n- Description/Address: "${place.address || place.vicinity || 'N/A'}"\n- Google Types: ${(place.types || []).join(', ')}\n- Rating: ${place.rating || 'N/A'}\n\nAvailable Categories: ${poiCategories().join(', ')}\n\nCategory Definitions:\n${describeCategories()}\n\nSubcategories (optional, only from the chosen category's list):\n${describeSubcategories() || '- none'}\n\nConsider:\n1. What is the PRIMARY purpose/function of this place?\n2. What would a person most likely visit this place for?\n3. If a place has multiple functions, choose based on its MAIN purpose (follow provided hints)\n\nCRITICAL: Respond with ONLY a valid JSON object. Do NOT use markdown or code fences.\n\nRequired JSON format:\n{\n  "category": "most_appropriate_category",\n  "subcategory": "subcategory_of_that_category_or_null",\n  "confidence": 0.95,\n  "reasoning": "Brief explanation of why this category was chosen",\n  "isValid": true,\n  "alternativeCategory": "second_best_option_or_null"\n}\n\nRules:\n- The category MUST be one from the available categories list\n- The subcategory MUST be listed for the chosen category, otherwise null\n- Set isValid to false if this doesn't seem like a legitimate business/place\n- Do NOT wrap the JSON in markdown\n`;
+}
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Boundary, parseBbox, boundaryArea } from "../boundary.mjs";
+
+// A 2°×2° square around (0, 0) with a 1°×1° hole in its middle
+const square = [[-1, -1], [1, -1], [1, 1], [-1, 1], [-1, -1]];
+const hole = [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5], [-0.5, -0.5]];
+
+test("contains points inside the outer ring and outside its holes", () => {
+  const boundary = new Boundary([[square, hole]]);
+  assert.equal(boundary.contains(0.75, 0.75), true);
+  assert.equal(boundary.contains(0, 0), false);
+  assert.equal(boundary.contains(1.5, 0), false);
+});
+
+test("contains checks every polygon of a MultiPolygon", () => {
+  const east = [[10, -1], [12, -1], [12, 1], [10, 1], [10, -1]];
+  const boundary = Boundary.fromGeoJSON({ type: "MultiPolygon", coordinates: [[square], [east]] });
+  assert.equal(boundary.contains(0, 11), true);
+  assert.equal(boundary.contains(0, 5), false);
+});
+
+test("fromGeoJSON takes the first feature's name and rejects files without polygons", () => {
+  const boundary = Boundary.fromGeoJSON({ type: "FeatureCollection", features: [{ type: "Feature", properties: { name: "Square" }, geometry: { type: "Polygon", coordinates: [square] } }] });
+  assert.equal(boundary.name, "Square");
+  assert.throws(() => Boundary.fromGeoJSON({ type: "Point", coordinates: [0, 0] }), /does not contain any Polygon/);
+});
+
+test("touchesCircle counts circles that reach the boundary from outside", () => {
+  const boundary = new Boundary([[square]]);
+  // 0.01° of latitude past the top edge is ~1.1 km
+  assert.equal(boundary.touchesCircle(1.01, 0, 500), false);
+  assert.equal(boundary.touchesCircle(1.01, 0, 1500), true);
+});
+
+test("parseBbox reads west,south,east,north and checks the order", () => {
+  assert.deepEqual(parseBbox("-97.9, 30.1, -97.6, 30.5"), { northeast: { lat: 30.5, lon: -97.6 }, southwest: { lat: 30.1, lon: -97.9 } });
+  assert.throws(() => parseBbox("-97.6,30.1,-97.9,30.5"), /longitudes/);
+  assert.throws(() => parseBbox("1,2,3"), /west,south,east,north/);
+});
+
+test("a bbox boundary clips like its rectangle and centers the seed area", () => {
+  const boundary = Boundary.fromBbox(parseBbox("-1,-1,1,1"));
+  assert.equal(boundary.contains(0.99, -0.99), true);
+  assert.equal(boundary.contains(1.01, 0), false);
+  assert.deepEqual(boundaryArea(boundary, "box").center, { lat: 0, lon: 0 });
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getPOIKey, nameSimilarity, DuplicateDetector, mergeRecords } from "../dedupe.mjs";
+
+test("branch suffixes, accents and stopwords do not change the name", () => {
+  assert.equal(nameSimilarity("Blue Bottle Coffee", "Blue Bottle Coffee - Hayes Valley"), 1);
+  assert.equal(nameSimilarity("Café Olé", "Cafe Ole"), 1);
+  assert.equal(nameSimilarity("The Tavern", "Tavern"), 1);
+});
+
+test("numbered branches with different store numbers never match", () => {
+  assert.equal(nameSimilarity("Walgreens #1234", "Walgreens #5678"), 0);
+  assert.equal(nameSimilarity("Walgreens #1234", "Walgreens"), 1);
+});
+
+test("a single shared token does not swallow a longer name", () => {
+  assert.ok(nameSimilarity("Target", "Target Optical") < 0.85);
+  assert.ok(nameSimilarity("Joe's Pizza", "Joe's Bar") < 0.85);
+});
+
+test("the detector finds near-duplicates only within maxDistance and only when enabled", () => {
+  const kept = { name: "Blue Bottle Coffee", latitude: 30, longitude: -97, category: "cafe" };
+  const detector = new DuplicateDetector({ enabled: true, threshold: 0.85, maxDistance: 100 });
+  detector.add(kept);
+  const near = detector.findDuplicate({ name: "Blue Bottle Coffee - Hayes Valley", latitude: 30.00013, longitude: -97, category: "cafe" });
+  assert.equal(near.match.name, "Blue Bottle Coffee");
+  assert.equal(detector.findDuplicate({ name: "Blue Bottle Coffee", latitude: 30.01, longitude: -97, category: "cafe" }), null);
+  detector.remove(kept);
+  assert.equal(detector.findDuplicate({ name: "Blue Bottle Coffee", latitude: 30, longitude: -97, category: "cafe" }), null);
+
+  const off = new DuplicateDetector({ enabled: false });
+  off.add(kept);
+  assert.equal(off.findDuplicate(kept), null);
+});
+
+test("placeId keys match records whose coordinates moved", () => {
+  assert.equal(getPOIKey({ placeId: "abc", name: "A", latitude: 1, longitude: 2 }), getPOIKey({ placeId: "abc", name: "A", latitude: 1.001, longitude: 2 }));
+  assert.equal(getPOIKey({ name: "A", latitude: 1, longitude: 2 }), "name:A|1.00000,2.00000");
+});
+
+const record = (fields, fileOrder, index = 0) => ({ latitude: 30, longitude: -97, category: "cafe", _file: `run${fileOrder}.json`, _fileOrder: fileOrder, _index: index, ...fields });
+
+test("the newest policy keeps the record from the latest file", () => {
+  const { kept, collisions } = mergeRecords([record({ placeId: "p1", name: "Bean", confidence: 0.9 }, 0), record({ placeId: "p1", name: "Bean", confidence: 0.5 }, 1)], "newest");
+  assert.equal(kept.length, 1);
+  assert.equal(kept[0]._file, "run1.json");
+  assert.equal(collisions[0].kind, "key");
+});
+
+test("the ai policy prefers AI classifications, then confidence", () => {
+  const rules = record({ placeId: "p1", name: "Bean", category: "cafe", classificationMethod: "Rules", confidence: 0.95 }, 1);
+  const ai = record({ placeId: "p1", name: "Bean", category: "restaurant", classificationMethod: "AI", confidence: 0.7 }, 0);
+  assert.equal(mergeRecords([ai, rules], "ai").kept[0].category, "restaurant");
+  assert.equal(mergeRecords([ai, rules], "confidence").kept[0].category, "cafe");
+});
+
+test("later records are compared against the record that won, not the first one seen", () => {
+  const first = record({ placeId: "p1", name: "Bean", confidence: 0.5 }, 0);
+  const better = record({ placeId: "p1", name: "Bean", confidence: 0.9 }, 1);
+  const worse = record({ placeId: "p1", name: "Bean", confidence: 0.7 }, 2);
+  const { kept, collisions } = mergeRecords([first, better, worse], "confidence");
+  assert.equal(kept[0].confidence, 0.9);
+  assert.equal(collisions[1].winner, better);
+  assert.equal(collisions[1].loser, worse);
+});
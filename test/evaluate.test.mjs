@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EXCLUDED_LABEL, scoreEvaluation, worstOffenders, evaluationBaseline } from "../evaluate.mjs";
+
+const categories = ["cafe", "bar", "park"];
+const row = (expected, predicted, extra = {}) => ({ expected, predicted, expectedSub: null, predictedSub: null, ...extra });
+
+test("accuracy, per-class precision/recall and the confusion matrix", () => {
+  const rows = [row("cafe", "cafe"), row("cafe", "bar"), row("bar", "bar"), row("park", EXCLUDED_LABEL)];
+  const score = scoreEvaluation(rows, categories);
+  assert.equal(score.accuracy, 0.5);
+  assert.deepEqual(score.classes, ["cafe", "bar", "park", EXCLUDED_LABEL]);
+  assert.equal(score.confusion.cafe.bar, 1);
+  const bar = score.perClass.find(c => c.category === "bar");
+  assert.equal(bar.precision, 0.5);
+  assert.equal(bar.recall, 1);
+  assert.ok(Math.abs(bar.f1 - 2 / 3) < 1e-9);
+});
+
+test("macro F1 averages only classes that have labeled places", () => {
+  // "excluded" is only ever predicted, so it counts against precision elsewhere but not in the average
+  const score = scoreEvaluation([row("cafe", "cafe"), row("bar", EXCLUDED_LABEL)], categories);
+  const excluded = score.perClass.find(c => c.category === EXCLUDED_LABEL);
+  assert.equal(excluded.support, 0);
+  assert.equal(excluded.f1, 0);
+  assert.equal(score.macroF1, 0.5);
+});
+
+test("classes nobody expected or predicted are left out", () => {
+  assert.deepEqual(scoreEvaluation([row("cafe", "cafe")], categories).classes, ["cafe"]);
+});
+
+test("subcategory accuracy only counts places whose category was right", () => {
+  const rows = [
+    row("cafe", "cafe", { expectedSub: "espresso", predictedSub: "espresso" }),
+    row("cafe", "cafe", { expectedSub: "espresso", predictedSub: null }),
+    row("cafe", "bar", { expectedSub: "espresso" })
+  ];
+  assert.deepEqual(scoreEvaluation(rows, categories).subcategory, { total: 2, correct: 1 });
+});
+
+test("worst offenders group mix-ups by expected → predicted, most frequent first", () => {
+  const rows = [row("cafe", "bar"), row("park", "bar"), row("cafe", "bar"), row("bar", "bar")];
+  const offenders = worstOffenders(rows);
+  assert.deepEqual(offenders.map(o => [o.pair, o.count]), [["cafe → bar", 2], ["park → bar", 1]]);
+});
+
+test("a baseline keeps accuracy and the F1 of labeled classes", () => {
+  const baseline = evaluationBaseline(scoreEvaluation([row("cafe", "cafe"), row("bar", "cafe")], categories), "labels.json");
+  assert.equal(baseline.accuracy, 0.5);
+  assert.deepEqual(Object.keys(baseline.f1), ["cafe", "bar"]);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildHoursModel, placeClock, isOpenAt, parseOpenAt } from "../hours.mjs";
+
+const period = (openDay, open, closeDay, close) => ({ open: { day: openDay, time: open }, close: { day: closeDay, time: close } });
+
+// A bar open Friday 17:00-02:00 and Saturday 18:00 until Sunday 03:00
+const bar = () => buildHoursModel({ openingHours: { periods: [period(5, "1700", 6, "0200"), period(6, "1800", 0, "0300")] } });
+
+test("weekly spans count minutes from Sunday midnight", () => {
+  const [friday, saturday] = bar().weekly;
+  assert.deepEqual([friday.start, friday.end, friday.overnight], [8220, 8760, true]);
+  assert.equal(saturday.close, "03:00");
+  assert.ok(saturday.end > 7 * 24 * 60);
+});
+
+test("a span past midnight is open the next morning and closed after it ends", () => {
+  const hours = bar();
+  assert.equal(isOpenAt(hours, { day: 5, minute: 23 * 60 }), true);
+  assert.equal(isOpenAt(hours, { day: 6, minute: 60 }), true);
+  assert.equal(isOpenAt(hours, { day: 6, minute: 3 * 60 }), false);
+  assert.equal(isOpenAt(hours, { day: 5, minute: 16 * 60 }), false);
+});
+
+test("Saturday's span into Sunday wraps around the end of the week", () => {
+  const hours = bar();
+  assert.equal(isOpenAt(hours, { day: 0, minute: 2 * 60 + 59 }), true);
+  assert.equal(isOpenAt(hours, { day: 0, minute: 3 * 60 }), false);
+});
+
+test("a single open period without a close is open around the clock", () => {
+  const hours = buildHoursModel({ openingHours: { periods: [{ open: { day: 0, time: "0000" } }] } });
+  assert.equal(hours.alwaysOpen, true);
+  assert.equal(isOpenAt(hours, { day: 3, minute: 4 * 60 }), true);
+});
+
+test("special days replace the weekly hours for their date", () => {
+  // 2026-10-16 is a Friday; the bar is closed that day and opens late the next
+  const hours = buildHoursModel({
+    openingHours: { periods: [period(5, "1700", 6, "0200"), period(6, "1800", 0, "0300")] },
+    currentOpeningHours: {
+      periods: [{ open: { day: 6, time: "2000", date: "2026-10-17" }, close: { day: 0, time: "0100", date: "2026-10-18" } }],
+      specialDays: [{ date: "2026-10-16" }, { date: "2026-10-17" }]
+    }
+  });
+  assert.equal(hours.special[0].closed, true);
+  assert.equal(isOpenAt(hours, { day: 5, minute: 20 * 60, date: "2026-10-16" }), false);
+  // Friday's regular span does not carry into Saturday because Friday was closed
+  assert.equal(isOpenAt(hours, { day: 6, minute: 60, date: "2026-10-17" }), false);
+  assert.equal(isOpenAt(hours, { day: 6, minute: 19 * 60, date: "2026-10-17" }), false);
+  assert.equal(isOpenAt(hours, { day: 6, minute: 21 * 60, date: "2026-10-17" }), true);
+  // Saturday's special span still counts early Sunday, then the weekly hours take over again
+  assert.equal(isOpenAt(hours, { day: 0, minute: 30, date: "2026-10-18" }), true);
+  assert.equal(isOpenAt(hours, { day: 0, minute: 2 * 60, date: "2026-10-18" }), false);
+});
+
+test("placeClock reads the time in the place's zone, then its UTC offset", () => {
+  const at = new Date("2026-10-17T06:30:00Z");
+  assert.deepEqual(placeClock({ timeZone: "America/Chicago" }, at), { day: 6, minute: 90, date: "2026-10-17" });
+  assert.deepEqual(placeClock({ timeZone: "Not/AZone", utcOffsetMinutes: -420 }, at), { day: 5, minute: 23 * 60 + 30, date: "2026-10-16" });
+});
+
+test("parseOpenAt takes the abbreviation or the full day name", () => {
+  assert.deepEqual(parseOpenAt("sat 22:00"), { day: 6, minute: 1320, label: "sat 22:00" });
+  assert.deepEqual(parseOpenAt("Saturday 9:30"), { day: 6, minute: 570, label: "sat 09:30" });
+  for (const bad of ["thurs 10:00", "satxyz 10:00", "mon 24:00", "mon 9"]) {
+    assert.throws(() => parseOpenAt(bad), /--open-at must look like/, bad);
+  }
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RetryableError, isRetryableError, retryAfterMs, retryDelayMs } from "../retry.mjs";
+
+const throttled = (retryAfter) => Object.assign(new Error("Too Many Requests"), { response: { status: 429, headers: { "retry-after": retryAfter } } });
+
+test("Retry-After seconds and HTTP dates become milliseconds", () => {
+  assert.equal(retryAfterMs(throttled("2")), 2000);
+  const inOneMinute = new Date(Date.now() + 60000).toUTCString();
+  assert.ok(Math.abs(retryAfterMs(throttled(inOneMinute)) - 60000) < 2000);
+  assert.equal(retryAfterMs(throttled("soon")), null);
+  assert.equal(retryAfterMs(new Error("no response")), null);
+});
+
+test("Retry-After is read from fetch-style Headers too (OpenAI SDK errors)", () => {
+  const err = Object.assign(new Error("rate limited"), { status: 429, headers: new Headers({ "retry-after": "1" }) });
+  assert.equal(retryAfterMs(err), 1000);
+});
+
+test("a long Retry-After is capped at the backoff ceiling", () => {
+  assert.equal(retryDelayMs(throttled("3600"), 1), 30000);
+  assert.equal(retryDelayMs(throttled("2"), 1), 2000);
+});
+
+test("without Retry-After the delay is exponential backoff with equal jitter", () => {
+  const err = Object.assign(new Error("bad gateway"), { response: { status: 502 } });
+  for (const [attempt, ceiling] of [[1, 1000], [3, 4000], [10, 30000]]) {
+    const delay = retryDelayMs(err, attempt);
+    assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}`);
+  }
+});
+
+test("only throttling, server errors and transient network failures are retried", () => {
+  assert.equal(isRetryableError(throttled("1")), true);
+  assert.equal(isRetryableError(Object.assign(new Error("x"), { status: 503 })), true);
+  assert.equal(isRetryableError(Object.assign(new Error("x"), { code: "ECONNRESET" })), true);
+  assert.equal(isRetryableError(new RetryableError("OVER_QUERY_LIMIT")), true);
+  assert.equal(isRetryableError(Object.assign(new Error("x"), { response: { status: 400 } })), false);
+  assert.equal(isRetryableError(new Error("bad input")), false);
+});
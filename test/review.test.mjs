@@ -0,0 +1,137 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { configureRules } from "../rules.mjs";
+import { reviewKey, OverrideStore, loadReviewTarget, applyStoredOverrides, ReviewSession } from "../review.mjs";
+
+let dir;
+before(async () => {
+  await configureRules();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "poiseed-review-"));
+});
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const place = (name, category, latitude) => ({ name, category, subcategory: null, latitude, longitude: -97, classificationMethod: "Rules", confidence: 0.6 });
+
+function openSession(name, overrides = new OverrideStore(null)) {
+  const records = [place("Bean", "cafe", 30), place("Brew", "cafe", 30.001), place("Pint", "bar", 30.002)];
+  const doc = { results: records };
+  return new ReviewSession({ file: path.join(dir, `${name}.json`), doc, records, overrides });
+}
+
+const press = (session, name) => session.handleKey(name, { name });
+async function type(session, text) {
+  for (const ch of text) await session.handleKey(ch, {});
+}
+
+test("raw and output records of the same place share a review key", () => {
+  const raw = { name: " Bean ", place_id: "abc", geometry: { location: { lat: 30.1, lng: -97.2 } } };
+  const output = { name: "Bean", placeId: "abc", latitude: "30.1", longitude: -97.2, category: "cafe" };
+  assert.equal(reviewKey(raw), reviewKey(output));
+  assert.notEqual(reviewKey(output), reviewKey({ ...output, latitude: 30.2 }));
+});
+
+test("v verifies the place under the cursor and moves to the next one", async () => {
+  const session = openSession("verify");
+  await press(session, "v");
+  assert.equal(session.records[0].reviewDecision, "verified");
+  assert.equal(session.current().record.name, "Brew");
+  assert.match(session.message, /✓ "Bean" → verified/);
+  await session.flush();
+});
+
+test("x rejects, u undoes it, and a second u has nothing to undo", async () => {
+  const session = openSession("reject");
+  await press(session, "down");
+  await press(session, "x");
+  const brew = session.records[1];
+  assert.equal(brew.reviewDecision, "reject");
+  // Brew is the last cafe, so the cursor stays on it
+  assert.equal(session.current().record, brew);
+  await press(session, "u");
+  assert.equal(brew.reviewDecision, undefined);
+  await press(session, "u");
+  assert.equal(session.message, "Nothing to undo for this place");
+  await session.flush();
+});
+
+test("c re-categorizes with Tab completion, and undo restores the classification", async () => {
+  const session = openSession("recategorize");
+  await press(session, "c");
+  await type(session, "ba");
+  await session.handleKey("\t", { name: "tab" });
+  assert.equal(session.prompt.value, "bar");
+  assert.match(session.prompt.hint, /bar:pub/);
+  await type(session, ":pub");
+  await session.handleKey("\r", { name: "return" });
+  const bean = session.records[0];
+  assert.deepEqual([bean.category, bean.subcategory, bean.classificationMethod], ["bar", "pub", "Review"]);
+  assert.equal(session.prompt, null);
+
+  await press(session, "right");
+  assert.equal(session.current().record, bean);
+  await press(session, "u");
+  assert.deepEqual([bean.category, bean.classificationMethod, bean.confidence], ["cafe", "Rules", 0.6]);
+  await session.flush();
+});
+
+test("an unknown category is reported and Esc closes the prompt without deciding", async () => {
+  const session = openSession("unknown");
+  await press(session, "c");
+  await type(session, "pizza");
+  await session.handleKey("\r", { name: "return" });
+  assert.match(session.message, /Unknown category "pizza"/);
+  await press(session, "c");
+  await type(session, "q");
+  assert.equal(session.prompt.value, "q");
+  await press(session, "escape");
+  assert.equal(session.prompt, null);
+  assert.equal(session.counts().unreviewed, 3);
+});
+
+test("/ filters by name and Esc clears the search", async () => {
+  const session = openSession("search");
+  await press(session, "/");
+  await type(session, "pin");
+  await session.handleKey("\r", { name: "return" });
+  assert.deepEqual(session.groups().map(group => group.category), ["bar"]);
+  assert.equal(session.message, '🔎 1 match for "pin"');
+  await press(session, "escape");
+  assert.equal(session.groups().length, 2);
+});
+
+test("q and Ctrl-C end the session; q inside a prompt is just a letter", async () => {
+  const session = openSession("quit");
+  assert.equal(await press(session, "q"), true);
+  assert.equal(await session.handleKey("\x03", { name: "c", ctrl: true }), true);
+  await press(session, "/");
+  assert.equal(await press(session, "q"), false);
+  assert.equal(session.prompt.value, "q");
+});
+
+test("decisions are written at flush and re-applied to the next run's records", async () => {
+  const overrides = new OverrideStore(path.join(dir, "overrides.json"));
+  const session = openSession("saved", overrides);
+  await press(session, "v");
+  await session.flush();
+  const written = JSON.parse(await fs.readFile(session.file, "utf8"));
+  assert.equal(written.results[0].reviewDecision, "verified");
+
+  const stored = await new OverrideStore(overrides.file).load();
+  const nextRun = [place("Bean", "cafe", 30), place("Brew", "cafe", 30.001)];
+  assert.deepEqual(applyStoredOverrides(nextRun, stored), { applied: 1, stale: 0 });
+  assert.equal(nextRun[0].reviewDecision, "verified");
+  assert.equal(nextRun[1].reviewDecision, undefined);
+});
+
+test("review files skip records without a name or coordinates", async () => {
+  const file = path.join(dir, "target.json");
+  await fs.writeFile(file, JSON.stringify({ data: [place("Bean", "cafe", 30), { name: "", latitude: 1, longitude: 2 }] }));
+  const { records, skipped } = await loadReviewTarget(file);
+  assert.equal(records.length, 1);
+  assert.equal(skipped, 1);
+  await fs.writeFile(file, JSON.stringify({ a: [], b: [] }));
+  await assert.rejects(loadReviewTarget(file), /must be a POI array/);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { validateRulesSchema, parseRulesDocument, configureRules, getBestCategory } from "../rules.mjs";
+
+const minimal = () => ({
+  categories: {
+    cafe: { priority: 5, types: ["cafe"], keywords: ["Coffee"], subcategories: { espresso: { keywords: ["espresso"] } } },
+    misc: { priority: 0 }
+  }
+});
+
+test("the bundled rules.json passes the schema", async () => {
+  const doc = JSON.parse(await readFile(new URL("../rules.json", import.meta.url), "utf8"));
+  const rules = validateRulesSchema(doc, "rules.json");
+  assert.equal(rules.fallbackCategory, "misc");
+  assert.ok(Object.keys(rules.categories).length > 1);
+});
+
+test("optional fields are filled in and keywords lowercased", () => {
+  const rules = validateRulesSchema(minimal(), "test");
+  assert.deepEqual(rules.categories.cafe.keywords, ["coffee"]);
+  assert.deepEqual(rules.categories.misc.types, []);
+  assert.deepEqual(rules.categories.cafe.subcategories.espresso, { description: "", types: [], keywords: ["espresso"] });
+});
+
+test("every schema problem is reported at once", () => {
+  const doc = minimal();
+  doc.extra = true;
+  doc.categories.cafe.priority = "high";
+  doc.categories.Bar = { priority: 1, typos: [] };
+  doc.categories.cafe.subcategories.espresso = {};
+  assert.throws(() => validateRulesSchema(doc, "bad.json"), (err) => {
+    for (const problem of ['unknown field "extra"', "categories.cafe.priority must be a number", "category names must be lowercase", 'categories.Bar: unknown field "typos"', "espresso needs at least one type or keyword"]) {
+      assert.ok(err.message.includes(problem), `missing: ${problem}\n${err.message}`);
+    }
+    return true;
+  });
+});
+
+test("the fallback category must exist", () => {
+  assert.throws(() => validateRulesSchema({ fallbackCategory: "other", categories: { cafe: { priority: 1 } } }, "x"), /fallbackCategory "other" is not one of the categories/);
+});
+
+test("YAML rules are parsed by extension", () => {
+  const doc = parseRulesDocument("rules.yaml", "categories:\n  misc:\n    priority: 0\n");
+  assert.deepEqual(doc, { categories: { misc: { priority: 0 } } });
+  assert.throws(() => parseRulesDocument("rules.json", "categories: {}"), SyntaxError);
+});
+
+test("the default rules classify by type", async () => {
+  await configureRules();
+  assert.equal(getBestCategory({ name: "Blue Bottle", types: ["cafe", "food"] }), "cafe");
+});
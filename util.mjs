@@ -0,0 +1,31 @@
+/* ─────────────────────────────────────────────
+   Shared Utilities
+───────────────────────────────────────────── */
+// Great-circle distance in meters (haversine)
+export function distanceMeters(lat1, lon1, lat2, lon2) {
+  const R = 6371000; // Earth's radius in meters
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+export function getTimestamp() {
+  const now = new Date();
+  return now.toISOString().replace('T', ' ').substring(0, 23);
+}
+
+export function log(...args) {
+  console.log(`[${getTimestamp()}]`, ...args);
+}
+
+export function logError(...args) {
+  console.error(`[${getTimestamp()}]`, ...args);
+}
+
+export function logWarn(...args) {
+  console.warn(`[${getTimestamp()}]`, ...args);
+}